@@ -0,0 +1,151 @@
+/**
+ * ==========================================
+ * MOCK ORDER SERVICE
+ * ==========================================
+ * Local stand-in for the order API, served by the Vite dev and preview servers (see vite.config.js).
+ * - POST /api/orders: Validates the order and returns { orderId, status, createdAt, total }
+ *   A repeated Idempotency-Key returns the order created the first time instead of a new one.
+ *   A time slot takes SLOT_CAPACITY orders, later orders for a full slot are rejected.
+ * - GET /api/orders/<orderId>: Returns a placed order
+ * Orders are kept in memory and disappear when the server restarts.
+ * =========================================
+ */
+
+import { SLOT_CAPACITY } from '../src/timeSlotRules.mjs';
+
+const orders = new Map(); // orderId -> order
+const responsesByIdempotencyKey = new Map(); // Idempotency-Key -> promise of the response to the first request
+let orderCounter = 1000;
+
+// Sends a JSON response
+function sendJson(res, status, body) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+// Reads and parses the JSON request body
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(body || '{}'));
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Returns a list of problems with the order, empty when it can be accepted
+function validateOrder(order) {
+  const problems = [];
+  if (!order.customer || !order.customer.email) problems.push('Customer email is missing.');
+  if (!Array.isArray(order.lines) || order.lines.length === 0) problems.push('The order has no lines.');
+  else if (!order.lines.every(line => Number.isInteger(line.quantity) && line.quantity > 0))
+    problems.push('Every line needs a quantity that is a whole number of at least 1.');
+  if (!order.totals || typeof order.totals.total !== 'number') problems.push('Order total is missing.');
+  if (!order.payment || !['card', 'invoice'].includes(order.payment.method)) problems.push('Unknown payment method.');
+  if (order.delivery && !['delivery', 'pickup'].includes(order.delivery.method))
+    problems.push('Unknown delivery method.');
+  if (order.timeSlot && Number.isNaN(Date.parse(order.timeSlot.start))) problems.push('Unknown time slot.');
+  return problems;
+}
+
+// Counts the orders placed for the time slot that starts at start
+function countSlotOrders(start) {
+  return Array.from(orders.values()).filter(order => order.timeSlot?.start === start).length;
+}
+
+// Creates a readable order number like AG-1001
+function createOrderId() {
+  orderCounter += 1;
+  return `AG-${orderCounter}`;
+}
+
+// Reads, validates and stores a new order. Returns the response as { status, body }
+async function createOrder(req) {
+  let order;
+  try {
+    order = await readJsonBody(req);
+  } catch {
+    return { status: 400, body: { message: 'The order could not be read.' } };
+  }
+  const problems = validateOrder(order);
+  if (problems.length > 0) {
+    return { status: 422, body: { message: problems.join(' ') } };
+  }
+  if (order.timeSlot && countSlotOrders(order.timeSlot.start) >= SLOT_CAPACITY) {
+    return { status: 422, body: { message: 'The chosen time slot is full, please choose another one.' } };
+  }
+
+  const orderId = createOrderId();
+  const receipt = {
+    orderId,
+    status: 'received',
+    createdAt: new Date().toISOString(),
+    total: order.totals.total,
+    currency: order.totals.currency || 'SEK',
+  };
+  orders.set(orderId, { ...order, receipt });
+  return { status: 201, body: receipt };
+}
+
+// Handles POST /api/orders
+async function handleCreateOrder(req, res) {
+  const idempotencyKey = req.headers['idempotency-key'];
+  const firstResponse = idempotencyKey && responsesByIdempotencyKey.get(idempotencyKey);
+  if (firstResponse) {
+    // A repeated request waits for the first one and gets the same order
+    const { status, body } = await firstResponse;
+    sendJson(res, status === 201 ? 200 : status, body);
+    return;
+  }
+
+  const response = createOrder(req);
+  if (idempotencyKey) {
+    // The key is taken before the body is read, so a repeat sent meanwhile can't create a second order.
+    // A rejected order frees the key, so the same request can be corrected and sent again
+    responsesByIdempotencyKey.set(idempotencyKey, response);
+    response.then(({ status }) => {
+      if (status !== 201) responsesByIdempotencyKey.delete(idempotencyKey);
+    });
+  }
+  const { status, body } = await response;
+  sendJson(res, status, body);
+}
+
+// Handles GET /api/orders/<orderId>
+function handleGetOrder(res, orderId) {
+  const order = orders.get(orderId);
+  if (!order) {
+    sendJson(res, 404, { message: `Order ${orderId} was not found.` });
+    return;
+  }
+  sendJson(res, 200, { ...order, ...order.receipt });
+}
+
+// Connect middleware, mounted on /api/orders
+function orderServiceMiddleware(req, res) {
+  let orderId;
+  try {
+    orderId = decodeURIComponent((req.url || '/').split('?')[0].replace(/^\/+/, ''));
+  } catch {
+    sendJson(res, 400, { message: 'The order id is not valid.' });
+    return;
+  }
+  if (req.method === 'POST' && orderId === '') {
+    handleCreateOrder(req, res);
+  } else if (req.method === 'GET' && orderId !== '') {
+    handleGetOrder(res, orderId);
+  } else {
+    sendJson(res, 405, { message: 'Method not allowed.' });
+  }
+}
+
+export { orderServiceMiddleware };
@@ -0,0 +1,65 @@
+/**
+ * ==========================================
+ * ADMIN ACCESS
+ * ==========================================
+ * Keeps the catalog admin view behind a staff passcode.
+ * The passcode is set at build time as its SHA-256 hash (hex) in VITE_ADMIN_PASSCODE_HASH, e.g. in .env.local:
+ *   VITE_ADMIN_PASSCODE_HASH=<output of: printf '%s' 'the passcode' | sha256sum>
+ * Without it the admin view stays locked. The catalog is kept in the browser, so this keeps customers
+ * out of the admin view but is no protection against someone with access to the device.
+ * - isAdminConfigured(): true when a passcode hash is set
+ * - isAdminUnlocked(): true after the passcode was entered in this browser tab
+ * - unlockAdmin(passcode): Resolves to true and unlocks the admin view when the passcode is right
+ * - lockAdmin(): Locks the admin view again
+ * =========================================
+ */
+
+const ADMIN_SESSION_KEY = 'alexGoodies.adminUnlocked';
+const PASSCODE_HASH = (import.meta.env?.VITE_ADMIN_PASSCODE_HASH || '').trim().toLowerCase();
+
+let unlocked = readSessionFlag();
+
+// The unlocked state lasts for the browser tab, like the rest of a session
+function readSessionFlag() {
+  try {
+    return window.sessionStorage.getItem(ADMIN_SESSION_KEY) === PASSCODE_HASH && PASSCODE_HASH !== '';
+  } catch {
+    return false;
+  }
+}
+
+function writeSessionFlag(value) {
+  try {
+    if (value) window.sessionStorage.setItem(ADMIN_SESSION_KEY, PASSCODE_HASH);
+    else window.sessionStorage.removeItem(ADMIN_SESSION_KEY);
+  } catch {
+    // Without storage the admin view is unlocked until the page is reloaded
+  }
+}
+
+async function sha256(text) {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function isAdminConfigured() {
+  return PASSCODE_HASH !== '';
+}
+
+function isAdminUnlocked() {
+  return unlocked;
+}
+
+async function unlockAdmin(passcode) {
+  if (!isAdminConfigured() || !window.crypto?.subtle) return false;
+  unlocked = (await sha256(passcode)) === PASSCODE_HASH;
+  writeSessionFlag(unlocked);
+  return unlocked;
+}
+
+function lockAdmin() {
+  unlocked = false;
+  writeSessionFlag(false);
+}
+
+export { isAdminConfigured, isAdminUnlocked, unlockAdmin, lockAdmin };
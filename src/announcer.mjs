@@ -0,0 +1,31 @@
+/**
+ * ==========================================
+ * ANNOUNCER
+ * ==========================================
+ * Reads short messages to screen reader users through a live region (role="status"), instead of making
+ * whole sections live and having every re-render read out.
+ * - createAnnouncer(region): Returns announce(message) for the live region element
+ *   - announce(message): Replaces the message. Quick changes in a row only read the last one, and the
+ *     same message twice is read twice
+ * =========================================
+ */
+
+// Time for the cleared region to be noticed before the new message is written
+const ANNOUNCE_DELAY = 100;
+
+function createAnnouncer(region) {
+  let timer = null;
+
+  function announce(message) {
+    if (!region) return;
+    clearTimeout(timer);
+    region.textContent = '';
+    timer = setTimeout(() => {
+      region.textContent = message;
+    }, ANNOUNCE_DELAY);
+  }
+
+  return announce;
+}
+
+export { createAnnouncer };
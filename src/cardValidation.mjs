@@ -0,0 +1,150 @@
+/**
+ * ==========================================
+ * CARD VALIDATION
+ * ==========================================
+ * Checks the card payment fields before an order is sent.
+ * - detectCardBrand(number): The brand ({ id, name, ... }) from the number prefix, or null
+ * - formatCardNumber(number): Groups the digits the way the brand prints them (Amex is 4-6-5)
+ * - validateCardNumber / validateExpiry / validateCvv: Return { valid, message, ... },
+ *   where message is the text shown under the field, in the active language
+ * =========================================
+ */
+
+import { t, formatList } from './i18n.mjs';
+
+// Supported brands: prefix pattern, allowed number lengths, digit grouping and CVV length
+const cardBrands = [
+  {
+    id: 'visa',
+    name: 'Visa',
+    pattern: /^4/,
+    lengths: [13, 16, 19],
+    groups: [4, 4, 4, 4, 3],
+    cvvLength: 3,
+  },
+  {
+    id: 'mastercard',
+    name: 'Mastercard',
+    pattern: /^(5[1-5]|222[1-9]|22[3-9]\d|2[3-6]\d{2}|27[01]\d|2720)/,
+    lengths: [16],
+    groups: [4, 4, 4, 4],
+    cvvLength: 3,
+  },
+  {
+    id: 'amex',
+    name: 'American Express',
+    pattern: /^3[47]/,
+    lengths: [15],
+    groups: [4, 6, 5],
+    cvvLength: 4,
+  },
+];
+
+const DEFAULT_GROUPS = [4, 4, 4, 4, 3];
+const MAX_YEARS_AHEAD = 20; // Cards are not issued further ahead than this
+
+// Keeps only the digits of a field value
+function toDigits(value) {
+  return String(value || '').replace(/\D/g, '');
+}
+
+// Lists numbers as "13, 16 or 19"
+function listNumbers(numbers) {
+  return formatList(numbers, 'disjunction');
+}
+
+// Finds the brand of a card number from its first digits
+function detectCardBrand(number) {
+  const digits = toDigits(number);
+  return cardBrands.find(brand => brand.pattern.test(digits)) || null;
+}
+
+// Groups the digits with spaces, e.g. "3782 822463 10005" for Amex, and cuts off digits the brand can't have
+function formatCardNumber(number) {
+  const brand = detectCardBrand(number);
+  const maxLength = brand ? Math.max(...brand.lengths) : 19;
+  const digits = toDigits(number).slice(0, maxLength);
+  const groups = [];
+  let position = 0;
+  for (const size of brand ? brand.groups : DEFAULT_GROUPS) {
+    if (position >= digits.length) break;
+    groups.push(digits.slice(position, position + size));
+    position += size;
+  }
+  return groups.join(' ');
+}
+
+// Luhn checksum: doubles every second digit from the right, the sum must end in 0
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return digits.length > 0 && sum % 10 === 0;
+}
+
+// Checks the card number: a supported brand, the right length for it and a valid checksum
+function validateCardNumber(number) {
+  const digits = toDigits(number);
+  const brand = detectCardBrand(digits);
+  const fail = message => ({ valid: false, brand, message });
+  if (digits.length === 0) {
+    return fail(t('card.numberRequired'));
+  }
+  if (!brand) {
+    return fail(t('card.unsupported'));
+  }
+  if (!brand.lengths.includes(digits.length)) {
+    return fail(t('card.length', { brand: brand.name, lengths: listNumbers(brand.lengths) }));
+  }
+  if (!passesLuhn(digits)) {
+    return fail(t('card.checksum'));
+  }
+  return { valid: true, brand, message: '' };
+}
+
+// Checks an MM/YY expiry date. A card is valid through the last day of its expiry month
+function validateExpiry(value, date = new Date()) {
+  const fail = message => ({ valid: false, message });
+  const match = /^(\d{2})\s*\/\s*(\d{2})$/.exec(String(value || '').trim());
+  if (!match) {
+    return fail(t('expiry.format'));
+  }
+  const month = Number(match[1]);
+  const year = 2000 + Number(match[2]);
+  if (month < 1 || month > 12) {
+    return fail(t('expiry.month'));
+  }
+  const firstInvalidDay = new Date(year, month, 1); // The first day of the month after expiry
+  if (date >= firstInvalidDay) {
+    return fail(t('expiry.expired'));
+  }
+  if (year > date.getFullYear() + MAX_YEARS_AHEAD) {
+    return fail(t('expiry.tooFar'));
+  }
+  return { valid: true, message: '' };
+}
+
+// Checks the CVV length for the brand (4 digits for Amex, 3 for the others)
+function validateCvv(cvv, brand = null) {
+  const digits = String(cvv || '').trim();
+  if (!/^\d+$/.test(digits)) {
+    return { valid: false, message: t('cvv.required') };
+  }
+  const expectedLengths = brand ? [brand.cvvLength] : [3, 4];
+  if (!expectedLengths.includes(digits.length)) {
+    const where = brand?.id === 'amex' ? t('cvv.onFront') : t('cvv.onBack');
+    return {
+      valid: false,
+      message: t('cvv.length', { lengths: listNumbers(expectedLengths), where: brand ? where : t('cvv.onCard') }),
+    };
+  }
+  return { valid: true, message: '' };
+}
+
+export { cardBrands, detectCardBrand, formatCardNumber, passesLuhn, validateCardNumber, validateExpiry, validateCvv };
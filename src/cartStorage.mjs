@@ -0,0 +1,125 @@
+/**
+ * ==========================================
+ * CART STORAGE
+ * ==========================================
+ * Saves the cart, chosen payment method and promo code in localStorage so they survive a reload,
+ * and lets other open tabs follow along through the 'storage' event.
+ * - saveCart(lines, { paymentMethod, couponCode }): Writes the cart as { version, savedAt, paymentMethod, couponCode, items }
+ * - serializeCart(lines, { paymentMethod, couponCode }): The same data as a JSON string, without saving it
+ * - loadCart(catalog): Reads the cart back and re-checks every line against the catalog
+ * - onStoredCartChange(callback): Calls back when another tab changes the cart
+ * =========================================
+ */
+
+import { calculateUnitBasePrice, normalizeSelection } from './productOptions.mjs';
+
+const STORAGE_KEY = 'alexGoodies.cart';
+const SCHEMA_VERSION = 2;
+
+// Upgrades older stored carts, keyed by the version they upgrade from
+const migrations = {
+  // Version 2 added product options: lines store the selection and the unit price incl. options
+  1: data => ({
+    ...data,
+    version: 2,
+    items: data.items.map(item => ({ id: item.id, amount: item.amount, unitPrice: item.price, selection: {} })),
+  }),
+};
+
+// Returns localStorage, or null when the browser blocks it (private mode, disabled cookies)
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+// The cart lines ({ product, selection, amount }), payment method and promo code as stored
+function serializeCart(lines, { paymentMethod = null, couponCode = null } = {}) {
+  return JSON.stringify({
+    version: SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    paymentMethod,
+    couponCode,
+    items: lines.map(line => ({
+      id: line.product.id,
+      amount: line.amount,
+      unitPrice: calculateUnitBasePrice(line.product, line.selection),
+      selection: line.selection,
+    })),
+  });
+}
+
+// Saves the cart lines, payment method and promo code
+function saveCart(lines, options) {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, serializeCart(lines, options));
+  } catch {
+    // Storage full or blocked - the cart keeps working in memory
+  }
+}
+
+// Parses the stored JSON and brings it up to the current schema version, or returns null
+function parseStoredCart(json) {
+  if (!json) return null;
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  if (!data || typeof data.version !== 'number' || !Array.isArray(data.items)) return null;
+  while (data.version < SCHEMA_VERSION && migrations[data.version]) {
+    data = migrations[data.version](data);
+  }
+  return data.version === SCHEMA_VERSION ? data : null;
+}
+
+// Checks the stored lines against the catalog
+// Returns the lines that can be restored, plus the ones removed from the catalog and the ones whose price changed
+// Options that no longer exist are dropped, and required groups fall back to their default choice
+function validateStoredItems(storedItems, catalog) {
+  const result = { items: [], removed: [], priceChanged: [] };
+  storedItems.forEach(storedItem => {
+    const product = catalog.find(product => product.id === storedItem.id);
+    const amount = Number(storedItem.amount);
+    if (!Number.isInteger(amount) || amount <= 0) return;
+    if (!product) {
+      result.removed.push(storedItem);
+      return;
+    }
+    const selection = normalizeSelection(product, storedItem.selection);
+    const unitPrice = calculateUnitBasePrice(product, selection);
+    if (typeof storedItem.unitPrice === 'number' && storedItem.unitPrice !== unitPrice) {
+      result.priceChanged.push({ product, oldPrice: storedItem.unitPrice, newPrice: unitPrice });
+    }
+    result.items.push({ product, selection, amount });
+  });
+  return result;
+}
+
+// Loads the stored cart, or an empty result if nothing usable is stored
+function loadCart(catalog, json = getStorage()?.getItem(STORAGE_KEY)) {
+  const data = parseStoredCart(json);
+  if (!data) {
+    return { items: [], removed: [], priceChanged: [], paymentMethod: null, couponCode: null };
+  }
+  return {
+    ...validateStoredItems(data.items, catalog),
+    paymentMethod: data.paymentMethod || null,
+    couponCode: data.couponCode || null,
+  };
+}
+
+// Listens for cart changes made in other tabs
+function onStoredCartChange(callback) {
+  window.addEventListener('storage', e => {
+    if (e.key !== STORAGE_KEY) return;
+    callback(e.newValue);
+  });
+}
+
+export { saveCart, serializeCart, loadCart, onStoredCartChange };
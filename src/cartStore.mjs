@@ -0,0 +1,90 @@
+/**
+ * ==========================================
+ * CART STORE
+ * ==========================================
+ * Holds the cart lines and tells the views when they change, so every change is rendered the same way.
+ * A line is { key, product, selection, amount }, keyed by product and chosen options (see createLineKey).
+ * - createCartStore(): Returns { lines, add, changeAmount, remove, replace, clear, subscribe }
+ *   - lines: The cart lines. Read them directly, but change them only through the store
+ *   - add(product, selection, amount): Adds to the line with the same product and options, or adds a new line
+ *   - changeAmount(key, delta): Changes the amount of a line, a line that gets down to 0 is removed
+ *   - remove(key): Removes a line
+ *   - replace(items): Replaces every line with the items [{ product, selection, amount }], e.g. a stored cart
+ *   - clear(): Empties the cart
+ *   - subscribe(listener): Calls listener({ type, keys, lines }) after every change, with the keys and the lines
+ *     that changed (a removed line is passed as it was). Returns a function that stops listening
+ * =========================================
+ */
+
+import { createLineKey } from './productOptions.mjs';
+
+function createCartStore() {
+  const lines = [];
+  const listeners = new Set();
+
+  function notify(type, changedLines) {
+    const keys = changedLines.map(line => line.key);
+    listeners.forEach(listener => listener({ type, keys, lines: changedLines }));
+  }
+
+  function findLine(key) {
+    return lines.find(line => line.key === key);
+  }
+
+  // Adds to the line of the product and options without telling the listeners, returns the line
+  function addLine(product, selection, amount) {
+    const key = createLineKey(product.id, selection);
+    const line = findLine(key);
+    if (line) {
+      line.amount += amount;
+      return line;
+    }
+    const newLine = { key, product, selection, amount };
+    lines.push(newLine);
+    return newLine;
+  }
+
+  function add(product, selection, amount) {
+    if (amount <= 0) return;
+    notify('add', [addLine(product, selection, amount)]);
+  }
+
+  function changeAmount(key, delta) {
+    const line = findLine(key);
+    if (!line) return;
+    const amount = line.amount + delta;
+    if (amount <= 0) {
+      remove(key);
+      return;
+    }
+    if (amount === line.amount) return;
+    line.amount = amount;
+    notify('update', [line]);
+  }
+
+  function remove(key) {
+    const line = findLine(key);
+    if (!line) return;
+    lines.splice(lines.indexOf(line), 1);
+    notify('remove', [line]);
+  }
+
+  function replace(items) {
+    lines.length = 0;
+    items.forEach(({ product, selection, amount }) => addLine(product, selection, amount));
+    notify('replace', [...lines]);
+  }
+
+  function clear() {
+    replace([]);
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return { lines, add, changeAmount, remove, replace, clear, subscribe };
+}
+
+export { createCartStore };
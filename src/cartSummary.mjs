@@ -0,0 +1,129 @@
+/**
+ * ==========================================
+ * CART SUMMARY
+ * ==========================================
+ * Pure calculation of everything the cart shows, without touching the DOM.
+ * calculateCartSummary(lines, date) takes cart lines ({ product, quantity, selection }) and a point in time
+ * and returns an itemized breakdown:
+ * - lines: Unit price (incl. chosen options), surcharge, discount, VAT rate and total per line
+ * - subtotal: Sum of all line totals
+ * - orderDiscounts: Order level adjustments (Monday discount, campaigns)
+ * - coupon: The promo code passed in options.couponCode, with its discount or why it can't be used
+ * - freight: Shipping cost for options.delivery { method, zipcode }, by delivery zone (Rule 5, see deliveryZones.mjs)
+ * - vat: Net amount, VAT per rate and gross total (see vat.mjs)
+ * - total: Grand total incl. freight and VAT
+ * - appliedRules: Every pricing rule that changed a price
+ * =========================================
+ */
+
+import { priceProduct, priceOrder } from './pricingRules.mjs';
+import { calculateUnitBasePrice, describeSelection } from './productOptions.mjs';
+import { normalizeCode, validateCoupon, calculateCouponDiscount } from './coupons.mjs';
+import { localize } from './i18n.mjs';
+import { getVatRate, calculateVatBreakdown } from './vat.mjs';
+import { calculateFreight } from './deliveryZones.mjs';
+
+// Rounds an amount to whole öre
+function roundMoney(amount) {
+  return Math.round((amount + Number.EPSILON) * 100) / 100;
+}
+
+// Sums the signed amounts of the adjustments of one type
+function sumAdjustments(adjustments, type) {
+  return adjustments
+    .filter(adjustment => adjustment.type === type)
+    .reduce((sum, adjustment) => sum + adjustment.amount, 0);
+}
+
+// Prices a single cart line
+function calculateLine({ product, quantity, selection = {} }, date, categoryQuantity) {
+  // Pricing rules work on the unit price including the chosen options
+  const unitBasePrice = calculateUnitBasePrice(product, selection);
+  const pricing = priceProduct({ ...product, price: unitBasePrice }, { date, categoryQuantity });
+  return {
+    product,
+    quantity,
+    selection,
+    optionsLabel: describeSelection(product, selection),
+    unitBasePrice: pricing.basePrice,
+    unitPrice: roundMoney(pricing.price),
+    surcharge: roundMoney(sumAdjustments(pricing.adjustments, 'surcharge') * quantity),
+    discount: roundMoney(-sumAdjustments(pricing.adjustments, 'discount') * quantity),
+    lineTotal: roundMoney(pricing.price * quantity),
+    vatRate: getVatRate(product),
+    adjustments: pricing.adjustments,
+  };
+}
+
+// Calculates the full cart breakdown for the given point in time
+// options.couponCode: Promo code entered by the customer (see coupons.mjs)
+// options.delivery: { method, zipcode } chosen in the customer details (see deliveryZones.mjs)
+function calculateCartSummary(cartLines, date = new Date(), { couponCode = null, couponUsage, delivery } = {}) {
+  // Count items by category for bulk discount calculation (Rule 4)
+  const categoryCount = {};
+  cartLines.forEach(({ product, quantity }) => {
+    categoryCount[product.category] = (categoryCount[product.category] || 0) + quantity;
+  });
+
+  const lines = cartLines.map(line => calculateLine(line, date, categoryCount[line.product.category]));
+  const itemCount = lines.reduce((sum, line) => sum + line.quantity, 0);
+  const subtotal = roundMoney(lines.reduce((sum, line) => sum + line.lineTotal, 0));
+
+  // Order level rules (Monday discount, campaigns)
+  const orderPricing = priceOrder(subtotal, { date });
+  const orderDiscounts = orderPricing.adjustments.map(adjustment => ({
+    ...adjustment,
+    amount: roundMoney(adjustment.amount),
+  }));
+  const totalAfterOrderDiscounts = roundMoney(subtotal + orderDiscounts.reduce((sum, item) => sum + item.amount, 0));
+
+  // Promo code, applied after the automatic discounts
+  let coupon = null;
+  if (couponCode) {
+    const validation = validateCoupon(couponCode, { date, lines, subtotal, orderDiscounts, usage: couponUsage });
+    coupon = {
+      code: validation.coupon ? validation.coupon.code : normalizeCode(couponCode),
+      label: validation.coupon ? localize(validation.coupon, 'label') : '',
+      valid: validation.valid,
+      error: validation.error,
+      message: validation.message,
+      amount: validation.valid
+        ? -roundMoney(calculateCouponDiscount(validation.coupon, lines, totalAfterOrderDiscounts))
+        : 0,
+    };
+  }
+  const totalAfterDiscount = roundMoney(totalAfterOrderDiscounts + (coupon ? coupon.amount : 0));
+
+  const freight = calculateFreight(delivery, itemCount, totalAfterDiscount);
+
+  // VAT per rate. With VAT-exclusive prices the VAT is added on top, so the total is always the gross amount
+  const vat = calculateVatBreakdown({
+    lines: lines.map(line => ({ rate: line.vatRate, amount: line.lineTotal })),
+    adjustments: [...orderDiscounts.map(discount => discount.amount), ...(coupon ? [coupon.amount] : [])],
+    freight: freight.amount,
+  });
+
+  // Every rule that changed a price, listed once
+  const appliedRules = [];
+  [...lines.flatMap(line => line.adjustments), ...orderPricing.adjustments].forEach(adjustment => {
+    if (!appliedRules.some(rule => rule.ruleId === adjustment.ruleId)) {
+      appliedRules.push({ ruleId: adjustment.ruleId, label: adjustment.label, type: adjustment.type });
+    }
+  });
+
+  return {
+    date,
+    lines,
+    itemCount,
+    subtotal,
+    orderDiscounts,
+    coupon,
+    discountTotal: roundMoney(subtotal - totalAfterDiscount),
+    freight,
+    vat,
+    total: vat.gross,
+    appliedRules,
+  };
+}
+
+export { calculateCartSummary, roundMoney };
@@ -0,0 +1,104 @@
+/**
+ * ==========================================
+ * CATALOG
+ * ==========================================
+ * The managed product catalog. Staff change it in the catalog admin view and the storefront reads it from here.
+ * products.mjs is the default seed: it is used until a catalog has been saved, and again after a reset.
+ * A saved catalog is kept in localStorage as { version, savedAt, products }. A stored catalog that no longer
+ * passes the schema (see catalogSchema.mjs) is ignored and the seed is used instead.
+ * - catalog: Every product, archived ones included (for the admin view)
+ * - products: The products on the menu, without the archived ones (for the storefront)
+ *   Both arrays are updated in place, so every module holding them sees the current catalog
+ * - saveCatalog(products): Checks, saves and applies a new catalog. Returns the validateCatalog result,
+ *   nothing is changed when it is not valid
+ * - resetCatalog(): Goes back to the products in products.mjs
+ * - getSeedCatalog(): A copy of the products in products.mjs, e.g. to show what a reset would change
+ * - onCatalogChange(listener): Calls listener() after the catalog changed, in this tab or in another one
+ * =========================================
+ */
+
+import seedProducts from './products.mjs';
+import { validateCatalog } from './catalogSchema.mjs';
+
+const CATALOG_STORAGE_KEY = 'alexGoodies.catalog';
+const CATALOG_VERSION = 1;
+
+const catalog = [];
+const products = [];
+const listeners = new Set();
+
+// Returns localStorage, or null when the browser blocks it (private mode, disabled cookies)
+function getStorage() {
+  try {
+    return window.localStorage;
+  } catch {
+    return null;
+  }
+}
+
+// The stored products, or null when nothing usable is stored
+function readStoredCatalog(json = getStorage()?.getItem(CATALOG_STORAGE_KEY)) {
+  if (!json) return null;
+  try {
+    const data = JSON.parse(json);
+    if (data?.version !== CATALOG_VERSION || !validateCatalog(data.products).valid) return null;
+    return data.products;
+  } catch {
+    return null;
+  }
+}
+
+// Replaces the contents of both arrays. The seed is copied, so changes never touch products.mjs
+function applyCatalog(storedProducts) {
+  const list = storedProducts || getSeedCatalog();
+  catalog.splice(0, catalog.length, ...list);
+  products.splice(0, products.length, ...list.filter(product => !product.archived));
+}
+
+function notifyListeners() {
+  listeners.forEach(listener => listener());
+}
+
+function saveCatalog(newProducts) {
+  const result = validateCatalog(newProducts);
+  if (!result.valid) return result;
+  const data = { version: CATALOG_VERSION, savedAt: new Date().toISOString(), products: newProducts };
+  try {
+    getStorage()?.setItem(CATALOG_STORAGE_KEY, JSON.stringify(data));
+  } catch {
+    // Storage full or blocked - the catalog only lasts until the page is reloaded
+  }
+  applyCatalog(structuredClone(newProducts));
+  notifyListeners();
+  return result;
+}
+
+function resetCatalog() {
+  try {
+    getStorage()?.removeItem(CATALOG_STORAGE_KEY);
+  } catch {
+    // Nothing was stored
+  }
+  applyCatalog(null);
+  notifyListeners();
+}
+
+function getSeedCatalog() {
+  return structuredClone(seedProducts);
+}
+
+function onCatalogChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Another tab saved or reset the catalog
+window.addEventListener('storage', e => {
+  if (e.key !== CATALOG_STORAGE_KEY) return;
+  applyCatalog(readStoredCatalog(e.newValue));
+  notifyListeners();
+});
+
+applyCatalog(readStoredCatalog());
+
+export { catalog, products, saveCatalog, resetCatalog, getSeedCatalog, onCatalogChange };
@@ -0,0 +1,382 @@
+/**
+ * ==========================================
+ * CATALOG SCHEMA
+ * ==========================================
+ * The rules every product in the managed catalog must follow, and the conversions used by the
+ * catalog admin view to import, export and compare catalogs.
+ * - catalogCategories: The categories the shop knows (the filter and the messages have one entry each)
+ * - catalogFields: The fields of a product as a flat record - the CSV columns and the admin form fields
+ * - productToRecord(product) / recordToProduct(record, base): Product <-> flat record. Translations and
+ *   options have no column, they are kept from base (the product the record replaces). Allergens and diets
+ *   are lists of ids separated by spaces, e.g. "peanuts sesame"
+ * - validateProduct(product, otherProducts): { valid, errors: { field: message } }
+ *   Ids are unique positive whole numbers, name, image with size and alt text are required, prices are positive
+ *   and categories and VAT classes must be known. Texts, translations included, can not contain < > or ".
+ *   Option groups and choices need an id (letters, digits, - and _) and a label. Allergens and diets must be
+ *   known (see dietary.mjs) and spice levels, of the product and of its choices, are 0 to MAX_SPICE_LEVEL
+ * - validateCatalog(products): { valid, errors: [{ index, id, field, message }] } for a whole catalog
+ * - diffCatalogs(current, next): { added, removed, changed: [{ product, fields: [{ field, from, to }] }], hasChanges }
+ * - catalogToJson / catalogFromJson, catalogToCsv / catalogFromCsv: The whole catalog as a file.
+ *   The parse functions throw an Error with a message for the admin when the file can not be read
+ * Messages are in the active language.
+ * =========================================
+ */
+
+import { t, formatList } from './i18n.mjs';
+import { vatClasses } from './vat.mjs';
+import { toCsv, parseCsv } from './csv.mjs';
+import { MAX_SPICE_LEVEL, allergenIds, dietIds } from './dietary.mjs';
+
+const CATALOG_FILE_VERSION = 1;
+
+const catalogCategories = ['snacks', 'food', 'drinks'];
+
+const catalogFields = [
+  'id',
+  'name',
+  'description',
+  'price',
+  'category',
+  'vatClass',
+  'imgSrc',
+  'imgWidth',
+  'imgHeight',
+  'imgAlt',
+  'popularity',
+  'stock',
+  'allergens',
+  'dietary',
+  'spiceLevel',
+  'available',
+  'archived',
+];
+const requiredCsvColumns = ['id', 'name', 'price', 'category', 'imgSrc', 'imgAlt'];
+
+// Fields whose text is translated in product.translations
+const translatedFields = { name: 'name', description: 'description', imgAlt: 'alt' };
+
+// Relative paths (./images/a.webp, /images/a.webp) and http(s) addresses, without quotes or spaces
+const IMAGE_SRC_PATTERN = /^(\.{0,2}\/|https?:\/\/)[^\s"'<>]+$/;
+
+// Reads a number from a form or CSV field: null when empty, NaN when it is not a number
+function toNumber(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  const number = typeof value === 'number' ? value : Number(String(value).trim().replace(',', '.'));
+  return Number.isFinite(number) ? number : NaN;
+}
+
+// Reads a yes/no field, the fallback is used when it is empty
+function toBoolean(value, fallback) {
+  if (typeof value === 'boolean') return value;
+  const text = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  if (['true', 'yes', '1'].includes(text)) return true;
+  if (['false', 'no', '0'].includes(text)) return false;
+  return fallback;
+}
+
+// Reads a list of ids, separated by spaces or commas
+function toList(value) {
+  return String(value ?? '')
+    .split(/[\s,]+/)
+    .filter(Boolean);
+}
+
+function productToRecord(product) {
+  return {
+    id: product.id ?? '',
+    name: product.name ?? '',
+    description: product.description ?? '',
+    price: product.price ?? '',
+    category: product.category ?? '',
+    vatClass: product.vatClass ?? '',
+    imgSrc: product.img?.src ?? '',
+    imgWidth: product.img?.width ?? '',
+    imgHeight: product.img?.height ?? '',
+    imgAlt: product.img?.alt ?? '',
+    popularity: product.popularity ?? '',
+    stock: product.stock ?? '',
+    allergens: Array.isArray(product.allergens) ? product.allergens.join(' ') : '',
+    dietary: Array.isArray(product.dietary) ? product.dietary.join(' ') : '',
+    spiceLevel: product.spiceLevel ?? '',
+    available: product.available !== false,
+    archived: product.archived === true,
+  };
+}
+
+// Builds a product from a record. Values that can not be read are kept as they are, so validateProduct reports them
+function recordToProduct(record, base = {}) {
+  const text = field => String(record[field] ?? '').trim();
+  const product = {
+    ...base,
+    id: toNumber(record.id),
+    name: text('name'),
+    description: text('description'),
+    price: toNumber(record.price),
+    category: text('category'),
+    img: {
+      src: text('imgSrc'),
+      width: toNumber(record.imgWidth),
+      height: toNumber(record.imgHeight),
+      alt: text('imgAlt'),
+    },
+    popularity: toNumber(record.popularity) ?? 0,
+    available: toBoolean(record.available, true),
+    archived: toBoolean(record.archived, false),
+  };
+  if (text('vatClass')) product.vatClass = text('vatClass');
+  else delete product.vatClass;
+  if (toNumber(record.stock) !== null) product.stock = toNumber(record.stock);
+  else delete product.stock;
+  // An empty allergen field means "not known" when it was not known before, and "none" when it was
+  if (text('allergens') || Array.isArray(base.allergens)) product.allergens = toList(record.allergens);
+  else delete product.allergens;
+  product.dietary = toList(record.dietary);
+  product.spiceLevel = toNumber(record.spiceLevel) ?? 0;
+
+  // A translation of a text that was changed is out of date, the new text is shown in every language instead
+  if (base.translations) {
+    const baseRecord = productToRecord(base);
+    product.translations = Object.fromEntries(
+      Object.entries(base.translations).map(([locale, translation]) => {
+        const kept = { ...translation };
+        Object.entries(translatedFields).forEach(([field, key]) => {
+          if (String(baseRecord[field]).trim() !== text(field)) delete kept[key];
+        });
+        return [locale, kept];
+      })
+    );
+  }
+  return product;
+}
+
+const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+const isSpiceLevel = value => Number.isInteger(value) && value >= 0 && value <= MAX_SPICE_LEVEL;
+const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+// The storefront escapes every text, these characters are refused as well so a text never reads as markup
+const containsHtml = value => /[<>"]/.test(value);
+const isPlainText = value => typeof value === 'string' && !containsHtml(value);
+// Option ids end up in field names and selectors
+const OPTION_ID_PATTERN = /^[\w-]+$/;
+
+// translations: { sv: { name: 'Vårrullar', alt: '...' } }, every translated text plain
+function hasValidTranslations(translations) {
+  if (translations === undefined) return true;
+  return (
+    isObject(translations) &&
+    Object.values(translations).every(
+      translation => isObject(translation) && Object.values(translation).every(isPlainText)
+    )
+  );
+}
+
+// An option group or choice: an id, a label and its translations
+function isValidOptionPart(part) {
+  return (
+    isObject(part) &&
+    OPTION_ID_PATTERN.test(part.id) &&
+    isPlainText(part.label) &&
+    part.label.trim() !== '' &&
+    hasValidTranslations(part.translations)
+  );
+}
+
+// A choice may change the price and the spice level and add allergens
+function isValidChoice(choice) {
+  return (
+    isValidOptionPart(choice) &&
+    (choice.priceDelta === undefined || Number.isFinite(choice.priceDelta)) &&
+    (choice.spiceLevel === undefined || isSpiceLevel(choice.spiceLevel)) &&
+    (choice.allergens === undefined ||
+      (Array.isArray(choice.allergens) && choice.allergens.every(id => allergenIds.includes(id))))
+  );
+}
+
+// options: groups with at least one choice each (see productOptions.mjs)
+function isValidOptionGroup(group) {
+  return (
+    isValidOptionPart(group) &&
+    ['single', 'multiple'].includes(group.type) &&
+    Array.isArray(group.choices) &&
+    group.choices.length > 0 &&
+    group.choices.every(isValidChoice)
+  );
+}
+
+function validateProduct(product, otherProducts = []) {
+  const errors = {};
+  if (!isObject(product)) {
+    return { valid: false, errors: { product: t('admin.error.product') } };
+  }
+  const img = product.img || {};
+
+  if (!isPositiveInteger(product.id)) {
+    errors.id = t('admin.error.id');
+  } else if (otherProducts.some(other => other?.id === product.id)) {
+    errors.id = t('admin.error.idTaken', { id: String(product.id) });
+  }
+
+  [
+    ['name', product.name, true],
+    ['description', product.description, false],
+    ['imgAlt', img.alt, true],
+  ].forEach(([field, value, required]) => {
+    if (value !== undefined && typeof value !== 'string') {
+      errors[field] = t('validation.invalid');
+    } else if (required && !value?.trim()) {
+      errors[field] = field === 'imgAlt' ? t('admin.error.alt') : t('validation.required');
+    } else if (value && containsHtml(value)) {
+      errors[field] = t('admin.error.html');
+    }
+  });
+
+  if (typeof product.price !== 'number' || !Number.isFinite(product.price) || product.price <= 0) {
+    errors.price = t('admin.error.price');
+  }
+  if (!catalogCategories.includes(product.category)) {
+    errors.category = t('admin.error.category', {
+      categories: formatList(catalogCategories),
+    });
+  }
+  if (product.vatClass !== undefined && !vatClasses[product.vatClass]) {
+    errors.vatClass = t('admin.error.vatClass', { classes: formatList(Object.keys(vatClasses)) });
+  }
+
+  if (typeof img.src !== 'string' || !img.src.trim()) {
+    errors.imgSrc = t('validation.required');
+  } else if (!IMAGE_SRC_PATTERN.test(img.src)) {
+    errors.imgSrc = t('admin.error.imgSrc');
+  }
+  [
+    ['imgWidth', img.width],
+    ['imgHeight', img.height],
+  ].forEach(([field, value]) => {
+    if (!isPositiveInteger(value)) errors[field] = t('admin.error.size');
+  });
+
+  ['popularity', 'stock'].forEach(field => {
+    const value = product[field];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) errors[field] = t('admin.error.count');
+  });
+  [
+    ['allergens', allergenIds],
+    ['dietary', dietIds],
+  ].forEach(([field, knownIds]) => {
+    const value = product[field];
+    if (value !== undefined && !(Array.isArray(value) && value.every(id => knownIds.includes(id)))) {
+      errors[field] = t('admin.error.ids', { ids: knownIds.join(' ') });
+    }
+  });
+  if (!hasValidTranslations(product.translations)) errors.translations = t('admin.error.translations');
+  if (product.options !== undefined && !(Array.isArray(product.options) && product.options.every(isValidOptionGroup))) {
+    errors.options = t('admin.error.options', { max: MAX_SPICE_LEVEL });
+  }
+  if (product.spiceLevel !== undefined && !isSpiceLevel(product.spiceLevel)) {
+    errors.spiceLevel = t('admin.error.spiceLevel', { max: MAX_SPICE_LEVEL });
+  }
+  ['available', 'archived'].forEach(field => {
+    if (product[field] !== undefined && typeof product[field] !== 'boolean') errors[field] = t('validation.invalid');
+  });
+  return { valid: Object.keys(errors).length === 0, errors };
+}
+
+// Checks every product. A duplicate id is reported on the later product
+function validateCatalog(products) {
+  if (!Array.isArray(products)) {
+    return { valid: false, errors: [{ index: null, id: null, field: null, message: t('admin.error.notAList') }] };
+  }
+  const errors = [];
+  if (products.length === 0) {
+    errors.push({ index: null, id: null, field: null, message: t('admin.error.empty') });
+  }
+  products.forEach((product, index) => {
+    const result = validateProduct(product, products.slice(0, index));
+    Object.entries(result.errors).forEach(([field, message]) => {
+      errors.push({ index, id: product?.id ?? null, field, message });
+    });
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+// Compares two catalogs by product id, field by field
+function diffCatalogs(current, next) {
+  const added = next.filter(product => !current.some(other => other.id === product.id));
+  const removed = current.filter(product => !next.some(other => other.id === product.id));
+  const changed = [];
+  next.forEach(product => {
+    const before = current.find(other => other.id === product.id);
+    if (!before) return;
+    const from = productToRecord(before);
+    const to = productToRecord(product);
+    const fields = catalogFields
+      .filter(field => String(from[field]).trim() !== String(to[field]).trim())
+      .map(field => ({ field, from: from[field], to: to[field] }));
+    // Translations and options are compared as a whole
+    ['translations', 'options'].forEach(field => {
+      if (JSON.stringify(before[field] ?? null) !== JSON.stringify(product[field] ?? null)) {
+        fields.push({ field, from: null, to: null });
+      }
+    });
+    if (fields.length > 0) changed.push({ product, fields });
+  });
+  return { added, removed, changed, hasChanges: added.length + removed.length + changed.length > 0 };
+}
+
+function catalogToJson(products) {
+  return JSON.stringify({ version: CATALOG_FILE_VERSION, exportedAt: new Date().toISOString(), products }, null, 2);
+}
+
+// Accepts an exported catalog ({ version, products }) or a plain list of products
+function catalogFromJson(text) {
+  let data;
+  try {
+    data = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+  } catch {
+    throw new Error(t('admin.error.json'));
+  }
+  const products = Array.isArray(data) ? data : data?.products;
+  if (!Array.isArray(products)) throw new Error(t('admin.error.notAList'));
+  return products;
+}
+
+// One row per product, archived ones included
+function catalogToCsv(products) {
+  return toCsv([
+    catalogFields,
+    ...products.map(product => {
+      const record = productToRecord(product);
+      return catalogFields.map(field => record[field]);
+    }),
+  ]);
+}
+
+// Reads the rows into products. current is the catalog the import replaces: columns the file leaves out,
+// translations and options are kept from the product with the same id
+function catalogFromCsv(text, current = []) {
+  const [header = [], ...rows] = parseCsv(text);
+  const columns = header.map(column => column.trim());
+  const missing = requiredCsvColumns.filter(column => !columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(t('admin.error.csvColumns', { columns: formatList(missing) }));
+  }
+  return rows.map(row => {
+    const values = Object.fromEntries(columns.map((column, index) => [column, row[index] ?? '']));
+    const base = current.find(product => product.id === toNumber(values.id));
+    return base ? recordToProduct({ ...productToRecord(base), ...values }, base) : recordToProduct(values);
+  });
+}
+
+export {
+  catalogCategories,
+  catalogFields,
+  productToRecord,
+  recordToProduct,
+  validateProduct,
+  validateCatalog,
+  diffCatalogs,
+  catalogToJson,
+  catalogFromJson,
+  catalogToCsv,
+  catalogFromCsv,
+};
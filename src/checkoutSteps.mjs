@@ -0,0 +1,56 @@
+/**
+ * ==========================================
+ * CHECKOUT STEPS
+ * ==========================================
+ * The checkout as a fixed sequence of steps:
+ * cart review -> customer details -> payment method -> payment details -> order review -> confirmation.
+ * A step can only be entered when every step before it is complete, so a step can't be skipped by
+ * typing its URL or using the browser history.
+ * - createCheckoutFlow(isStepComplete): isStepComplete(stepId) tells if the customer may leave a step.
+ *   Returns { resolveStep, getFirstIncompleteStep, getNextStep, getPreviousStep }
+ * The confirmation step is only reached by placing the order, never by navigating.
+ * Step names are message keys (labelKey), translated by the view (see i18n.mjs).
+ * =========================================
+ */
+
+const checkoutSteps = [
+  { id: 'cart', labelKey: 'checkout.step.cart' },
+  { id: 'customer', labelKey: 'checkout.step.customer' },
+  { id: 'paymentMethod', labelKey: 'checkout.step.paymentMethod' },
+  { id: 'paymentDetails', labelKey: 'checkout.step.paymentDetails' },
+  { id: 'review', labelKey: 'checkout.step.review' },
+  { id: 'confirmation', labelKey: 'checkout.step.confirmation' },
+];
+
+const stepIds = checkoutSteps.map(step => step.id);
+const LAST_NAVIGABLE_STEP = 'review';
+
+function createCheckoutFlow(isStepComplete) {
+  // The first step before stepId that is not complete, or null when all of them are
+  function getFirstIncompleteStep(stepId = LAST_NAVIGABLE_STEP) {
+    const index = stepIds.indexOf(stepId);
+    return stepIds.slice(0, index).find(id => !isStepComplete(id)) || null;
+  }
+
+  // The step to show for a requested step: the requested one when it may be entered, otherwise the
+  // first step that still needs the customer. Unknown steps resume where the customer left off
+  function resolveStep(requestedStep) {
+    const target = stepIds.indexOf(requestedStep);
+    if (target === -1 || requestedStep === 'confirmation') {
+      return getFirstIncompleteStep() || LAST_NAVIGABLE_STEP;
+    }
+    return getFirstIncompleteStep(requestedStep) || requestedStep;
+  }
+
+  function getNextStep(stepId) {
+    return stepIds[stepIds.indexOf(stepId) + 1] || null;
+  }
+
+  function getPreviousStep(stepId) {
+    return stepIds[stepIds.indexOf(stepId) - 1] || null;
+  }
+
+  return { resolveStep, getFirstIncompleteStep, getNextStep, getPreviousStep };
+}
+
+export { checkoutSteps, createCheckoutFlow };
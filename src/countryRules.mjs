@@ -0,0 +1,315 @@
+/**
+ * ==========================================
+ * COUNTRY RULES
+ * ==========================================
+ * Address, phone and tax number rules for the countries in the invoice form.
+ * Each country declares:
+ * - name: Used in messages ("the United States"), translations: { sv: { name }, vi: { name } } (see i18n.mjs)
+ * - postalCode: { label, pattern, example } - the pattern is tested on the trimmed, uppercased value
+ * - phone: { pattern, example } - tested with spaces, dashes, dots and parentheses removed
+ * - state: { label, required, codes } - codes lists the accepted abbreviations when there is a fixed list
+ * - taxId: { label, example, formats: [{ pattern, checksum }] } - tested with spaces, dots and dashes removed.
+ *   checksum(digits) gets the first capture group of the pattern (or the whole number)
+ * - vatPrefix: Set for EU countries. A VAT number with another country's prefix is rejected
+ * All validate* functions return { valid, message }, where message is shown under the field in the active language.
+ * =========================================
+ */
+
+import { passesLuhn } from './cardValidation.mjs';
+import { t, localize } from './i18n.mjs';
+
+// Germany: ISO 7064 MOD 11,10 over the first 8 digits
+function germanVatChecksum(digits) {
+  let product = 10;
+  for (let i = 0; i < 8; i++) {
+    let sum = (Number(digits[i]) + product) % 10;
+    if (sum === 0) sum = 10;
+    product = (2 * sum) % 11;
+  }
+  const checkDigit = (11 - product) % 10;
+  return checkDigit === Number(digits[8]);
+}
+
+// France: the two-digit key is calculated from the SIREN (the last 9 digits)
+function frenchVatChecksum(number) {
+  const key = number.slice(0, 2);
+  if (!/^\d{2}$/.test(key)) return true; // Keys with letters are issued to some companies and have no simple check
+  const siren = Number(number.slice(2));
+  return Number(key) === (12 + 3 * (siren % 97)) % 97;
+}
+
+// Spain: a check letter for personal numbers (DNI), a check digit or letter for companies (CIF)
+function spanishVatChecksum(number) {
+  if (/^\d{8}[A-Z]$/.test(number)) {
+    return 'TRWAGMYFPDXBNJZSQVHLCKE'[Number(number.slice(0, 8)) % 23] === number[8];
+  }
+  if (/^[A-HJNP-SUVW]\d{7}[0-9A-J]$/.test(number)) {
+    const digits = number.slice(1, 8);
+    let sum = 0;
+    for (let i = 0; i < 7; i++) {
+      let digit = Number(digits[i]);
+      if (i % 2 === 0) {
+        digit *= 2;
+        if (digit > 9) digit -= 9;
+      }
+      sum += digit;
+    }
+    const control = (10 - (sum % 10)) % 10;
+    return number[8] === String(control) || number[8] === 'JABCDEFGHI'[control];
+  }
+  return true; // Other number types (e.g. for foreigners) are checked by format only
+}
+
+// Netherlands: the old "elfproef" (weights 9..2 and -1) or, for newer numbers, MOD 97 over the whole number
+function dutchVatChecksum(number) {
+  const digits = number.slice(0, 9);
+  const weighted = [...digits].reduce((sum, digit, i) => sum + Number(digit) * (i === 8 ? -1 : 9 - i), 0);
+  if (weighted % 11 === 0) return true;
+  const numeric = `NL${number}`.replace(/[A-Z]/g, letter => String(letter.charCodeAt(0) - 55));
+  return BigInt(numeric) % 97n === 1n;
+}
+
+// United Kingdom: weights 8..2 over the first 7 digits plus the last 2 digits, MOD 97 (old and new series)
+function britishVatChecksum(digits) {
+  const nine = digits.slice(0, 9);
+  const total =
+    [...nine.slice(0, 7)].reduce((sum, digit, i) => sum + Number(digit) * (8 - i), 0) + Number(nine.slice(7));
+  return total % 97 === 0 || (total + 55) % 97 === 0;
+}
+
+// Australia: ABN - subtract 1 from the first digit, weighted sum must be divisible by 89
+function australianAbnChecksum(digits) {
+  const weights = [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19];
+  const sum = [...digits].reduce((total, digit, i) => total + (Number(digit) - (i === 0 ? 1 : 0)) * weights[i], 0);
+  return sum % 89 === 0;
+}
+
+const US_STATES =
+  'AL AK AZ AR CA CO CT DE DC FL GA HI ID IL IN IA KS KY LA ME MD MA MI MN MS MO MT NE NV NH NJ NM NY NC ND OH OK OR PA RI SC SD TN TX UT VT VA WA WV WI WY'.split(
+    ' '
+  );
+const CA_PROVINCES = 'AB BC MB NB NL NS NT NU ON PE QC SK YT'.split(' ');
+const AU_STATES = 'ACT NSW NT QLD SA TAS VIC WA'.split(' ');
+const NANP_PHONE = { pattern: /^(\+?1)?[2-9]\d{2}[2-9]\d{6}$/, example: '+1 (212) 555-0123' };
+
+const countryRules = {
+  US: {
+    name: 'the United States',
+    translations: { sv: { name: 'USA' }, vi: { name: 'Hoa Kỳ' } },
+    postalCode: { label: 'ZIP Code', pattern: /^\d{5}(-\d{4})?$/, example: '10001' },
+    phone: NANP_PHONE,
+    state: { label: 'State', required: true, codes: US_STATES, example: 'NY' },
+    taxId: { label: 'EIN', example: '12-3456789', formats: [{ pattern: /^\d{9}$/ }] },
+  },
+  CA: {
+    name: 'Canada',
+    translations: { sv: { name: 'Kanada' }, vi: { name: 'Canada' } },
+    postalCode: { label: 'Postal Code', pattern: /^[ABCEGHJ-NPRSTVXY]\d[A-Z] ?\d[A-Z]\d$/, example: 'K1A 0B1' },
+    phone: NANP_PHONE,
+    state: { label: 'Province / Territory', required: true, codes: CA_PROVINCES, example: 'ON' },
+    taxId: {
+      label: 'Business Number',
+      example: '123456782RT0001',
+      formats: [{ pattern: /^(\d{9})(RT\d{4})?$/, checksum: passesLuhn }],
+    },
+  },
+  GB: {
+    name: 'the United Kingdom',
+    translations: { sv: { name: 'Storbritannien' }, vi: { name: 'Vương quốc Anh' } },
+    postalCode: { label: 'Postcode', pattern: /^[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2}$/, example: 'SW1A 1AA' },
+    phone: { pattern: /^(\+44|0)\d{9,10}$/, example: '+44 20 7946 0958' },
+    state: { label: 'County', required: false, example: 'Greater London' },
+    taxId: {
+      label: 'VAT Number',
+      example: 'GB980780684',
+      formats: [{ pattern: /^(?:GB)?(\d{9}|\d{12})$/, checksum: britishVatChecksum }],
+    },
+  },
+  AU: {
+    name: 'Australia',
+    translations: { sv: { name: 'Australien' }, vi: { name: 'Úc' } },
+    postalCode: { label: 'Postcode', pattern: /^\d{4}$/, example: '2000' },
+    phone: { pattern: /^(\+61|0)[2-478]\d{8}$/, example: '+61 2 9876 5432' },
+    state: { label: 'State / Territory', required: true, codes: AU_STATES, example: 'NSW' },
+    taxId: {
+      label: 'ABN',
+      example: '51 824 753 556',
+      formats: [{ pattern: /^\d{11}$/, checksum: australianAbnChecksum }],
+    },
+  },
+  DE: {
+    name: 'Germany',
+    translations: { sv: { name: 'Tyskland' }, vi: { name: 'Đức' } },
+    postalCode: { label: 'Postleitzahl', pattern: /^\d{5}$/, example: '10115' },
+    phone: { pattern: /^(\+49|0)\d{6,13}$/, example: '+49 30 1234567' },
+    state: { label: 'State (Bundesland)', required: false, example: 'Berlin' },
+    taxId: {
+      label: 'VAT Number (USt-IdNr.)',
+      example: 'DE136695976',
+      formats: [{ pattern: /^DE(\d{9})$/, checksum: germanVatChecksum }],
+    },
+    vatPrefix: 'DE',
+  },
+  FR: {
+    name: 'France',
+    translations: { sv: { name: 'Frankrike' }, vi: { name: 'Pháp' } },
+    postalCode: { label: 'Code Postal', pattern: /^\d{5}$/, example: '75001' },
+    phone: { pattern: /^(\+33|0)[1-9]\d{8}$/, example: '+33 1 23 45 67 89' },
+    state: { label: 'Region', required: false, example: 'Île-de-France' },
+    taxId: {
+      label: 'VAT Number (TVA)',
+      example: 'FR40303265045',
+      formats: [{ pattern: /^FR([0-9A-HJ-NP-Z]{2}\d{9})$/, checksum: frenchVatChecksum }],
+    },
+    vatPrefix: 'FR',
+  },
+  IT: {
+    name: 'Italy',
+    translations: { sv: { name: 'Italien' }, vi: { name: 'Ý' } },
+    postalCode: { label: 'CAP', pattern: /^\d{5}$/, example: '00118' },
+    phone: { pattern: /^(\+39)?(0\d{5,10}|3\d{8,9})$/, example: '+39 06 1234 5678' },
+    state: { label: 'Province', required: true, pattern: /^[A-Z]{2}$/, example: 'RM' },
+    taxId: {
+      label: 'VAT Number (Partita IVA)',
+      example: 'IT00743110157',
+      formats: [{ pattern: /^IT(\d{11})$/, checksum: passesLuhn }],
+    },
+    vatPrefix: 'IT',
+  },
+  ES: {
+    name: 'Spain',
+    translations: { sv: { name: 'Spanien' }, vi: { name: 'Tây Ban Nha' } },
+    postalCode: { label: 'Código Postal', pattern: /^(0[1-9]|[1-4]\d|5[0-2])\d{3}$/, example: '28001' },
+    phone: { pattern: /^(\+34)?[6789]\d{8}$/, example: '+34 912 345 678' },
+    state: { label: 'Province', required: false, example: 'Madrid' },
+    taxId: {
+      label: 'VAT Number (NIF-IVA)',
+      example: 'ESA12345674',
+      formats: [{ pattern: /^ES([0-9A-Z]\d{7}[0-9A-Z])$/, checksum: spanishVatChecksum }],
+    },
+    vatPrefix: 'ES',
+  },
+  NL: {
+    name: 'the Netherlands',
+    translations: { sv: { name: 'Nederländerna' }, vi: { name: 'Hà Lan' } },
+    postalCode: { label: 'Postcode', pattern: /^[1-9]\d{3} ?[A-Z]{2}$/, example: '1011 AB' },
+    phone: { pattern: /^(\+31|0)\d{9}$/, example: '+31 20 123 4567' },
+    state: { label: 'Province', required: false, example: 'Noord-Holland' },
+    taxId: {
+      label: 'VAT Number (btw-id)',
+      example: 'NL004495445B01',
+      formats: [{ pattern: /^NL(\d{9}B\d{2})$/, checksum: dutchVatChecksum }],
+    },
+    vatPrefix: 'NL',
+  },
+  SE: {
+    name: 'Sweden',
+    translations: { sv: { name: 'Sverige' }, vi: { name: 'Thụy Điển' } },
+    postalCode: { label: 'Postnummer', pattern: /^\d{3} ?\d{2}$/, example: '123 45' },
+    phone: { pattern: /^(\+46|0)[1-9]\d{6,8}$/, example: '+46 8 123 456 78' },
+    state: { label: 'County (Län)', required: false, example: 'Stockholms län' },
+    taxId: {
+      label: 'VAT or Organisation Number',
+      example: 'SE556036079301',
+      formats: [
+        { pattern: /^SE(\d{10})01$/, checksum: passesLuhn },
+        { pattern: /^(\d{10})$/, checksum: passesLuhn },
+      ],
+    },
+    vatPrefix: 'SE',
+  },
+};
+
+// Two-letter prefixes of all EU VAT numbers, to tell "another country's number" from a typo
+const EU_VAT_PREFIXES = 'AT BE BG CY CZ DE DK EE EL ES FI FR HR HU IE IT LT LU LV MT NL PL PT RO SE SI SK'.split(' ');
+
+// Returns the rules for a country code, or null when the country is unknown
+function getCountryRules(countryCode) {
+  return countryRules[countryCode] || null;
+}
+
+const VALID = { valid: true, message: '' };
+
+// Checks the postal code format of the country
+function validatePostalCode(value, countryCode) {
+  const rules = getCountryRules(countryCode);
+  const postalCode = String(value || '')
+    .trim()
+    .toUpperCase();
+  if (!rules) return postalCode ? VALID : { valid: false, message: t('postalCode.required') };
+  if (!rules.postalCode.pattern.test(postalCode)) {
+    return {
+      valid: false,
+      message: t('postalCode.format', {
+        label: rules.postalCode.label.toLowerCase(),
+        country: localize(rules, 'name'),
+        example: rules.postalCode.example,
+      }),
+    };
+  }
+  return VALID;
+}
+
+// The phone number is optional - an empty value is valid
+function validatePhone(value, countryCode) {
+  const rules = getCountryRules(countryCode);
+  const phone = String(value || '').replace(/[\s\-.()]/g, '');
+  if (phone === '' || !rules) return VALID;
+  if (!rules.phone.pattern.test(phone)) {
+    return {
+      valid: false,
+      message: t('phone.format', { country: localize(rules, 'name'), example: rules.phone.example }),
+    };
+  }
+  return VALID;
+}
+
+// Checks the state/province: required in some countries, and from a fixed list where there is one
+function validateState(value, countryCode) {
+  const rules = getCountryRules(countryCode);
+  const state = String(value || '').trim();
+  if (!rules) return VALID;
+  const { required, codes, pattern, example } = rules.state;
+  const label = rules.state.label.toLowerCase();
+  if (state === '') {
+    return required ? { valid: false, message: t('state.required', { label }) } : VALID;
+  }
+  if (codes && !codes.includes(state.toUpperCase())) {
+    return { valid: false, message: t('state.code', { label, example }) };
+  }
+  if (pattern && !pattern.test(state.toUpperCase())) {
+    return { valid: false, message: t('state.format', { label, example }) };
+  }
+  return VALID;
+}
+
+// The tax number is optional - an empty value is valid
+function validateTaxId(value, countryCode) {
+  const rules = getCountryRules(countryCode);
+  const taxId = String(value || '')
+    .replace(/[\s.-]/g, '')
+    .toUpperCase();
+  if (taxId === '' || !rules) return VALID;
+  const { label, example, formats } = rules.taxId;
+  const prefix = taxId.slice(0, 2);
+  if (rules.vatPrefix && EU_VAT_PREFIXES.includes(prefix) && prefix !== rules.vatPrefix) {
+    return {
+      valid: false,
+      message: t('taxId.otherCountry', { country: localize(rules, 'name'), prefix: rules.vatPrefix }),
+    };
+  }
+  for (const format of formats) {
+    const match = format.pattern.exec(taxId);
+    if (!match) continue;
+    if (format.checksum && !format.checksum(match[1] ?? match[0])) {
+      return {
+        valid: false,
+        message: t('taxId.checksum', { label }),
+      };
+    }
+    return VALID;
+  }
+  return { valid: false, message: t('taxId.format', { label, country: localize(rules, 'name'), example }) };
+}
+
+export { countryRules, getCountryRules, validatePostalCode, validatePhone, validateState, validateTaxId };
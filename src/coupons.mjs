@@ -0,0 +1,162 @@
+/**
+ * ==========================================
+ * COUPONS
+ * ==========================================
+ * Promo codes entered at checkout. Each coupon has:
+ * - code / label: What the customer types and the text shown in the cart summary
+ * - translations: { sv: { label }, vi: { label } } - the label in other languages (see i18n.mjs)
+ * - amount: { percent: 10 } or { fixed: 50 } (kr)
+ * - minOrder: Smallest cart subtotal (kr) the code works for
+ * - scope: { categories: [...], productIds: [...] } - the discount only covers matching lines. Leave out for all
+ * - validFrom / validUntil: First and last day (YYYY-MM-DD) the code works. Leave out for no limit
+ * - usageLimit: How many times the code can be used from this browser. Leave out for no limit
+ * - combinesWithOrderDiscounts: false means the code can't be used while the Monday discount applies
+ * =========================================
+ */
+
+import { isProductInScope } from './pricingRules.mjs';
+import { t, formatPrice, formatDate, formatList } from './i18n.mjs';
+
+const USAGE_STORAGE_KEY = 'alexGoodies.couponUsage';
+
+const coupons = [
+  {
+    code: 'WELCOME10',
+    label: 'Welcome discount 10%',
+    translations: { sv: { label: 'Välkomstrabatt 10%' }, vi: { label: 'Ưu đãi chào mừng 10%' } },
+    amount: { percent: 10 },
+    minOrder: 150,
+    usageLimit: 1,
+    combinesWithOrderDiscounts: true,
+  },
+  {
+    code: 'DRINKS20',
+    label: '20% off drinks',
+    translations: { sv: { label: '20% rabatt på drycker' }, vi: { label: 'Giảm 20% đồ uống' } },
+    amount: { percent: 20 },
+    scope: { categories: ['drinks'] },
+    validFrom: '2026-01-01',
+    validUntil: '2026-12-31',
+    combinesWithOrderDiscounts: false,
+  },
+  {
+    code: 'SUMMER50',
+    label: 'Summer campaign 50 kr off',
+    translations: { sv: { label: 'Sommarkampanj 50 kr rabatt' }, vi: { label: 'Khuyến mãi hè giảm 50 kr' } },
+    amount: { fixed: 50 },
+    minOrder: 400,
+    validFrom: '2026-06-01',
+    validUntil: '2026-08-31',
+    combinesWithOrderDiscounts: true,
+  },
+];
+
+// Codes are matched without caring about case or surrounding spaces
+function normalizeCode(code) {
+  return String(code || '')
+    .trim()
+    .toUpperCase();
+}
+
+// Looks up a coupon by code, null when there is no such code
+function findCoupon(code, couponList = coupons) {
+  const normalized = normalizeCode(code);
+  return couponList.find(coupon => coupon.code === normalized) || null;
+}
+
+// Reads how many times each code has been used from this browser
+function getCouponUsage() {
+  try {
+    return JSON.parse(window.localStorage.getItem(USAGE_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Counts one use of a code, called when an order with the code is placed
+function recordCouponUsage(code) {
+  const usage = getCouponUsage();
+  const normalized = normalizeCode(code);
+  usage[normalized] = (usage[normalized] || 0) + 1;
+  try {
+    window.localStorage.setItem(USAGE_STORAGE_KEY, JSON.stringify(usage));
+  } catch {
+    // Without storage the usage limit can't be tracked
+  }
+}
+
+// Start of the first valid day / end of the last valid day, in local time
+function startOfDay(isoDate) {
+  return new Date(`${isoDate}T00:00:00`);
+}
+function endOfDay(isoDate) {
+  return new Date(`${isoDate}T23:59:59.999`);
+}
+
+// Sum of the line totals the coupon covers
+function getEligibleAmount(coupon, lines) {
+  return lines.filter(line => isProductInScope(coupon, line.product)).reduce((sum, line) => sum + line.lineTotal, 0);
+}
+
+// Describes the coupon scope for error messages, e.g. "drinks"
+function describeScope(coupon) {
+  const categories = coupon.scope?.categories || [];
+  return categories.length > 0
+    ? formatList(categories.map(category => t(`category.${category}`).toLowerCase()))
+    : t('coupon.selectedProducts');
+}
+
+// Checks if a code can be used for the cart
+// context: { date, lines, subtotal, orderDiscounts, usage } where lines/subtotal/orderDiscounts come from the cart summary
+// Returns { valid, coupon, error, message } where error is a key like 'expired' and message is shown to the customer
+function validateCoupon(code, { date = new Date(), lines = [], subtotal = 0, orderDiscounts = [], usage } = {}) {
+  const normalized = normalizeCode(code);
+  const fail = (error, message, coupon = null) => ({ valid: false, coupon, error, message });
+  if (!normalized) {
+    return fail('empty', t('coupon.empty'));
+  }
+  const coupon = findCoupon(normalized);
+  if (!coupon) {
+    return fail('unknown', t('coupon.unknown', { code: normalized }));
+  }
+  if (coupon.validFrom && date < startOfDay(coupon.validFrom)) {
+    return fail(
+      'notYetValid',
+      t('coupon.notYetValid', { code: coupon.code, date: formatDate(coupon.validFrom) }),
+      coupon
+    );
+  }
+  if (coupon.validUntil && date > endOfDay(coupon.validUntil)) {
+    return fail('expired', t('coupon.expired', { code: coupon.code, date: formatDate(coupon.validUntil) }), coupon);
+  }
+  const timesUsed = (usage || getCouponUsage())[coupon.code] || 0;
+  if (coupon.usageLimit !== undefined && timesUsed >= coupon.usageLimit) {
+    return fail('usageLimit', t('coupon.usageLimit', { code: coupon.code }), coupon);
+  }
+  if (coupon.minOrder && subtotal < coupon.minOrder) {
+    return fail('minOrder', t('coupon.minOrder', { code: coupon.code, amount: formatPrice(coupon.minOrder) }), coupon);
+  }
+  if (getEligibleAmount(coupon, lines) <= 0) {
+    return fail(
+      'noMatchingItems',
+      t('coupon.noMatchingItems', { code: coupon.code, scope: describeScope(coupon) }),
+      coupon
+    );
+  }
+  if (!coupon.combinesWithOrderDiscounts && orderDiscounts.length > 0) {
+    const discountNames = formatList(orderDiscounts.map(discount => discount.label.split(':')[0]));
+    return fail('notCombinable', t('coupon.notCombinable', { code: coupon.code, discounts: discountNames }), coupon);
+  }
+  return { valid: true, coupon, error: null, message: '' };
+}
+
+// Calculates the discount (a positive amount in kr) a valid coupon gives on the cart lines
+// maxAmount caps the discount so the order never goes below zero
+function calculateCouponDiscount(coupon, lines, maxAmount = Infinity) {
+  const eligibleAmount = getEligibleAmount(coupon, lines);
+  const discount =
+    coupon.amount.percent !== undefined ? (eligibleAmount * coupon.amount.percent) / 100 : coupon.amount.fixed;
+  return Math.min(discount, eligibleAmount, maxAmount);
+}
+
+export { coupons, normalizeCode, validateCoupon, calculateCouponDiscount, recordCouponUsage };
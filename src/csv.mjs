@@ -0,0 +1,71 @@
+/**
+ * ==========================================
+ * CSV
+ * ==========================================
+ * Reads and writes comma separated files, as spreadsheet programs save them (RFC 4180).
+ * - toCsv(rows): Rows of fields as CSV text, fields quoted when needed, lines ending in CRLF.
+ *   Text that starts like a spreadsheet formula (= + - @, tab or carriage return) gets a leading ', so a
+ *   spreadsheet shows it instead of running it. Numbers are written as they are
+ * - parseCsv(text): CSV text as rows of fields. Handles quoted fields with commas, quotes ("")
+ *   and line breaks, CRLF or LF line endings and a leading byte order mark. Empty lines are skipped.
+ *   The ' that toCsv put in front of formula-like text is taken away again
+ * =========================================
+ */
+
+const FORMULA_START = /^[=+@\t\r-]/; // Text a spreadsheet would run as a formula
+
+// Quotes a CSV field when it contains a separator, quote or line break, and neutralizes formula-like text
+function toCsvField(value) {
+  const text = typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  return rows.map(fields => fields.map(toCsvField).join(',')).join('\r\n');
+}
+
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text ?? '').replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field.startsWith("'") && FORMULA_START.test(field.slice(1)) ? field.slice(1) : field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (let index = 0; index < input.length; index += 1) {
+    const char = input[index];
+    if (quoted) {
+      if (char === '"' && input[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[index + 1] === '\n') index += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
+
+export { toCsv, parseCsv };
@@ -0,0 +1,86 @@
+/**
+ * ==========================================
+ * CURRENCIES
+ * ==========================================
+ * Shows prices in the currency the customer picks: SEK, VND, EUR or USD.
+ * Prices are stored, calculated and charged in SEK. Other currencies are for display only.
+ * - exchangeRates: Bundled rate table (the value of 1 SEK in each currency) and the date it is from.
+ *   The shop works offline, so rates are never fetched - update the table when they drift.
+ * - currencies: Code and the number of decimals amounts are rounded to (VND has none)
+ * - convertFromSek(amount, currency): Converted and rounded amount
+ * - getCurrency / setCurrency / onCurrencyChange: The chosen display currency, saved in localStorage
+ * =========================================
+ */
+
+const CURRENCY_STORAGE_KEY = 'alexGoodies.currency';
+const BASE_CURRENCY = 'SEK';
+
+const currencies = [
+  { code: 'SEK', decimals: 2 },
+  { code: 'VND', decimals: 0 },
+  { code: 'EUR', decimals: 2 },
+  { code: 'USD', decimals: 2 },
+];
+
+const exchangeRates = {
+  date: '2026-10-01',
+  rates: { SEK: 1, VND: 2780, EUR: 0.0905, USD: 0.1055 },
+};
+
+const listeners = new Set();
+let currentCurrency = readInitialCurrency();
+
+function getCurrencyInfo(code) {
+  return currencies.find(currency => currency.code === code) || null;
+}
+
+// The saved choice, else kronor
+function readInitialCurrency() {
+  try {
+    const saved = window.localStorage.getItem(CURRENCY_STORAGE_KEY);
+    if (getCurrencyInfo(saved)) return saved;
+  } catch {
+    // Without storage prices are shown in kronor
+  }
+  return BASE_CURRENCY;
+}
+
+function getCurrency() {
+  return currentCurrency;
+}
+
+// Switches the display currency, saves the choice and tells the listeners so they can render again
+function setCurrency(code) {
+  if (!getCurrencyInfo(code) || code === currentCurrency) return;
+  currentCurrency = code;
+  try {
+    window.localStorage.setItem(CURRENCY_STORAGE_KEY, code);
+  } catch {
+    // The choice only lasts until the page is reloaded
+  }
+  listeners.forEach(listener => listener(code));
+}
+
+// Calls listener(currency) whenever the display currency changes. Returns a function that stops listening
+function onCurrencyChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Converts an amount in kronor and rounds it to the decimals of the currency
+function convertFromSek(amount, currency = currentCurrency) {
+  const { decimals } = getCurrencyInfo(currency);
+  const factor = 10 ** decimals;
+  return Math.round(amount * exchangeRates.rates[currency] * factor) / factor;
+}
+
+export {
+  BASE_CURRENCY,
+  currencies,
+  exchangeRates,
+  getCurrencyInfo,
+  getCurrency,
+  setCurrency,
+  onCurrencyChange,
+  convertFromSek,
+};
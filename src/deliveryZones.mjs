@@ -0,0 +1,80 @@
+/**
+ * ==========================================
+ * DELIVERY ZONES
+ * ==========================================
+ * Where the shop delivers and what the delivery costs (Rule 5: Freight). Each zone has:
+ * - id / label: Stored with the order and shown in the cart summary
+ * - translations: { sv: { label }, vi: { label } } - the label in other languages (see i18n.mjs)
+ * - zipcodes: [[from, to]] - ranges of the postal codes (5 digits) in the zone
+ * - fee: Freight in kr
+ * - freeFrom: Order value (kr, after discounts) from which the delivery is free. Leave out for never
+ * Postal codes outside every zone are not delivered to. Orders picked up at the store have no freight.
+ * - deliveryMethods: 'delivery' (to the address of the customer) and 'pickup' (at the store)
+ * - normalizeZipcode(zipcode): '123 45' -> '12345', null when it is not a postal code
+ * - findDeliveryZone(zipcode): The zone of a postal code, null when it is outside the delivery range
+ * - calculateFreight(delivery, itemCount, orderValue): delivery is { method, zipcode }. Returns
+ *   { amount, free, method, zone, deliverable, label }. zone is null while the postal code is not known yet
+ *   (no freight is charged until it is) and deliverable is false for postal codes outside every zone
+ * =========================================
+ */
+
+import { t } from './i18n.mjs';
+
+const deliveryMethods = ['delivery', 'pickup'];
+
+const deliveryZones = [
+  {
+    id: 'city',
+    label: 'Stockholm city',
+    translations: { sv: { label: 'Stockholms innerstad' }, vi: { label: 'Nội thành Stockholm' } },
+    zipcodes: [[10000, 11899]],
+    fee: 29,
+    freeFrom: 300,
+  },
+  {
+    id: 'greaterStockholm',
+    label: 'Greater Stockholm',
+    translations: { sv: { label: 'Storstockholm' }, vi: { label: 'Vùng Stockholm' } },
+    zipcodes: [[11900, 19999]],
+    fee: 49,
+    freeFrom: 500,
+  },
+  {
+    id: 'uppsala',
+    label: 'Uppsala',
+    translations: { sv: { label: 'Uppsala' }, vi: { label: 'Uppsala' } },
+    zipcodes: [[74000, 75999]],
+    fee: 79,
+    freeFrom: 800,
+  },
+];
+
+function normalizeZipcode(zipcode) {
+  const text = String(zipcode ?? '').trim();
+  return /^\d{3}\s?\d{2}$/.test(text) ? text.replace(/\s/, '') : null;
+}
+
+function findDeliveryZone(zipcode) {
+  const code = Number(normalizeZipcode(zipcode));
+  if (!code) return null;
+  return deliveryZones.find(zone => zone.zipcodes.some(([from, to]) => code >= from && code <= to)) || null;
+}
+
+// Calculates freight for the discounted order value
+function calculateFreight({ method = 'delivery', zipcode = null } = {}, itemCount, orderValue) {
+  if (method === 'pickup') {
+    return { amount: 0, free: true, method, zone: null, deliverable: true, label: t('summary.pickup') };
+  }
+  const known = normalizeZipcode(zipcode) !== null;
+  const zone = known ? findDeliveryZone(zipcode) : null;
+  const freight = { amount: 0, free: false, method, zone, deliverable: !known || zone !== null };
+  if (itemCount === 0 || !zone) {
+    return { ...freight, label: t('summary.freight') };
+  }
+  if (zone.freeFrom !== undefined && orderValue >= zone.freeFrom) {
+    return { ...freight, free: true, label: t('summary.freeShipping') };
+  }
+  return { ...freight, amount: zone.fee, label: t('summary.freight') };
+}
+
+export { deliveryMethods, deliveryZones, normalizeZipcode, findDeliveryZone, calculateFreight };
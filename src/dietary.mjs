@@ -0,0 +1,162 @@
+/**
+ * ==========================================
+ * DIETARY INFORMATION
+ * ==========================================
+ * What is in a product and who can eat it, declared on each product in products.mjs:
+ * - allergens: The EU 14 allergens the product contains, e.g. ['peanuts', 'crustaceans']. [] means none of them.
+ *   Products without the field have no allergen information and never pass an "exclude allergens" filter
+ * - dietary: The diets the product suits: 'vegetarian', 'vegan' and 'glutenFree'
+ * - spiceLevel: 0 (not spicy) to MAX_SPICE_LEVEL (hot)
+ * Option choices can list allergens too (e.g. extra spring rolls), they count for the cart lines that choose them.
+ * A choice can also set the spiceLevel of the line (e.g. the spice level of phở), it replaces the product's level.
+ * The labels are in the message catalog: allergen.<id>, diet.<id> and spice.<level> (see messages.mjs).
+ * - allergenIds / dietIds / MAX_SPICE_LEVEL: The allergens, diets and spice levels the shop knows
+ * - normalizeDietaryFilter(filter): Keeps the known diets and allergens, and a spice level in range
+ * - getAllergens(product, selection) / getDiets(product, selection): Allergens and diets of a product with the
+ *   chosen options. A choice that adds gluten takes away gluten-free
+ * - getSpiceLevel(product, selection): The spice level with the chosen options
+ * - matchesDietaryFilter(product, filter): filter is { diets, excludeAllergens, maxSpice } - true when the
+ *   product suits every diet, has none of the allergens and is not hotter than maxSpice (null for any)
+ * - findDietaryConflicts(product, selection, preferences): { allergens, diets, tooSpicy } - what goes against
+ *   the preferences, e.g. { allergens: ['peanuts'], diets: ['vegan'], tooSpicy: false }
+ * - hasDietaryConflicts(conflicts): true when findDietaryConflicts found anything
+ * - getDietaryPreferences / setDietaryPreferences / onDietaryPreferencesChange: The preferences the customer
+ *   saved ({ diets, excludeAllergens, maxSpice }), kept in localStorage
+ * =========================================
+ */
+
+const DIETARY_STORAGE_KEY = 'alexGoodies.dietaryPreferences';
+const MAX_SPICE_LEVEL = 3;
+
+// The 14 allergens food businesses in the EU must declare
+const allergenIds = [
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'peanuts',
+  'soybeans',
+  'milk',
+  'nuts',
+  'celery',
+  'mustard',
+  'sesame',
+  'sulphites',
+  'lupin',
+  'molluscs',
+];
+
+const dietIds = ['vegetarian', 'vegan', 'glutenFree'];
+
+const noPreferences = { diets: [], excludeAllergens: [], maxSpice: null };
+
+const listeners = new Set();
+let currentPreferences = readInitialPreferences();
+
+// Keeps the known diets and allergens of a filter or saved preferences, and a spice level in range
+function normalizeDietaryFilter({ diets = [], excludeAllergens = [], maxSpice = null } = {}) {
+  const spice = maxSpice === null || maxSpice === '' ? NaN : Number(maxSpice);
+  return {
+    diets: dietIds.filter(id => diets.includes(id)),
+    excludeAllergens: allergenIds.filter(id => excludeAllergens.includes(id)),
+    maxSpice: Number.isInteger(spice) && spice >= 0 && spice <= MAX_SPICE_LEVEL ? spice : null,
+  };
+}
+
+// The saved preferences, else none
+function readInitialPreferences() {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(DIETARY_STORAGE_KEY));
+    if (saved) return normalizeDietaryFilter(saved);
+  } catch {
+    // Without storage nothing is remembered
+  }
+  return { ...noPreferences };
+}
+
+// The options chosen on a cart line
+function getChosenChoices(product, selection = {}) {
+  return (product.options || []).flatMap(group =>
+    group.choices.filter(choice => (selection[group.id] || []).includes(choice.id))
+  );
+}
+
+// The allergens of the options chosen on a cart line
+function getChoiceAllergens(product, selection = {}) {
+  return getChosenChoices(product, selection).flatMap(choice => choice.allergens || []);
+}
+
+function getAllergens(product, selection = {}) {
+  if (!Array.isArray(product.allergens)) return null;
+  const allergens = [...product.allergens, ...getChoiceAllergens(product, selection)];
+  return allergenIds.filter(id => allergens.includes(id));
+}
+
+function getDiets(product, selection = {}) {
+  const diets = Array.isArray(product.dietary) ? product.dietary : [];
+  const addsGluten = getChoiceAllergens(product, selection).includes('gluten');
+  return dietIds.filter(id => diets.includes(id) && !(id === 'glutenFree' && addsGluten));
+}
+
+function getSpiceLevel(product, selection = {}) {
+  const levels = getChosenChoices(product, selection)
+    .map(choice => choice.spiceLevel)
+    .filter(level => level !== undefined);
+  return levels.length > 0 ? Math.max(...levels) : product.spiceLevel || 0;
+}
+
+function findDietaryConflicts(product, selection, preferences = currentPreferences) {
+  const allergens = getAllergens(product, selection);
+  const diets = getDiets(product, selection);
+  return {
+    // Without allergen information every allergen to avoid may be in it
+    allergens: preferences.excludeAllergens.filter(id => allergens === null || allergens.includes(id)),
+    diets: preferences.diets.filter(id => !diets.includes(id)),
+    tooSpicy: preferences.maxSpice !== null && getSpiceLevel(product, selection) > preferences.maxSpice,
+  };
+}
+
+function matchesDietaryFilter(product, filter) {
+  return !hasDietaryConflicts(findDietaryConflicts(product, {}, normalizeDietaryFilter(filter)));
+}
+
+function hasDietaryConflicts(conflicts) {
+  return conflicts.allergens.length > 0 || conflicts.diets.length > 0 || conflicts.tooSpicy;
+}
+
+function getDietaryPreferences() {
+  return currentPreferences;
+}
+
+// Saves the preferences and tells the listeners, so the cart can warn about lines that go against them
+function setDietaryPreferences(preferences) {
+  currentPreferences = normalizeDietaryFilter(preferences);
+  try {
+    window.localStorage.setItem(DIETARY_STORAGE_KEY, JSON.stringify(currentPreferences));
+  } catch {
+    // The preferences only last until the page is reloaded
+  }
+  listeners.forEach(listener => listener(currentPreferences));
+}
+
+// Calls listener(preferences) whenever the saved preferences change. Returns a function that stops listening
+function onDietaryPreferencesChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export {
+  MAX_SPICE_LEVEL,
+  allergenIds,
+  dietIds,
+  normalizeDietaryFilter,
+  getAllergens,
+  getDiets,
+  getSpiceLevel,
+  matchesDietaryFilter,
+  findDietaryConflicts,
+  hasDietaryConflicts,
+  getDietaryPreferences,
+  setDietaryPreferences,
+  onDietaryPreferencesChange,
+};
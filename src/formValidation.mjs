@@ -0,0 +1,219 @@
+/**
+ * ==========================================
+ * FORM VALIDATION
+ * ==========================================
+ * Declarative validation shared by the customer, card and invoice forms.
+ * A schema maps field names to rules:
+ * - required: true, or (values) => boolean for fields that are only required sometimes
+ * - pattern: RegExp the (normalized) value must match
+ * - normalize(value): Cleans the value before it is checked, e.g. removes formatting characters
+ * - validate(value, values): Custom check returning true/false or { valid, message }
+ * - validateAsync(value, values): Like validate but returns a Promise, run after the other rules pass
+ * - messages: { required, pattern, invalid } - message keys, looked up with the translate option (t by default)
+ * - dependsOn: Names of other fields - the field is checked again when one of them changes
+ * createFormValidator(form, schema, options) returns
+ * { validateField, validateForm, validateFormAsync, isValid, refresh, setBusy, reset }.
+ * Fields are checked on blur, and live while typing once they have been checked.
+ * Errors are shown in the .error element after the field, linked with aria-describedby/aria-invalid,
+ * and the submit button is only enabled while the whole form is valid.
+ * =========================================
+ */
+
+import { t } from './i18n.mjs';
+
+const ASYNC_DELAY_MS = 300; // Wait for a pause in typing before running async validators
+
+const defaultMessages = {
+  required: 'validation.required',
+  pattern: 'validation.pattern',
+  invalid: 'validation.invalid',
+};
+
+// Turns a validator answer (true/false or { valid, message }) into { valid, message }
+function toResult(answer, fallbackMessage) {
+  if (typeof answer === 'boolean') return { valid: answer, message: answer ? '' : fallbackMessage };
+  return { valid: Boolean(answer.valid), message: answer.valid ? '' : answer.message || fallbackMessage };
+}
+
+// Checks a value against the synchronous rules of a field
+function checkRules(rules, rawValue, values, translate) {
+  const message = key => translate(rules.messages?.[key] || defaultMessages[key]);
+  const value = rules.normalize ? rules.normalize(rawValue) : String(rawValue ?? '').trim();
+  const required = typeof rules.required === 'function' ? rules.required(values) : Boolean(rules.required);
+  if (value === '') {
+    return required ? { valid: false, message: message('required') } : { valid: true, message: '' };
+  }
+  if (rules.pattern && !rules.pattern.test(value)) {
+    return { valid: false, message: message('pattern') };
+  }
+  if (rules.validate) {
+    return toResult(rules.validate(value, values), message('invalid'));
+  }
+  return { valid: true, message: '' };
+}
+
+// Reads a field value - a checkbox counts as empty when it is not checked
+function getFieldValue(element) {
+  if (element.type === 'checkbox') return element.checked ? element.value : '';
+  return element.value;
+}
+
+// Finds the element that shows the error of a field (the .error element after it, or #<id>Error),
+// and links it to the field for screen readers
+function linkErrorElement(field, form) {
+  const errorElement = field.nextElementSibling?.classList.contains('error')
+    ? field.nextElementSibling
+    : form.querySelector(`#${field.id}Error`);
+  if (!errorElement) return null;
+  if (!errorElement.id) errorElement.id = `${field.id || field.name}Error`;
+  const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+  if (!describedBy.includes(errorElement.id)) {
+    field.setAttribute('aria-describedby', [...describedBy, errorElement.id].join(' '));
+  }
+  return errorElement;
+}
+
+function createFormValidator(form, schema, { submitButton = null, translate = t, onValidityChange } = {}) {
+  const fields = Object.keys(schema)
+    .map(name => ({ name, rules: schema[name], element: form.elements[name] }))
+    .filter(field => field.element);
+  const touched = new Set(); // Fields that have been checked with their error shown
+  const asyncResults = new Map(); // name -> { value, result } of the last finished async check
+  const asyncTimers = new Map();
+  let busy = false;
+  let lastValidity = null;
+
+  fields.forEach(field => {
+    field.errorElement = linkErrorElement(field.element, form);
+  });
+
+  function getValues() {
+    return Object.fromEntries(fields.map(field => [field.name, getFieldValue(field.element)]));
+  }
+
+  // Checks one field without showing anything. Async validators count as failing until they have answered
+  function checkField(field, values = getValues()) {
+    const value = getFieldValue(field.element);
+    const result = checkRules(field.rules, value, values, translate);
+    if (!result.valid || !field.rules.validateAsync) return result;
+    const cached = asyncResults.get(field.name);
+    if (cached && cached.value === value) return cached.result;
+    return { valid: false, message: '', pending: true };
+  }
+
+  function showResult(field, result) {
+    if (result.pending) return;
+    field.element.setAttribute('aria-invalid', String(!result.valid));
+    if (!field.errorElement) return;
+    if (result.message) field.errorElement.textContent = result.message;
+    field.errorElement.classList.toggle('hidden', result.valid);
+  }
+
+  // Enables the submit button while the whole form is valid and nothing is being sent
+  function updateSubmitButton() {
+    const valid = fields.every(field => checkField(field).valid);
+    if (submitButton) submitButton.disabled = busy || !valid;
+    if (valid !== lastValidity) {
+      lastValidity = valid;
+      onValidityChange?.(valid);
+    }
+    return valid;
+  }
+
+  // Runs the async validator of a field after a pause and shows its answer
+  function scheduleAsyncCheck(field) {
+    clearTimeout(asyncTimers.get(field.name));
+    const value = getFieldValue(field.element);
+    return new Promise(resolve => {
+      asyncTimers.set(
+        field.name,
+        setTimeout(async () => {
+          let result;
+          try {
+            result = toResult(await field.rules.validateAsync(value, getValues()), translate(defaultMessages.invalid));
+          } catch {
+            result = { valid: true, message: '' }; // A failing lookup should not block the customer
+          }
+          asyncResults.set(field.name, { value, result });
+          if (getFieldValue(field.element) === value) {
+            showResult(field, result);
+            updateSubmitButton();
+          }
+          resolve(result.valid);
+        }, ASYNC_DELAY_MS)
+      );
+    });
+  }
+
+  // Checks a field by name, shows the result and marks the field as touched
+  function validateField(name) {
+    const field = fields.find(field => field.name === name);
+    if (!field) return true;
+    touched.add(name);
+    const result = checkField(field);
+    showResult(field, result);
+    if (result.pending) scheduleAsyncCheck(field);
+    updateSubmitButton();
+    return result.valid;
+  }
+
+  // Checks every field and shows all errors at once
+  function validateForm() {
+    return fields.map(field => validateField(field.name)).every(Boolean);
+  }
+
+  // Like validateForm, but waits for async validators to answer
+  async function validateFormAsync() {
+    validateForm();
+    const pending = fields.filter(field => checkField(field).pending);
+    await Promise.all(pending.map(scheduleAsyncCheck));
+    return validateForm();
+  }
+
+  // Checks the touched fields again, e.g. after the rules changed
+  function refresh() {
+    touched.forEach(name => validateField(name));
+    updateSubmitButton();
+  }
+
+  // Keeps the submit button disabled while the form is being sent
+  function setBusy(isBusy) {
+    busy = isBusy;
+    updateSubmitButton();
+  }
+
+  // Hides all errors, e.g. after the form has been reset
+  function reset() {
+    touched.clear();
+    asyncResults.clear();
+    fields.forEach(field => {
+      field.element.removeAttribute('aria-invalid');
+      field.errorElement?.classList.add('hidden');
+    });
+    updateSubmitButton();
+  }
+
+  fields.forEach(field => {
+    field.element.addEventListener('focusout', () => validateField(field.name));
+    field.element.addEventListener('input', () => {
+      if (touched.has(field.name)) {
+        validateField(field.name);
+      } else {
+        updateSubmitButton();
+      }
+    });
+    // Fields that depend on this one are checked again when it changes
+    const dependents = fields.filter(other => other.rules.dependsOn?.includes(field.name));
+    const revalidateDependents = () =>
+      dependents.forEach(other => touched.has(other.name) && validateField(other.name));
+    field.element.addEventListener('input', revalidateDependents);
+    field.element.addEventListener('change', revalidateDependents);
+  });
+  // The values are only cleared after the reset event, so the errors are hidden once it is done
+  form.addEventListener('reset', () => setTimeout(reset));
+  updateSubmitButton();
+
+  return { validateField, validateForm, validateFormAsync, isValid: updateSubmitButton, refresh, setBusy, reset };
+}
+
+export { createFormValidator, checkRules };
@@ -0,0 +1,19 @@
+/**
+ * ==========================================
+ * HTML
+ * ==========================================
+ * Builds markup from text that is not ours: product data from the catalog, stored orders and entered details.
+ * - escapeHtml(value): The value as text that is safe inside elements and quoted attribute values
+ * =========================================
+ */
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export { escapeHtml };
@@ -0,0 +1,176 @@
+/**
+ * ==========================================
+ * I18N
+ * ==========================================
+ * Translates the UI into Swedish, English and Vietnamese.
+ * - UI strings live in the message catalog (messages.mjs) and are looked up by key with t(key, params).
+ *   {name} in a message is replaced by params.name. When params.count is set, "<key>.one" / "<key>.other"
+ *   is tried first, so messages can have plural forms. Missing keys fall back to English, then to the key.
+ * - Data (products, option groups, pricing rules, coupons, countries) carries its own translations:
+ *   translations: { sv: { name: '...' }, vi: { name: '...' } } - read with localize(item, 'name').
+ * - formatPrice / formatNumber / formatDate / formatList use Intl for the active locale.
+ *   formatPrice takes an amount in kronor and shows it in the chosen display currency (see currency.mjs).
+ * - translatePage(root): Fills elements marked with data-i18n="key" (text) and
+ *   data-i18n-attr="placeholder:key aria-label:key" (attributes).
+ * The chosen language is saved in localStorage. Without a saved choice the browser language is used.
+ * =========================================
+ */
+
+import { messages } from './messages.mjs';
+import { getCurrency, getCurrencyInfo, convertFromSek } from './currency.mjs';
+
+const LOCALE_STORAGE_KEY = 'alexGoodies.locale';
+const FALLBACK_LOCALE = 'en';
+
+// Supported locales: id, the name shown in the language switcher and the locale used for Intl formatting
+const locales = [
+  { id: 'sv', name: 'Svenska', intl: 'sv-SE' },
+  { id: 'en', name: 'English', intl: 'en-GB' },
+  { id: 'vi', name: 'Tiếng Việt', intl: 'vi-VN' },
+];
+
+const listeners = new Set();
+const formatters = new Map(); // Intl formatters are costly to create, so they are reused per locale and options
+let currentLocale = readInitialLocale();
+
+// Finds a supported locale for a language tag like "sv-SE", or null
+function matchLocale(tag) {
+  const language = String(tag || '')
+    .toLowerCase()
+    .split('-')[0];
+  return locales.some(locale => locale.id === language) ? language : null;
+}
+
+// The saved choice, else the first browser language we support, else English
+function readInitialLocale() {
+  try {
+    const saved = matchLocale(window.localStorage.getItem(LOCALE_STORAGE_KEY));
+    if (saved) return saved;
+  } catch {
+    // Without storage the browser language is used every time
+  }
+  const browserLanguages = window.navigator?.languages || [window.navigator?.language];
+  return browserLanguages.map(matchLocale).find(Boolean) || FALLBACK_LOCALE;
+}
+
+function getLocale() {
+  return currentLocale;
+}
+
+// The locale used by Intl, e.g. "sv-SE"
+function getIntlLocale(locale = currentLocale) {
+  return locales.find(item => item.id === locale).intl;
+}
+
+// Switches language, saves the choice and tells the listeners so they can render again
+function setLocale(locale) {
+  const next = matchLocale(locale);
+  if (!next || next === currentLocale) return;
+  currentLocale = next;
+  try {
+    window.localStorage.setItem(LOCALE_STORAGE_KEY, next);
+  } catch {
+    // The choice only lasts until the page is reloaded
+  }
+  document.documentElement.lang = next;
+  listeners.forEach(listener => listener(next));
+}
+
+// Calls listener(locale) whenever the language changes. Returns a function that stops listening
+function onLocaleChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// Looks up a message in the catalog of a locale, trying the plural form first
+function findMessage(locale, key, count) {
+  const catalog = messages[locale] || {};
+  if (count !== undefined) {
+    const pluralKey = `${key}.${getFormatter('PluralRules', {}, locale).select(count)}`;
+    if (catalog[pluralKey] !== undefined) return catalog[pluralKey];
+    if (catalog[`${key}.other`] !== undefined) return catalog[`${key}.other`];
+  }
+  return catalog[key];
+}
+
+// Translates a message key, e.g. t('stock.onlyLeft', { count: 3 }). Number params are formatted for the locale
+function t(key, params = {}) {
+  const message = findMessage(currentLocale, key, params.count) ?? findMessage(FALLBACK_LOCALE, key, params.count);
+  if (message === undefined) return key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    return typeof params[name] === 'number' ? formatNumber(params[name]) : String(params[name]);
+  });
+}
+
+// Reads a translated field of a data object, falling back to the field itself (English)
+function localize(item, field, fallback = item?.[field]) {
+  return item?.translations?.[currentLocale]?.[field] ?? fallback;
+}
+
+// Returns a cached Intl formatter (NumberFormat, DateTimeFormat, ListFormat, PluralRules)
+function getFormatter(type, options = {}, locale = currentLocale) {
+  const cacheKey = `${type}|${locale}|${JSON.stringify(options)}`;
+  if (!formatters.has(cacheKey)) {
+    formatters.set(cacheKey, new Intl[type](getIntlLocale(locale), options));
+  }
+  return formatters.get(cacheKey);
+}
+
+// Formats an amount in kronor in the display currency for the active locale, e.g. "49,00 kr", "€4.43" or
+// "136.220 ₫". options.currency picks another currency, e.g. 'SEK' for the amount that is charged
+function formatPrice(amount, { currency = getCurrency(), ...options } = {}) {
+  const { decimals } = getCurrencyInfo(currency);
+  return getFormatter('NumberFormat', {
+    style: 'currency',
+    currency,
+    minimumFractionDigits: decimals,
+    maximumFractionDigits: decimals,
+    ...options,
+  }).format(convertFromSek(amount, currency));
+}
+
+function formatNumber(value, options = {}) {
+  return getFormatter('NumberFormat', options).format(value);
+}
+
+// Formats a date (a Date or 'YYYY-MM-DD') as a readable day, e.g. "1 juni 2026"
+function formatDate(date, options = { dateStyle: 'long' }) {
+  const value = typeof date === 'string' ? new Date(`${date}T00:00:00`) : date;
+  return getFormatter('DateTimeFormat', options).format(value);
+}
+
+// Joins items with the word for "and" (or "or" with type: 'disjunction')
+function formatList(items, type = 'conjunction') {
+  return getFormatter('ListFormat', { style: 'long', type }).format(items.map(String));
+}
+
+// Fills data-i18n elements and data-i18n-attr attributes with the active language
+function translatePage(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+    element.dataset.i18nAttr
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach(pair => {
+        const [attribute, key] = pair.split(':');
+        element.setAttribute(attribute, t(key));
+      });
+  });
+}
+
+export {
+  locales,
+  getLocale,
+  setLocale,
+  onLocaleChange,
+  t,
+  localize,
+  formatPrice,
+  formatNumber,
+  formatDate,
+  formatList,
+  translatePage,
+};
@@ -0,0 +1,63 @@
+/**
+ * ==========================================
+ * INVENTORY
+ * ==========================================
+ * Products with a limited daily batch declare `stock` in the catalog. Products without it are unlimited,
+ * products marked as not available (available: false) count as sold out.
+ * Items are reserved as soon as they are in the cart: the available quantity is the stock minus
+ * what the cart holds, over all lines (options) of the same product. Removing a line or clearing
+ * the cart on session expiry releases the reservation automatically.
+ * - getAvailableQuantity(product, cartLines): How many more can be added (Infinity when unlimited)
+ * - getStockStatus(product, cartLines): { state: 'inStock' | 'low' | 'soldOut', available }
+ * - findStockShortfalls(cartLines, catalog): Lines asking for more than the current stock, for checkout
+ * =========================================
+ */
+
+const LOW_STOCK_THRESHOLD = 5; // "Only N left" is shown from this quantity and down
+
+// Returns the stock of a product, or null when it is not limited
+function getStock(product) {
+  if (product.available === false) return 0;
+  return typeof product.stock === 'number' ? Math.max(0, product.stock) : null;
+}
+
+// Counts how many of a product the cart lines ({ product, amount }) hold
+function countReserved(productId, cartLines) {
+  return cartLines.filter(line => line.product.id === productId).reduce((sum, line) => sum + line.amount, 0);
+}
+
+// How many more of the product can be put in the cart
+function getAvailableQuantity(product, cartLines = []) {
+  const stock = getStock(product);
+  if (stock === null) return Infinity;
+  return Math.max(0, stock - countReserved(product.id, cartLines));
+}
+
+// Stock state for the product card
+function getStockStatus(product, cartLines = []) {
+  const available = getAvailableQuantity(product, cartLines);
+  if (available === 0) return { state: 'soldOut', available };
+  if (available <= LOW_STOCK_THRESHOLD) return { state: 'low', available };
+  return { state: 'inStock', available };
+}
+
+// Compares the cart with the current stock in the catalog
+// Returns one entry per line that can not be delivered in full: { key, product, requested, available }
+function findStockShortfalls(cartLines, catalog) {
+  const shortfalls = [];
+  const usedStock = {}; // Stock already taken by earlier lines of the same product
+  cartLines.forEach(line => {
+    const product = catalog.find(product => product.id === line.product.id);
+    const stock = product ? getStock(product) : 0;
+    if (stock === null) return;
+    const used = usedStock[line.product.id] || 0;
+    const available = Math.max(0, stock - used);
+    usedStock[line.product.id] = used + Math.min(line.amount, available);
+    if (line.amount > available) {
+      shortfalls.push({ key: line.key, product: product || line.product, requested: line.amount, available });
+    }
+  });
+  return shortfalls;
+}
+
+export { getStock, getAvailableQuantity, getStockStatus, findStockShortfalls };
@@ -3,19 +3,32 @@
  * E-COMMERCE APPLICATION - MAIN FILE
  * ==========================================
  * Features:
- * - Product listing with filter & sort using price, category and alphabetical order.
+ * - Product listing with search, filter & sort using price, category, alphabetical order and popularity.
+ *   The current view is kept in the URL.
  * - Shopping cart management where you can add, remove, increase, decrease items.
- * - Pricing rules:
+ * - Product options (size, spice level, add-ons) with price modifiers, one cart line per choice.
+ * - Allergens (EU 14), diets and spice level as badges on every product, with filters for them. Saved dietary
+ *   needs are used as the default filter, and cart lines that go against them get a warning
+ * - Stock limits for daily batches, reserved while in the cart
+ * - Pricing rules (declared as data in pricingRules.mjs):
  *   - Monday discount (10% before 10 AM)
  *   - Bulk discount (10+ items in same category)
+ *   - Weekend surcharge on hot dishes
+ *   - Promo codes (see coupons.mjs)
  *  - Invoice payment limit (max 800 SEK)
- * - Dynamic pricing (weekend surcharge)
- * - Shipping cost calculation
+ * - Shipping cost by delivery zone (postal code), or store pickup without freight
+ * - Opening hours with exception days, and a pickup/delivery time slot chosen at checkout (limited orders per slot).
+ *   Prices follow the time the order is served, outside opening hours only later slots are offered
+ * - Views for menu, product detail, cart, checkout and order confirmation (hash router)
+ * - Checkout in steps: cart review, customer details, payment method, payment details, order review
  * - Payment method selection (card/invoice)
  * - Form input formatting
- * - Form submission handling
- * - Form validation
+ * - Order submission to the order service, with an order confirmation view
+ * - Form validation declared as one schema per form (customer, card, invoice), checked while typing
+ * - Card validation: brand detection, Luhn checksum, expiry and CVV rules
+ * - Invoice validation per country: postal code, phone, state and VAT/organisation number (with check digits)
  * - Cart total calculation with all rules applied
+ * - VAT per product class (12% food, 25% other goods), shown per rate with net and gross amounts
  * - UI updates with animations
  * - Event handling for user interactions
  * Additional Features:
@@ -27,7 +40,17 @@
  * - Animated cart total changes
  * - Real-time form validation feedback
  * - Input formatting for card details and phone number
- * - Clear order on session timeout (15min)
+ * - Cart saved in localStorage and kept in sync between tabs
+ * - Cart changes go through a store the views subscribe to. Product cards and cart rows are rendered by key,
+ *   with one listener per list, so focus, scroll position and typed quantities survive updates
+ * - Screen reader support in the cart: buttons named after their product, a quantity spinbutton with arrow keys,
+ *   short announcements of cart changes and focus moved to revealed payment forms
+ * - UI in Swedish, English and Vietnamese with a saved language choice, prices formatted for the language
+ * - Prices shown in SEK, VND, EUR or USD (bundled exchange rates), always charged in SEK
+ * - Order history kept in IndexedDB, with reorder at today's prices
+ * - Printable receipts and invoices, orders exported as JSON or CSV for bookkeeping
+ * - Catalog management for staff: products created, edited and archived in the browser, with JSON/CSV import and export
+ * - Clear order on session timeout (15min), with a warning and countdown before it happens
  * - Payment method selection enforcement based on cart total
  * =========================================
  */
@@ -39,31 +62,179 @@
 // - Initialize cart and filtered products
 // - Select key DOM elements for product display and cart
 
-import products from './products.mjs';
+import { catalog, products, saveCatalog, resetCatalog, getSeedCatalog, onCatalogChange } from './catalog.mjs';
+import {
+  catalogCategories,
+  catalogFields,
+  productToRecord,
+  recordToProduct,
+  validateProduct,
+  validateCatalog,
+  diffCatalogs,
+  catalogToJson,
+  catalogFromJson,
+  catalogToCsv,
+  catalogFromCsv,
+} from './catalogSchema.mjs';
+import { isAdminConfigured, isAdminUnlocked, unlockAdmin, lockAdmin } from './adminAccess.mjs';
+import { priceProduct } from './pricingRules.mjs';
+import { calculateCartSummary } from './cartSummary.mjs';
+import { validateCoupon, recordCouponUsage } from './coupons.mjs';
+import { saveCart, serializeCart, loadCart, onStoredCartChange } from './cartStorage.mjs';
+import { createCartStore } from './cartStore.mjs';
+import { createAnnouncer } from './announcer.mjs';
+import { deliveryMethods, normalizeZipcode, findDeliveryZone } from './deliveryZones.mjs';
+import {
+  weeklyHours,
+  exceptionDays,
+  isOpen,
+  listTimeSlots,
+  findTimeSlot,
+  findFirstFreeSlot,
+  recordSlotBooking,
+  formatSlotDay,
+  formatTimeSlot,
+} from './openingHours.mjs';
+import { createSessionTimer } from './sessionTimer.mjs';
+import { createRouter } from './router.mjs';
+import {
+  detectCardBrand,
+  formatCardNumber,
+  validateCardNumber,
+  validateExpiry,
+  validateCvv,
+} from './cardValidation.mjs';
+import { getCountryRules, validatePostalCode, validatePhone, validateState, validateTaxId } from './countryRules.mjs';
+import { createFormValidator } from './formValidation.mjs';
+import { checkoutSteps, createCheckoutFlow } from './checkoutSteps.mjs';
+import { buildOrderPayload, createIdempotencyKey, submitOrder, fetchOrder } from './orderApi.mjs';
+import { saveOrder, listOrders, getOrder, checkOrderAgainstCatalog } from './orderHistory.mjs';
+import { renderOrderDocument, getDocumentType, orderToJson, orderToCsv, downloadFile } from './orderDocuments.mjs';
+import { escapeHtml } from './html.mjs';
+import {
+  getLocale,
+  setLocale,
+  onLocaleChange,
+  t,
+  localize,
+  formatPrice,
+  formatDate,
+  formatList,
+  translatePage,
+} from './i18n.mjs';
+import { BASE_CURRENCY, exchangeRates, getCurrency, setCurrency, onCurrencyChange } from './currency.mjs';
+import { getAvailableQuantity, getStockStatus, findStockShortfalls } from './inventory.mjs';
+import { DEFAULT_VAT_CLASS } from './vat.mjs';
+import {
+  defaultQuery,
+  applyProductQuery,
+  parsePrice,
+  queryFromSearchParams,
+  queryToSearchParams,
+  hasDietaryParams,
+} from './productQuery.mjs';
+import {
+  getAllergens,
+  getDiets,
+  findDietaryConflicts,
+  hasDietaryConflicts,
+  getDietaryPreferences,
+  setDietaryPreferences,
+  onDietaryPreferencesChange,
+} from './dietary.mjs';
+import {
+  getOptionGroups,
+  getDefaultSelection,
+  validateSelection,
+  calculateUnitBasePrice,
+  describeSelection,
+} from './productOptions.mjs';
 
 // ==========================================
 // 1. GLOBAL VARIABLES & DOM ELEMENTS
 // ==========================================
-const cart = []; // Stores items user adds
+const cartStore = createCartStore(); // Every change to the cart goes through the store, the views subscribe to it
+const cart = cartStore.lines; // Cart lines: { key, product, selection, amount } (read only)
 let filteredProducts = Array.from(products); // Used for filter/sort logic
+let detailProduct = null; // Product shown in the product detail view (null on the menu)
 const productsListing = document.querySelector('#menuList'); // DOM element for product display
 const cartTotalChange = document.querySelector('#cartTotal'); // DOM element for cart total
 const cartSection = document.querySelector('#cart'); // DOM element for cart items
+const announceCart = createAnnouncer(document.querySelector('#cartAnnouncer')); // Reads cart changes to screen readers
 
 // ==========================================
 // 2. SESSION TIMEOUT MANAGEMENT
 // ==========================================
-// - Set a timer to clear the order after inactivity
+// - Track inactivity with a session timer (see sessionTimer.mjs)
+// - showSessionWarning(): Opens the warning dialog with a live countdown before expiry
 // - clearOrder(): Empties cart, resets forms, shows timeout message
-// - resetTimeout(): Restarts timer on user activity
-// - Add event listeners to reset timer on click, keypress, input
+// - Reset the timer (throttled) on click, key, input, pointer and scroll activity
 const INACTIVITY_TIMEOUT_MINUTES = 15;
-let timeoutId = setTimeout(clearOrder, 1000 * 60 * INACTIVITY_TIMEOUT_MINUTES);
+const SESSION_WARNING_MINUTES = 2; // How long before expiry the warning is shown
+const sessionWarningDialog = document.querySelector('#sessionWarning');
+const sessionCountdown = document.querySelector('#sessionCountdown');
+
+const sessionTimer = createSessionTimer({
+  timeoutMs: 1000 * 60 * INACTIVITY_TIMEOUT_MINUTES,
+  warningMs: 1000 * 60 * SESSION_WARNING_MINUTES,
+  throttleMs: 1000,
+  onWarning: showSessionWarning,
+  onTick: updateSessionCountdown,
+  onExpire: clearOrder,
+});
+sessionTimer.start();
+
+// Formats milliseconds as m:ss
+function formatCountdown(remainingMs) {
+  const totalSeconds = Math.ceil(remainingMs / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, '0');
+  return `${minutes}:${seconds}`;
+}
+
+// Shows the expiry warning dialog
+function showSessionWarning(remainingMs) {
+  updateSessionCountdown(remainingMs);
+  if (sessionWarningDialog && !sessionWarningDialog.open) {
+    sessionWarningDialog.showModal();
+  }
+}
+
+// Updates the countdown in the warning dialog
+function updateSessionCountdown(remainingMs) {
+  if (sessionCountdown) {
+    sessionCountdown.textContent = formatCountdown(remainingMs);
+  }
+}
+
+// Closes the warning dialog
+function closeSessionWarning() {
+  if (sessionWarningDialog?.open) {
+    sessionWarningDialog.close();
+  }
+}
+
+// Keeps the order when the customer answers the warning
+function handleKeepOrder() {
+  sessionTimer.extend();
+  closeSessionWarning();
+}
+
+const keepOrderBtn = document.querySelector('#keepOrderBtn');
+keepOrderBtn?.addEventListener('click', handleKeepOrder);
+// Closing the dialog with Escape also counts as wanting to keep the order
+sessionWarningDialog?.addEventListener('cancel', handleKeepOrder);
 
 // Clears the cart and resets all forms when session times out
 function clearOrder() {
-  // Empty the cart array
-  cart.length = 0;
+  closeSessionWarning();
+
+  // Drop the promo code and empty the cart (the cart and totals render again).
+  // The stored cart is left alone on purpose: other tabs share it and their sessions may still be active.
+  // Saving stays paused until the forms below have run their deferred reset work, which saves the cart too
+  appliedCouponCode = null;
+  isCartSavePaused = true;
+  cartStore.clear();
 
   // Reset customer information form
   const orderForm = document.querySelector('#orderForm');
@@ -77,225 +248,526 @@ function clearOrder() {
   if (cardPaymentForm) cardPaymentForm.reset();
   if (invoicePaymentForm) invoicePaymentForm.reset();
 
-  // Clear cart display and update totals
-  printCart();
-  updateCartTotals();
-
-  // Show timeout message
-  const timeOutText = document.querySelector('#timeOutText');
-  if (timeOutText) {
-    timeOutText.innerHTML = `<h2>Your session has expired due to inactivity. Your order has been cleared!</h2>`;
+  // Show timeout message above the (now empty) cart
+  const timeOutMessage = document.querySelector('#timeOutTextChange');
+  if (timeOutMessage) {
+    timeOutMessage.textContent = t('session.timedOut');
+    timeOutMessage.classList.remove('hidden');
   }
+
+  // The reset listeners defer their work with setTimeout, this one runs after them
+  setTimeout(() => {
+    isCartSavePaused = false;
+  });
+
+  // A new session starts right away so the empty cart can be used again
+  sessionTimer.start();
+}
+
+// Hides the timeout message once the customer starts a new order
+function hideTimeOutMessage() {
+  document.querySelector('#timeOutTextChange')?.classList.add('hidden');
 }
 
 // Restarts the session timeout timer on user activity
 function resetTimeout() {
-  clearTimeout(timeoutId);
-  timeoutId = setTimeout(clearOrder, 1000 * 60 * INACTIVITY_TIMEOUT_MINUTES);
+  sessionTimer.reset();
 }
 
-// Add listeners to reset timeout on user activity
 // Listen for user activity to reset the timer
 document.addEventListener('click', resetTimeout);
-document.addEventListener('keypress', resetTimeout);
+document.addEventListener('keydown', resetTimeout);
 document.addEventListener('input', resetTimeout);
+document.addEventListener('pointerdown', resetTimeout);
+document.addEventListener('pointermove', resetTimeout, { passive: true });
+window.addEventListener('scroll', resetTimeout, { passive: true });
 
 // ==========================================
 // 3. PRICING RULES
 // ==========================================
-// - calculateProductPrice(basePrice): Adds weekend surcharge for chosen products
-// - applyBulkDiscount(quantity, basePrice): Applies bulk discount for 10+ items
+// - Surcharges and discounts are declared as data in pricingRules.mjs
+// - calculateProductPrice(product, date, selection): Listing price incl. options with the item rules active at date
+// - getFulfilmentDate(): The rules apply at the time the order is served, not when it is placed.
+//   It looks up the time slots, so a listing gets it once and passes it to every price
 // - isInvoicePaymentAllowed(totalAmount): Invoice only for orders ≤ 800 SEK
 
-// Rule 2: Weekend surcharge - 15% on chosen products (Friday 15:00 to Monday 03:00)
-// Calculates product price, applies weekend surcharge if needed
-function calculateProductPrice(basePrice) {
-  const now = new Date();
-  const dayOfWeek = now.getDay(); // 0 = Sunday, 1 = Monday, ..., 5 = Friday, 6 = Saturday
-  const hours = now.getHours();
-  const minutes = now.getMinutes();
-
-  // Convert time to minutes since midnight for easier comparison
-  const currentTimeInMinutes = hours * 60 + minutes;
-
-  // Friday after 15:00 (15:00 = 900 minutes)
-  const fridayStart = dayOfWeek === 5 && currentTimeInMinutes >= 900;
-  // Saturday (all day)
-  const saturday = dayOfWeek === 6;
-  // Sunday and Monday early hours until 03:00 (03:00 = 180 minutes)
-  const sundayToMondayNight = (dayOfWeek === 0 || dayOfWeek === 1) && currentTimeInMinutes < 180;
-
-  // Check if weekend surcharge should be applied
-  const isWeekendSurcharge = fridayStart || saturday || sundayToMondayNight;
-
-  // Calculate final price with 15% surcharge if it's weekend
-  const finalPrice = isWeekendSurcharge ? basePrice * 1.15 : basePrice;
-  return finalPrice;
+// Calculates the listing price of a product with the chosen options (weekend surcharge, campaigns etc.)
+function calculateProductPrice(product, date, selection = getDefaultSelection(product)) {
+  const price = calculateUnitBasePrice(product, selection);
+  return priceProduct({ ...product, price }, { date }).price;
 }
 
-// Applies bulk discount if quantity threshold is met
-function applyBulkDiscount(quantity, basePrice) {
-  const BULK_THRESHOLD = 10;
-  if (quantity >= BULK_THRESHOLD) {
-    return {
-      price: basePrice * 0.9,
-      discountApplied: true,
-      discountPercentage: 10,
-    };
-  }
-  return {
-    price: basePrice,
-    discountApplied: false,
-    discountPercentage: 0,
-  };
+// The start of the time slot chosen at checkout, or of the first free one until the customer has chosen
+function getFulfilmentDate() {
+  const slot = findTimeSlot(document.querySelector('#timeSlot')?.value) || findFirstFreeSlot();
+  return slot ? slot.start : new Date();
 }
 
+const INVOICE_LIMIT = 800; // kr
+
 // Checks if invoice payment is allowed based on total amount
 function isInvoicePaymentAllowed(totalAmount) {
-  const INVOICE_LIMIT = 800;
   return totalAmount <= INVOICE_LIMIT;
 }
 
 // ==========================================
 // 4. PRODUCT DISPLAY & FILTERING
 // ==========================================
-// - Filter products by category
-// - Sort products by price
-// - Sort products alphabetically (not implemented here)
-// - Render products to HTML
+// - Search, filter by category and price range, sort by price, name or popularity (see productQuery.mjs)
+// - Filter by diet, spice level and allergens to leave out (see dietary.mjs). The customer can save them as
+//   their dietary needs, which are used when the URL has no dietary filter
+// - Keep the current query in the URL so a filtered view can be shared and survives reload
+// - Render products to HTML, with a "no matches" state
 // - Attach event listeners to product buttons
 // - Increase/decrease product quantity in listing
 
-// Filter products by category
+const searchInput = document.querySelector('#searchProducts'); // Free-text search
 const filterList = document.querySelector('#filterList'); // Dropdown for filtering
-filterList.addEventListener('change', filterProducts);
+const minPriceInput = document.querySelector('#minPrice'); // Price range
+const maxPriceInput = document.querySelector('#maxPrice');
+const sortList = document.querySelector('#sortList'); // Dropdown for sorting
+const dietaryFilters = document.querySelector('#dietaryFilters'); // Diets, spice level and allergens
+const maxSpiceList = document.querySelector('#maxSpice');
+
+// Reads the query from the search, filter and sort controls
+function readProductQuery() {
+  return {
+    search: searchInput.value,
+    category: filterList.value,
+    minPrice: parsePrice(minPriceInput.value),
+    maxPrice: parsePrice(maxPriceInput.value),
+    ...readDietaryFilter(),
+    sort: sortList.value,
+  };
+}
 
-// Filters products by selected category
-function filterProducts() {
-  const selectedFilterValue = filterList.value;
-  if (selectedFilterValue === 'all') {
-    filteredProducts = [...products];
-  } else {
-    filteredProducts = products.filter(product => {
-      return product.category === selectedFilterValue;
-    });
-  }
+// Reads the checked diets and allergens and the spice level from the dietary filters
+function readDietaryFilter() {
+  const checked = name =>
+    [...dietaryFilters.querySelectorAll(`input[name="${name}"]:checked`)].map(input => input.value);
+  return {
+    diets: checked('diet'),
+    excludeAllergens: checked('excludeAllergen'),
+    maxSpice: maxSpiceList.value === '' ? null : Number(maxSpiceList.value),
+  };
+}
+
+// Puts a query into the search, filter and sort controls
+function writeProductQuery(query) {
+  searchInput.value = query.search;
+  filterList.value = query.category;
+  minPriceInput.value = query.minPrice ?? '';
+  maxPriceInput.value = query.maxPrice ?? '';
+  sortList.value = query.sort;
+  dietaryFilters.querySelectorAll('input[name="diet"]').forEach(input => {
+    input.checked = query.diets.includes(input.value);
+  });
+  dietaryFilters.querySelectorAll('input[name="excludeAllergen"]').forEach(input => {
+    input.checked = query.excludeAllergens.includes(input.value);
+  });
+  maxSpiceList.value = query.maxSpice ?? '';
+  // Open the allergen list when it filters something, so the customer sees why products are missing
+  if (query.excludeAllergens.length > 0) dietaryFilters.querySelector('details').open = true;
+}
+
+// Runs search, filter and sort together, updates the URL and re-renders the listing
+function applyProductFilters() {
+  const query = readProductQuery();
+  const date = getFulfilmentDate();
+  filteredProducts = applyProductQuery(products, query, product => calculateProductPrice(product, date));
+  const url = new URL(window.location.href);
+  queryToSearchParams(query, url.searchParams);
+  window.history.replaceState(window.history.state, '', url);
   printProducts();
 }
 
-// Sort products by price
-const sortListByPrice = document.querySelector('#sortListByPrice'); // Dropdown for sorting
-sortListByPrice.addEventListener('change', sortProducts);
+// Resets every control to its default and shows the whole menu
+function clearProductFilters() {
+  writeProductQuery(defaultQuery);
+  applyProductFilters();
+}
 
-// Sorts products by selected price order
-function sortProducts() {
-  const selectedSortValue = sortListByPrice.value;
-  if (selectedSortValue === 'low') {
-    filteredProducts.sort((product1, product2) => product1.price - product2.price);
-  } else {
-    filteredProducts.sort((product1, product2) => product2.price - product1.price);
+searchInput.addEventListener('input', applyProductFilters);
+filterList.addEventListener('change', applyProductFilters);
+minPriceInput.addEventListener('input', applyProductFilters);
+maxPriceInput.addEventListener('input', applyProductFilters);
+sortList.addEventListener('change', applyProductFilters);
+dietaryFilters.addEventListener('change', applyProductFilters);
+
+// Dietary needs
+// The chosen dietary filters can be saved, the cart then warns about lines that go against them
+
+// Describes dietary needs, e.g. "Vegan, without Peanuts and Sesame, not spicy"
+function describeDietaryNeeds({ diets, excludeAllergens, maxSpice }) {
+  const parts = diets.map(id => t(`diet.${id}`));
+  if (excludeAllergens.length > 0) {
+    parts.push(t('diet.without', { allergens: formatList(excludeAllergens.map(id => t(`allergen.${id}`))) }));
   }
-  printProducts();
+  if (maxSpice !== null) parts.push(t(`spice.max.${maxSpice}`));
+  return parts.join(', ');
+}
+
+// Shows which dietary needs are saved
+function renderDietaryStatus() {
+  const needs = describeDietaryNeeds(getDietaryPreferences());
+  document.querySelector('#dietaryStatus').textContent = needs ? t('diet.saved', { needs }) : t('diet.noneSaved');
 }
 
+function handleSaveDietaryNeeds() {
+  setDietaryPreferences(readDietaryFilter());
+}
+
+document.querySelector('#saveDietaryBtn').addEventListener('click', handleSaveDietaryNeeds);
+onDietaryPreferencesChange(() => {
+  renderDietaryStatus();
+  printCart(); // The warnings of the cart lines follow the saved needs
+});
+renderDietaryStatus();
+
+const productCards = new Map(); // Product id -> { card, markup }, kept while filtered out so nothing typed is lost
+
 // Display products in HTML
 // Renders the filtered products to the product listing section
+// Cards are keyed by product id and only rebuilt when their markup changed, so the focus, chosen options,
+// quantities and scroll position survive filtering, a language switch or a catalog change
 function printProducts() {
-  productsListing.innerHTML = '';
-  let html = '';
-  for (let productIndex = 0; productIndex < filteredProducts.length; productIndex++) {
-    const currentProduct = filteredProducts[productIndex];
-    const displayPrice = calculateProductPrice(currentProduct.price);
-    html += `
-      <article>
-        <h2>${currentProduct.name}</h2>
-        <div class="product-image">
-          <img 
-            src="${currentProduct.img.src}"
-            width="${currentProduct.img.width}"
-            height="${currentProduct.img.height}"
-            alt="${currentProduct.img.alt}"
-            loading="lazy"
-          >
-        </div>
-        <div class="metadata">
-          <span>Product: ${currentProduct.id}</span>
-          <span>Price: ${displayPrice.toFixed(2)} kr</span>
-        </div>
-        <div class="addToCart">
-          <button class="decrease" data-id="${currentProduct.id}">-</button>
-          <input type="number" id="amount-${currentProduct.id}" value="0" disabled>
-          <label for="amount-${currentProduct.id}">
-            <button class="increase" data-id="${currentProduct.id}">+</button>
-          </label>
-          <button class="buy" data-id="${currentProduct.id}">Buy</button>
-        </div>
-      </article>
+  const productsToShow = getDisplayedProducts();
+  const isDetail = detailProduct !== null;
+  productsListing.classList.toggle('productDetailView', isDetail);
+  if (productsToShow.length === 0) {
+    productsListing.innerHTML = `
+      <p class="noMatches" role="status">
+        ${t('products.noMatches')}
+        <button type="button" id="clearFilters">${t('products.clearFilters')}</button>
+      </p>
     `;
+    return;
   }
-  productsListing.innerHTML = html;
-  attachProductEventListeners(); // Attach event listeners to product buttons
+  const focused = productsListing.contains(document.activeElement) ? document.activeElement : null;
+  const date = getFulfilmentDate();
+  // Takes out the "no matches" message and the cards that are filtered out
+  const shownIds = new Set(productsToShow.map(product => product.id));
+  [...productsListing.children]
+    .filter(child => !shownIds.has(Number(child.dataset.productId)))
+    .forEach(child => child.remove());
+  productsToShow.forEach((product, index) => {
+    const markup = renderProductCard(product, isDetail, date);
+    const cached = productCards.get(product.id);
+    let card = cached?.card;
+    if (!cached || cached.markup !== markup) {
+      card = replaceProductCard(product, card, markup, date);
+      productCards.set(product.id, { card, markup });
+    }
+    // Keeps the cards in the order of the list
+    if (productsListing.children[index] !== card) {
+      productsListing.insertBefore(card, productsListing.children[index] || null);
+    }
+  });
+  // Moving a card in the list takes the focus away from it
+  if (focused?.isConnected && document.activeElement !== focused) {
+    focused.focus({ preventScroll: true });
+  }
+  updateStockStates();
 }
 
-// Attach event listeners to product buttons
-// Attaches event listeners to product buttons for cart actions
-function attachProductEventListeners() {
-  const buyButtons = document.querySelectorAll('#menuList button.buy');
-  buyButtons.forEach(btn => btn.addEventListener('click', addProductToCart));
-  const increaseButtons = document.querySelectorAll('#menuList button.increase');
-  increaseButtons.forEach(btn => btn.addEventListener('click', increaseProductCount));
-  const decreaseButtons = document.querySelectorAll('#menuList button.decrease');
-  decreaseButtons.forEach(btn => btn.addEventListener('click', decreaseProductCount));
+// The markup of one product card. Texts from the catalog are escaped
+function renderProductCard(currentProduct, isDetail, date) {
+  const displayPrice = calculateProductPrice(currentProduct, date);
+  const name = escapeHtml(localize(currentProduct, 'name'));
+  const description = escapeHtml(localize(currentProduct, 'description'));
+  // The detail view shows the same card with a large image and the description
+  const heading = isDetail
+    ? `<h2 tabindex="-1">${name}</h2>`
+    : `<h2><a href="#/product/${currentProduct.id}">${name}</a></h2>`;
+  return `
+    <article class="${isDetail ? 'productDetail' : ''}" data-product-id="${currentProduct.id}">
+      ${heading}
+      <div class="product-image">
+        <img 
+          src="${escapeHtml(currentProduct.img.src)}"
+          width="${currentProduct.img.width}"
+          height="${currentProduct.img.height}"
+          alt="${escapeHtml(localize(currentProduct, 'alt', currentProduct.img.alt))}"
+          loading="${isDetail ? 'eager' : 'lazy'}"
+        >
+      </div>
+      ${isDetail && description ? `<p class="description">${description}</p>` : ''}
+      <div class="metadata">
+        <span>${t('products.id', { id: String(currentProduct.id) })}</span>
+        <span id="price-${currentProduct.id}">${t('products.price', { price: formatPrice(displayPrice) })}</span>
+      </div>
+      ${renderDietaryBadges(currentProduct)}
+      <p class="stockStatus hidden" id="stock-${currentProduct.id}"></p>
+      ${renderProductOptions(currentProduct)}
+      <div class="addToCart">
+        <button class="decrease" data-id="${currentProduct.id}" tabindex="-1"
+          aria-controls="amount-${currentProduct.id}" aria-label="${t('products.decreaseLabel', { name })}">-</button>
+        <input type="text" inputmode="numeric" role="spinbutton" id="amount-${currentProduct.id}" value="0"
+          data-id="${currentProduct.id}" autocomplete="off" aria-label="${t('products.quantityLabel', { name })}"
+          aria-valuenow="0" aria-valuemin="0">
+        <button class="increase" data-id="${currentProduct.id}" tabindex="-1"
+          aria-controls="amount-${currentProduct.id}" aria-label="${t('products.increaseLabel', { name })}">+</button>
+        <button class="buy" data-id="${currentProduct.id}" aria-label="${t('products.buyLabel', { name })}">
+          ${t('products.buy')}
+        </button>
+      </div>
+    </article>
+  `;
+}
+
+// Diet and spice badges and the allergens of a product
+function renderDietaryBadges(product) {
+  const badges = getDiets(product).map(id => `<li class="badge dietBadge">${t(`diet.${id}`)}</li>`);
+  const level = product.spiceLevel || 0;
+  if (level > 0) {
+    badges.push(`
+      <li class="badge spiceBadge">
+        <span aria-hidden="true">${'🌶'.repeat(level)}</span> ${t(`spice.level.${level}`)}
+      </li>`);
+  }
+  return `
+    ${badges.length > 0 ? `<ul class="productBadges">${badges.join('')}</ul>` : ''}
+    <p class="allergenInfo">${describeAllergens(getAllergens(product))}</p>
+  `;
 }
 
+// "Allergens: Gluten and Peanuts", "No allergens" or, without allergen information, where to ask
+function describeAllergens(allergens) {
+  if (allergens === null) return t('allergen.unknown');
+  if (allergens.length === 0) return t('allergen.none');
+  return t('allergen.contains', { allergens: formatList(allergens.map(id => t(`allergen.${id}`))) });
+}
+
+// Builds a card from its markup. A card that replaces an older one keeps its quantity, chosen options and focus
+function replaceProductCard(product, oldCard, markup, date) {
+  const template = document.createElement('template');
+  template.innerHTML = markup.trim();
+  const card = template.content.firstElementChild;
+  if (!oldCard) return card;
+
+  const amount = oldCard.querySelector(`#amount-${product.id}`).value;
+  card.querySelector(`#amount-${product.id}`).value = amount;
+  card.querySelector(`#amount-${product.id}`).setAttribute('aria-valuenow', amount);
+  oldCard.querySelectorAll('.productOptions input').forEach(input => {
+    const match = card.querySelector(`input[name="${input.name}"][value="${input.value}"]`);
+    if (match) match.checked = input.checked;
+  });
+  const focused = oldCard.contains(document.activeElement) ? document.activeElement : null;
+  oldCard.replaceWith(card);
+  if (getOptionGroups(product).length > 0) updateCardPrice(product, card, date);
+  if (focused) findMatchingElement(card, focused)?.focus({ preventScroll: true });
+  return card;
+}
+
+// The element of a new card that matches an element of the card it replaced
+function findMatchingElement(card, element) {
+  if (element.id) return card.querySelector(`#${element.id}`);
+  if (element.name) return card.querySelector(`input[name="${element.name}"][value="${element.value}"]`);
+  const className = element.classList[0];
+  return card.querySelector(className ? `${element.localName}.${className}` : element.localName);
+}
+
+// Products on screen: the filtered menu, or the single product of the detail view
+function getDisplayedProducts() {
+  return detailProduct ? [detailProduct] : filteredProducts;
+}
+
+// Shows "only N left" / "sold out" on the product cards and disables buying what is not available
+function updateStockStates() {
+  getDisplayedProducts().forEach(product => {
+    const status = getStockStatus(product, cart);
+    const statusElement = document.querySelector(`#stock-${product.id}`);
+    if (statusElement) {
+      statusElement.textContent =
+        status.state === 'soldOut'
+          ? t('stock.soldOut')
+          : status.state === 'low'
+            ? t('stock.onlyLeft', { count: status.available })
+            : '';
+      statusElement.classList.toggle('hidden', status.state === 'inStock');
+      statusElement.classList.toggle('soldOut', status.state === 'soldOut');
+    }
+    const soldOut = status.state === 'soldOut';
+    const input = document.querySelector(`#amount-${product.id}`);
+    // Never keep more in the listing input than what is left
+    if (input) {
+      // Products without a stock limit have no maximum
+      if (Number.isFinite(status.available)) input.setAttribute('aria-valuemax', status.available);
+      else input.removeAttribute('aria-valuemax');
+      if (Number(input.value) > status.available) setProductAmount(product.id, status.available);
+    }
+    document
+      .querySelectorAll(
+        `#menuList button.buy[data-id="${product.id}"], #menuList button.increase[data-id="${product.id}"]`
+      )
+      .forEach(btn => (btn.disabled = soldOut));
+  });
+}
+
+// Renders option pickers (radio buttons for single choice, checkboxes for multiple choice)
+function renderProductOptions(product) {
+  const groups = getOptionGroups(product);
+  if (groups.length === 0) return '';
+  const defaults = getDefaultSelection(product);
+  const fieldsets = groups.map(group => {
+    const inputType = group.type === 'single' ? 'radio' : 'checkbox';
+    const choices = group.choices.map(choice => {
+      const checked = defaults[group.id].includes(choice.id) ? 'checked' : '';
+      const delta = choice.priceDelta ? ` (${formatPrice(choice.priceDelta, { signDisplay: 'always' })})` : '';
+      return `
+        <label>
+          <input type="${inputType}" name="option-${product.id}-${escapeHtml(group.id)}"
+            value="${escapeHtml(choice.id)}" data-id="${product.id}" data-group="${escapeHtml(group.id)}" ${checked}>
+          <span>${escapeHtml(localize(choice, 'label'))}${delta}</span>
+        </label>`;
+    });
+    return `
+      <fieldset>
+        <legend>${escapeHtml(localize(group, 'label'))}${group.required ? ' <span class="required">*</span>' : ''}</legend>
+        ${choices.join('')}
+      </fieldset>`;
+  });
+  return `
+    <div class="productOptions">
+      ${fieldsets.join('')}
+      <span class="hidden error" id="optionError-${product.id}"></span>
+    </div>`;
+}
+
+// Reads the chosen options from a product card
+function readSelectionFromCard(product, card = productsListing) {
+  const selection = {};
+  getOptionGroups(product).forEach(group => {
+    const checkedInputs = card.querySelectorAll(`input[name="option-${product.id}-${group.id}"]:checked`);
+    selection[group.id] = Array.from(checkedInputs).map(input => input.value);
+  });
+  return selection;
+}
+
+// Shows the price of the chosen options on the card
+function updateCardPrice(product, card = productsListing, date = getFulfilmentDate()) {
+  const priceElement = card.querySelector(`#price-${product.id}`);
+  if (priceElement) {
+    const price = calculateProductPrice(product, date, readSelectionFromCard(product, card));
+    priceElement.textContent = t('products.price', { price: formatPrice(price) });
+  }
+}
+
+// One listener for all product cards: buy, +/- and the "clear filters" button of the empty listing
+function handleProductListClick(evt) {
+  const button = evt.target.closest('button');
+  if (!button) return;
+  if (button.id === 'clearFilters') {
+    clearProductFilters();
+    return;
+  }
+  const productId = Number(button.dataset.id);
+  if (button.classList.contains('buy')) {
+    addProductToCart(productId);
+  } else if (button.classList.contains('increase')) {
+    increaseProductCount(productId);
+  } else if (button.classList.contains('decrease')) {
+    decreaseProductCount(productId);
+  }
+}
+
+// Updates the card price when the customer changes an option
+function handleProductOptionChange(evt) {
+  if (!evt.target.matches('.productOptions input')) return;
+  const product = products.find(product => product.id === Number(evt.target.dataset.id));
+  if (product) updateCardPrice(product);
+}
+
+// The quantity field is a spinbutton: arrow up/down change it by one, Home and End go to 0 and to what is left
+function handleProductAmountKeydown(evt) {
+  if (!evt.target.matches('.addToCart input')) return;
+  const productId = Number(evt.target.dataset.id);
+  const amount = Number(evt.target.value);
+  const max = evt.target.getAttribute('aria-valuemax');
+  const keys = {
+    ArrowUp: amount + 1,
+    ArrowDown: amount - 1,
+    Home: 0,
+    End: max === null ? amount : Number(max),
+  };
+  if (!(evt.key in keys)) return;
+  evt.preventDefault();
+  setProductAmount(productId, keys[evt.key]);
+}
+
+// Typed quantities keep only the digits, as much as is left in stock
+function handleProductAmountInput(evt) {
+  if (!evt.target.matches('.addToCart input')) return;
+  setProductAmount(Number(evt.target.dataset.id), Number(evt.target.value.replace(/\D/g, '')));
+}
+
+productsListing.addEventListener('click', handleProductListClick);
+productsListing.addEventListener('change', handleProductOptionChange);
+productsListing.addEventListener('keydown', handleProductAmountKeydown);
+productsListing.addEventListener('input', handleProductAmountInput);
+
 // Adjust product quantity on listing page
+// Writes a quantity into the quantity field of a card, between 0 and what is left in stock
+function setProductAmount(productId, amount) {
+  const input = document.querySelector(`#amount-${productId}`);
+  if (!input) return;
+  const product = getDisplayedProducts().find(product => product.id === productId);
+  const available = product ? getAvailableQuantity(product, cart) : 0;
+  const value = String(Math.max(0, Math.min(amount, available)));
+  if (input.value !== value) input.value = value;
+  input.setAttribute('aria-valuenow', value);
+}
+
 // Increases product quantity in listing
-function increaseProductCount(evt) {
-  const clickedBtnId = evt.target.dataset.id;
-  const input = document.querySelector(`#amount-${clickedBtnId}`);
-  input.value = Number(input.value) + 1;
+function increaseProductCount(productId) {
+  const input = document.querySelector(`#amount-${productId}`);
+  setProductAmount(productId, Number(input.value) + 1);
 }
 
 // Decreases product quantity in listing
-function decreaseProductCount(evt) {
-  const clickedBtnId = evt.target.dataset.id;
-  const input = document.querySelector(`#amount-${clickedBtnId}`);
-  let amount = Number(input.value) - 1;
-  input.value = amount < 0 ? 0 : amount;
+function decreaseProductCount(productId) {
+  const input = document.querySelector(`#amount-${productId}`);
+  setProductAmount(productId, Number(input.value) - 1);
 }
 
 // ==========================================
 // 5. SHOPPING CART MANAGEMENT
 // ==========================================
 // - Add product to cart
-// - Render cart items
-// - Attach event listeners to cart buttons
+// - Render cart items, keyed by cart line so only the lines that changed are touched
+// - One listener for the cart buttons
 // - Increase/decrease quantity in cart, delete items
+// - The cart store (see cartStore.mjs) tells the cart and the totals to render after every change
+// - Cart changes are announced to screen readers in one short sentence (see announcer.mjs)
 
 // Add product to cart
 // Adds selected product and quantity to the cart and shows feedback
-function addProductToCart(evt) {
-  const clickedBtnId = Number(evt.target.dataset.id);
-  const product = products.find(product => product.id === clickedBtnId);
+function addProductToCart(productId) {
+  const product = products.find(product => product.id === productId);
   if (!product) return;
-  const inputField = document.querySelector(`#amount-${clickedBtnId}`);
-  const amount = Number(inputField.value);
+  const inputField = document.querySelector(`#amount-${productId}`);
+  // Only what is left in stock can be reserved
+  const amount = Math.min(Number(inputField.value), getAvailableQuantity(product, cart));
   if (amount <= 0) return;
-  inputField.value = 0;
-  const index = cart.findIndex(product => product.id === clickedBtnId);
-  if (index === -1) {
-    product.amount = amount;
-    cart.push(product);
-  } else {
-    cart[index].amount += amount;
+
+  // Options must be valid before the product can be added
+  const selection = readSelectionFromCard(product);
+  const { valid, errors } = validateSelection(product, selection);
+  const optionError = document.querySelector(`#optionError-${productId}`);
+  if (optionError) {
+    optionError.textContent = errors.join(' ');
+    optionError.classList.toggle('hidden', valid);
   }
-  updateCartTotals();
-  printCart();
+  if (!valid) return;
+
+  setProductAmount(productId, 0);
+  cartStore.add(product, selection, amount); // Lines are keyed by product and chosen options
+  hideTimeOutMessage();
 
   // Show feedback message
   const feedback = document.getElementById('cart-feedback');
   if (feedback) {
-    feedback.textContent = 'Added to cart!';
+    feedback.textContent = t('products.addedToCart');
     feedback.classList.remove('hidden');
     setTimeout(() => {
       feedback.classList.add('hidden');
@@ -306,334 +778,578 @@ function addProductToCart(evt) {
 
 // Display cart items
 // Renders cart items to the cart section
+// Rows are keyed by cart line: new lines get a row, changed lines get new texts and removed lines lose theirs
 function printCart() {
-  cartSection.innerHTML = '';
-  for (let cartIndex = 0; cartIndex < cart.length; cartIndex++) {
-    cartSection.innerHTML += `
-      <article>
-        ${cart[cartIndex].name}:
-        <button data-id="${cart[cartIndex].id}" class="decrease-cart-product">-</button>
-        ${cart[cartIndex].amount} st
-        <button data-id="${cart[cartIndex].id}" class="increase-cart-product">+</button>
-        <button data-id="${cartIndex}" class="delete-product">
-          <i class="fa fa-trash-o" aria-hidden="true" style="font-size:17px"></i>
-        </button>
-      </article>
-    `;
+  if (cart.length === 0) {
+    cartSection.textContent = t('cart.empty');
+    return;
   }
-  attachCartEventListeners(); // Attach event listeners to cart buttons
+  const rows = new Map();
+  [...cartSection.childNodes].forEach(node => {
+    if (node.dataset?.key) {
+      rows.set(node.dataset.key, node);
+    } else {
+      node.remove(); // The "cart is empty" text
+    }
+  });
+  cart.forEach((line, index) => {
+    const row = rows.get(line.key) || createCartRow(line);
+    rows.delete(line.key);
+    updateCartRow(row, line);
+    if (cartSection.children[index] !== row) {
+      cartSection.insertBefore(row, cartSection.children[index] || null);
+    }
+  });
+  rows.forEach(row => row.remove());
 }
 
-// Attach event listeners to cart buttons
-// Attaches event listeners to cart buttons for quantity and delete actions
-function attachCartEventListeners() {
-  const deleteButtons = document.querySelectorAll('button.delete-product');
-  deleteButtons.forEach(btn => btn.addEventListener('click', handleDeleteCartItem));
-  const decreaseButtons = document.querySelectorAll('button.decrease-cart-product');
-  decreaseButtons.forEach(btn => btn.addEventListener('click', decreaseProductFromCart));
-  const increaseButtons = document.querySelectorAll('button.increase-cart-product');
-  increaseButtons.forEach(btn => btn.addEventListener('click', increaseProductFromCart));
+// A row for a new cart line, the texts are filled in by updateCartRow
+function createCartRow(line) {
+  const row = document.createElement('article');
+  row.dataset.key = line.key;
+  row.innerHTML = `
+    <span class="cartLineName"></span>:
+    <button class="decrease-cart-product">-</button>
+    <span class="cartLineQuantity"></span>
+    <button class="increase-cart-product">+</button>
+    <button class="delete-product">
+      <i class="fa fa-trash-o" aria-hidden="true" style="font-size:17px"></i>
+    </button>
+    <span class="cartLineWarning hidden"></span>
+  `;
+  return row;
 }
 
-// Adjust quantities in cart
-// Decreases product quantity in cart
-function decreaseProductFromCart(e) {
-  const rowId = Number(e.target.dataset.id);
-  const product = cart[rowId];
-  if (product && product.amount > 0) {
-    product.amount -= 1;
-    printCart();
-    updateCartTotals();
-  }
+// The name of a cart line with its chosen options, e.g. "Pho (Large, Extra beef)"
+function describeCartLine(line) {
+  return describeOrderLine(localize(line.product, 'name'), describeSelection(line.product, line.selection));
 }
 
-// Increases product quantity in cart
-function increaseProductFromCart(e) {
-  const rowId = Number(e.target.dataset.id);
-  const product = cart[rowId];
-  if (product) {
-    product.amount += 1;
-    printCart();
-    updateCartTotals();
-  }
+// A product name with the options of the line, as text
+function describeOrderLine(name, optionsLabel) {
+  return optionsLabel ? `${name} (${optionsLabel})` : name;
 }
 
-// Removes product from cart
-function handleDeleteCartItem(e) {
-  const rowId = Number(e.target.dataset.id);
-  cart.splice(rowId, 1);
-  printCart();
-  updateCartTotals();
+// Why a cart line goes against the saved dietary needs, e.g. "Check: contains Peanuts, not Vegan". Empty when it doesn't
+function describeDietaryWarning(line) {
+  const conflicts = findDietaryConflicts(line.product, line.selection);
+  if (!hasDietaryConflicts(conflicts)) return '';
+  const allergens = formatList(conflicts.allergens.map(id => t(`allergen.${id}`)));
+  const diets = formatList(
+    conflicts.diets.map(id => t(`diet.${id}`)),
+    'disjunction'
+  );
+  const problems = [];
+  if (conflicts.allergens.length > 0) problems.push(t('cart.diet.contains', { allergens }));
+  if (conflicts.diets.length > 0) problems.push(t('cart.diet.notSuitable', { diets }));
+  if (conflicts.tooSpicy) problems.push(t('cart.diet.tooSpicy'));
+  return t('cart.diet.warning', { problems: problems.join(', ') });
 }
 
-// ==========================================
-// 6. CART TOTALS CALCULATION (ALL RULES APPLIED)
-// ==========================================
-// - Calculates total, applies discounts, shipping, updates UI
-// - Highlights total change
-// - Ensures payment section visibility is updated
-
-// Calculates cart total, applies all pricing rules, updates UI
-function updateCartTotals() {
-  // Count items by category for bulk discount calculation (Rule 4)
-  const categoryCount = {};
-  cart.forEach(product => {
-    categoryCount[product.category] = (categoryCount[product.category] || 0) + product.amount;
+// Writes the name, options and quantity of a line, leaving texts that did not change alone.
+// The buttons are named after the line, e.g. "Remove Mochi from cart"
+function updateCartRow(row, line) {
+  const name = describeCartLine(line);
+  const texts = {
+    '.cartLineName': name,
+    '.cartLineQuantity': t('cart.quantity', { count: line.amount }),
+    '.cartLineWarning': describeDietaryWarning(line),
+  };
+  Object.entries(texts).forEach(([selector, text]) => {
+    const element = row.querySelector(selector);
+    if (element.textContent !== text) element.textContent = text;
   });
+  row.querySelector('.cartLineWarning').classList.toggle('hidden', !texts['.cartLineWarning']);
+  const labels = {
+    '.decrease-cart-product': t('cart.decreaseLabel', { name }),
+    '.increase-cart-product': t('cart.increaseLabel', { name }),
+    '.delete-product': t('cart.removeLabel', { name }),
+  };
+  Object.entries(labels).forEach(([selector, label]) => {
+    row.querySelector(selector).setAttribute('aria-label', label);
+  });
+}
 
-  let cartTotal = 0;
-  let bulkDiscountApplied = false;
-
-  // Calculate cart total with weekend surcharge and bulk discounts
-  for (let cartIndex = 0; cartIndex < cart.length; cartIndex++) {
-    // Apply weekend surcharge (Rule 2)
-    const priceWithSurcharge = calculateProductPrice(cart[cartIndex].price);
-
-    // Apply bulk discount if category has 10+ items (Rule 4)
-    const categoryQuantity = categoryCount[cart[cartIndex].category];
-    const discountResult = applyBulkDiscount(categoryQuantity, priceWithSurcharge);
-
-    let finalPrice = discountResult.price;
-    if (discountResult.discountApplied) {
-      bulkDiscountApplied = true;
-    }
+// One listener for the buttons of every cart row
+function handleCartClick(e) {
+  const button = e.target.closest('button');
+  const line = cart.find(line => line.key === button?.closest('[data-key]')?.dataset.key);
+  if (!line) return;
+  if (button.classList.contains('decrease-cart-product')) {
+    // The last one takes the line away, so the focus has to move on like for the delete button
+    if (line.amount <= 1) removeCartLine(line);
+    else cartStore.changeAmount(line.key, -1);
+  } else if (button.classList.contains('increase-cart-product')) {
+    // Adjust quantities in cart, as far as the stock allows
+    if (getAvailableQuantity(line.product, cart) > 0) cartStore.changeAmount(line.key, 1);
+  } else if (button.classList.contains('delete-product')) {
+    removeCartLine(line);
+  }
+}
 
-    const productSum = finalPrice * cart[cartIndex].amount;
-    cartTotal += productSum;
+// Removes product from cart, the focus moves on to the next row (or the cart heading) instead of getting lost
+function removeCartLine(line) {
+  const index = cart.indexOf(line);
+  cartStore.remove(line.key);
+  const nextRow = cartSection.children[Math.min(index, cart.length - 1)];
+  if (nextRow) {
+    nextRow.querySelector('.delete-product').focus();
+    return;
   }
+  const heading = document.querySelector('#orderSummary h2');
+  heading.setAttribute('tabindex', '-1');
+  heading.focus();
+}
 
-  // Apply Monday discount if applicable (Rule 1)
-  let discountAmount = 0;
-  const date = new Date();
-  const MONDAY = 1;
+cartSection.addEventListener('click', handleCartClick);
 
-  if (date.getDay() === MONDAY && date.getHours() < 10) {
-    discountAmount = cartTotal * 0.1;
-    document.querySelector('#discount').innerHTML =
-      `Monday discount: 10% off entire order (-${discountAmount.toFixed(2)} kr)`;
-  } else {
-    document.querySelector('#discount').innerHTML = '';
+// The cart and the totals follow every change of the cart
+cartStore.subscribe(change => {
+  printCart();
+  updateCartTotals();
+  announceCartChange(change);
+});
+
+// Tells screen reader users what a change did, e.g. "Mochi, 3 in cart, total 187 kr".
+// A restored or emptied cart (replace) is not announced, the page says what happened
+function announceCartChange({ type, lines }) {
+  if (type === 'replace' || lines.length === 0) return;
+  const name = describeCartLine(lines[0]);
+  const total = formatPrice(cartSummary.total);
+  if (type === 'remove') {
+    const messages = [t('cart.announce.removed', { name, total })];
+    if (cart.length === 0) messages.push(t('cart.empty'));
+    announceCart(messages.join(' '));
+    return;
   }
+  // A new line that goes against the dietary needs is announced with its warning
+  const warning = type === 'add' ? describeDietaryWarning(lines[0]) : '';
+  announceCart([t('cart.announce.line', { name, count: lines[0].amount, total }), warning].join(' ').trim());
+}
 
-  const totalAfterDiscount = cartTotal - discountAmount;
-
-  // Calculate shipping cost (Rule 5)
-  let shippingCost = 0;
-  const itemCount = cart.reduce((sum, product) => sum + product.amount, 0);
+// Cart persistence
+// Saves the cart to localStorage and restores it on load / when another tab changes it
+let isCartSavePaused = false; // Prevents saving while a stored cart is applied or an expired cart is cleared
 
-  if (itemCount > 15) {
-    shippingCost = 0; // Free shipping for more than 15 items
-    document.querySelector('#shippingCost').innerHTML = 'Freight: Free shipping!';
-  } else if (itemCount > 0) {
-    shippingCost = 25 + 0.1 * totalAfterDiscount; // 25 SEK base + 10% of total
-    document.querySelector('#shippingCost').innerHTML = `Freight: ${shippingCost.toFixed(2)} kr`;
-  } else {
-    document.querySelector('#shippingCost').innerHTML = 'Freight: 0.00 kr';
-  }
+// The chosen payment method and promo code, stored with the cart
+function readCartOptions() {
+  const checkedBtn = document.querySelector('input[name="invoiceOrCard"]:checked');
+  return { paymentMethod: checkedBtn ? checkedBtn.value : null, couponCode: appliedCouponCode };
+}
 
-  // Calculate final total
-  const finalTotal = totalAfterDiscount + shippingCost;
-  cartTotalChange.innerHTML = `${finalTotal.toFixed(2)} kr`;
+// Saves the cart and chosen payment method
+function persistCart() {
+  if (isCartSavePaused) return;
+  saveCart(cart, readCartOptions());
+}
 
-  // Display bulk discount message if applicable
-  const discountElement = document.querySelector('#bulkDiscount');
-  if (discountElement) {
-    if (bulkDiscountApplied) {
-      discountElement.innerHTML = 'Bulk discount: 10% off items (10+ per category)';
-    } else {
-      discountElement.innerHTML = '';
-    }
+// Replaces the in-memory cart with the stored one
+function restoreStoredCart(json) {
+  const stored = loadCart(products, json);
+  isCartSavePaused = true;
+  appliedCouponCode = stored.couponCode;
+  if (stored.paymentMethod) {
+    const radio = document.querySelector(`input[name="invoiceOrCard"][value="${stored.paymentMethod}"]`);
+    if (radio) radio.checked = true;
   }
+  cartStore.replace(stored.items);
+  isCartSavePaused = false;
+  showStoredCartNotice(stored);
+}
 
-  highlightCartTotalChange(); // Animate cart total change
-
-  // Ensure payment section visibility is updated after cart total changes
-  const checkedBtn = document.querySelector('input[name="invoiceOrCard"]:checked');
-  if (checkedBtn) {
-    handlePaymentMethodToggle({ target: checkedBtn });
+// Tells the customer about saved items that were removed or changed price
+function showStoredCartNotice({ removed, priceChanged }) {
+  const messages = [];
+  if (removed.length > 0) {
+    messages.push(t('cart.removedItems', { count: removed.length }));
   }
+  showCartNotice([...messages, ...describePriceChanges(priceChanged)]);
 }
 
-// Animates cart total change for user feedback
-function highlightCartTotalChange() {
-  cartTotalChange.classList.add('highlight-price');
-  setTimeout(() => cartTotalChange.classList.remove('highlight-price'), 1000);
+// One message per product whose price changed
+function describePriceChanges(priceChanged) {
+  return priceChanged.map(({ product, oldPrice, newPrice }) =>
+    t('cart.priceChanged', {
+      name: localize(product, 'name'),
+      oldPrice: formatPrice(oldPrice),
+      newPrice: formatPrice(newPrice),
+    })
+  );
 }
 
-// Initialize product display
-// Initial product display
-printProducts();
+// Shows messages above the cart, or hides the notice when there are none. The messages are text
+function showCartNotice(messages) {
+  const notice = document.querySelector('#cartNotice');
+  if (!notice) return;
+  notice.innerHTML = messages.map(escapeHtml).join('<br>');
+  notice.classList.toggle('hidden', messages.length === 0);
+}
 
 // ==========================================
-// 7. FORM VALIDATION
+// 6. CART TOTALS CALCULATION (ALL RULES APPLIED)
 // ==========================================
-// - Define regex patterns for validation
-// - Validate each field on focus out
-// - Enable order button only if all fields are valid
+// - Calculates the cart summary (see cartSummary.mjs) and renders it
+// - Freight follows the delivery method and postal code of the customer details (see deliveryZones.mjs)
+// - Prices follow the chosen time slot, a notice tells when the shop is closed
+// - Highlights total change
+// - Ensures payment section visibility is updated
 
-// Validation regex patterns
-// Validation regex patterns for each field
-const validationPatterns = {
-  firstName: /^(?!.*\.{2})(?!.*-{2})[a-zA-ZÅÄÖåäö]{2,}([\.\-]?[a-zA-ZÅÄÖåäö]+)*$/,
-  lastName: /^(?!.*\.{2})(?!.*-{2})(?!.*'{2})[a-zA-ZÅÄÖåäö]{2,}([\.\-']?[a-zA-ZÅÄÖåäö]+)*$/,
-  address: /^[A-Za-zÅÄÖåäö]+([\s\-][A-Za-zÅÄÖåäö]+)*\s+\d+[A-Za-z]?(\s*-\s*\d+[A-Za-z]?)?$/,
-  zipcode: /^\d{3}\s?\d{2}$/,
-  city: /^[A-Za-zÅÄÖåäö]+([\s\-][A-Za-zÅÄÖåäö]+)*$/,
-  email: /^[a-zA-Z0-9]+([._+-][a-zA-Z0-9]+)*@[a-zA-Z0-9]+([.-][a-zA-Z0-9]+)*\.[a-zA-Z]{2,}$/,
-  phone: /^(\+46|0)[\s\-]?7[\s\-]?\d{1}[\s\-]?\d{3}[\s\-]?\d{2}[\s\-]?\d{2}$/,
-};
+let cartSummary = calculateCartSummary([]); // Latest calculated summary, read by payment and checkout
+let appliedCouponCode = null; // Promo code the customer applied (see coupons.mjs)
+let lastFulfilmentChoice = null; // Delivery method, postal code and time slot the prices were last calculated for
 
-// Generic validation function
-// Validates a field and shows/hides error message
-function validateField(fieldElement, patternKey) {
-  const isValid = validationPatterns[patternKey].test(fieldElement.value);
-  fieldElement.nextElementSibling.classList.toggle('hidden', isValid);
-  return isValid;
+// The delivery method and postal code from the customer details. The postal code counts once it is a valid one
+function readDeliveryChoice() {
+  const form = document.querySelector('#orderForm');
+  const method = form?.elements.deliveryMethod?.value;
+  return {
+    method: deliveryMethods.includes(method) ? method : 'delivery',
+    zipcode: normalizeZipcode(form?.elements.zipcode?.value),
+  };
 }
 
-// First Name validation and event
-const firstName = document.querySelector('#firstname');
-if (firstName) {
-  // Ensure error span is hidden on load
-  const errorSpan = firstName.nextElementSibling;
-  if (errorSpan && errorSpan.classList) errorSpan.classList.add('hidden');
-  function handleFirstNameFocusOut() {
-    validateField(firstName, 'firstName');
-  }
-  firstName.addEventListener('focusout', handleFirstNameFocusOut);
+// Maps the cart to the lines the summary calculator expects
+function getCartLines() {
+  return cart.map(line => ({ product: line.product, quantity: line.amount, selection: line.selection }));
 }
 
-function validateFirstNameField() {
-  return firstName ? validateField(firstName, 'firstName') : true;
+// How many items the cart holds, counting every piece of every line
+function countCartItems() {
+  return cart.reduce((sum, line) => sum + line.amount, 0);
 }
 
-// Last Name validation and event
-const lastName = document.querySelector('#lastname');
-if (lastName) {
-  const errorSpan = lastName.nextElementSibling;
-  if (errorSpan && errorSpan.classList) errorSpan.classList.add('hidden');
-  function handleLastNameFocusOut() {
-    validateField(lastName, 'lastName');
-  }
-  lastName.addEventListener('focusout', handleLastNameFocusOut);
+// Formats a signed adjustment amount, e.g. "-12,50 kr"
+function formatAdjustment(amount) {
+  return formatPrice(amount, { signDisplay: 'always' });
 }
 
-function validateLastNameField() {
-  return lastName ? validateField(lastName, 'lastName') : true;
-}
+// Calculates cart total, applies all pricing rules, updates UI
+function updateCartTotals() {
+  cartSummary = calculateCartSummary(getCartLines(), getFulfilmentDate(), {
+    couponCode: appliedCouponCode,
+    delivery: readDeliveryChoice(),
+  });
+  renderCartSummary(cartSummary);
+  renderOpeningNotice();
+  persistCart();
+  updateStockStates(); // Cart changes reserve or release stock
+  highlightCartTotalChange(); // Animate cart total change
 
-// Address validation and event
-const address = document.querySelector('#adress');
-if (address) {
-  const errorSpan = address.nextElementSibling;
-  if (errorSpan && errorSpan.classList) errorSpan.classList.add('hidden');
-  function handleAddressFocusOut() {
-    validateField(address, 'address');
+  // Ensure payment section visibility is updated after cart total changes
+  const checkedBtn = document.querySelector('input[name="invoiceOrCard"]:checked');
+  if (checkedBtn) {
+    handlePaymentMethodToggle({ target: checkedBtn });
   }
-  address.addEventListener('focusout', handleAddressFocusOut);
+  refreshCheckoutStep(); // The cart may no longer allow the current checkout step
 }
 
-function validateAdressField() {
-  return address ? validateField(address, 'address') : true;
+// The freight line: the delivery zone and its price, store pickup, or why there is no freight (yet)
+function describeFreight(summary) {
+  const { freight } = summary;
+  if (freight.method === 'pickup') return t('cart.pickup');
+  if (!freight.deliverable) return t('cart.outsideDeliveryRange');
+  if (summary.itemCount === 0) return t('cart.freight', { amount: formatPrice(0) });
+  if (!freight.zone) return t('cart.freightPending');
+  const zone = localize(freight.zone, 'label');
+  if (freight.free) return t('cart.freeFreightZone', { zone });
+  const amount = formatPrice(freight.amount);
+  if (freight.zone.freeFrom === undefined) return t('cart.freightZone', { zone, amount });
+  return t('cart.freightZoneFreeFrom', { zone, amount, freeFrom: formatPrice(freight.zone.freeFrom) });
 }
 
-// Zipcode validation and event
-const zipcode = document.querySelector('#zipcode');
-if (zipcode) {
-  const errorSpan = zipcode.nextElementSibling;
-  if (errorSpan && errorSpan.classList) errorSpan.classList.add('hidden');
-  function handleZipcodeFocusOut() {
-    validateField(zipcode, 'zipcode');
+// Renders the summary into the order summary section
+function renderCartSummary(summary) {
+  // Order discounts (Rule 1)
+  document.querySelector('#discount').innerHTML = summary.orderDiscounts
+    .map(adjustment => `${adjustment.label} (${formatAdjustment(adjustment.amount)})`)
+    .join('<br>');
+
+  // Shipping cost (Rule 5)
+  document.querySelector('#shippingCost').textContent = describeFreight(summary);
+
+  cartTotalChange.innerHTML = formatPrice(summary.total);
+  renderCurrencyNote(document.querySelector('#currencyNote'), summary.total);
+  renderVatSummary(summary);
+
+  // Promo code line, with the reason when the code no longer applies to the cart
+  const couponLine = document.querySelector('#couponLine');
+  if (couponLine) {
+    const coupon = summary.coupon;
+    couponLine.classList.toggle('hidden', !coupon);
+    couponLine.classList.toggle('couponInvalid', Boolean(coupon && !coupon.valid));
+    if (coupon) {
+      document.querySelector('#couponText').textContent = coupon.valid
+        ? t('cart.couponApplied', { code: coupon.code, label: coupon.label, amount: formatAdjustment(coupon.amount) })
+        : t('cart.couponNotApplied', { code: coupon.code, message: coupon.message });
+    }
   }
-  zipcode.addEventListener('focusout', handleZipcodeFocusOut);
-}
-
-function validateZipcodeField() {
-  return zipcode ? validateField(zipcode, 'zipcode') : true;
-}
 
-// City validation and event
-const city = document.querySelector('#city');
-if (city) {
-  const errorSpan = city.nextElementSibling;
-  if (errorSpan && errorSpan.classList) errorSpan.classList.add('hidden');
-  function handleCityFocusOut() {
-    validateField(city, 'city');
+  // Display item discount messages if applicable
+  const discountElement = document.querySelector('#bulkDiscount');
+  if (discountElement) {
+    discountElement.innerHTML = summary.appliedRules
+      .filter(rule => rule.type === 'discount' && !summary.orderDiscounts.some(item => item.ruleId === rule.ruleId))
+      .map(rule => rule.label)
+      .join('<br>');
   }
-  city.addEventListener('focusout', handleCityFocusOut);
 }
 
-function validateCityField() {
-  return city ? validateField(city, 'city') : true;
+// Net amount and VAT of every rate, e.g. [['Net amount', '168,66 kr'], ['VAT 12%', '20,24 kr']]
+function getVatRows(vat) {
+  return [
+    [t('vat.net'), formatPrice(vat.net)],
+    ...vat.rates.map(item => [t('vat.rate', { rate: item.rate }), formatPrice(item.vat)]),
+  ];
 }
 
-// Email validation and event
-const email = document.querySelector('#email');
-if (email) {
-  const errorSpan = email.nextElementSibling;
-  if (errorSpan && errorSpan.classList) errorSpan.classList.add('hidden');
-  function handleEmailFocusOut() {
-    validateField(email, 'email');
-  }
-  email.addEventListener('focusout', handleEmailFocusOut);
+// Shows the VAT breakdown under the cart total, hidden while the cart is empty
+function renderVatSummary(summary) {
+  const vatSummary = document.querySelector('#vatSummary');
+  if (!vatSummary) return;
+  vatSummary.classList.toggle('hidden', summary.itemCount === 0);
+  const rows = [...getVatRows(summary.vat), [t('vat.gross'), formatPrice(summary.vat.gross)]];
+  vatSummary.querySelector('dl').innerHTML = rows
+    .map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`)
+    .join('');
+  vatSummary.querySelector('p').textContent = t(
+    summary.vat.pricesIncludeVat ? 'vat.pricesInclude' : 'vat.pricesExclude'
+  );
 }
 
-function validateEmailField() {
-  return email ? validateField(email, 'email') : true;
+// Tells the customer that converted prices are approximate and what is charged in kronor.
+// Hidden when prices are shown in kronor
+function renderCurrencyNote(element, total) {
+  if (!element) return;
+  const converted = getCurrency() !== BASE_CURRENCY;
+  element.classList.toggle('hidden', !converted);
+  element.textContent = '';
+  if (!converted) return;
+  element.textContent = t('cart.currencyNote', {
+    currency: getCurrency(),
+    date: formatDate(exchangeRates.date),
+    amount: formatPrice(total, { currency: BASE_CURRENCY }),
+  });
 }
 
-// Phone Number validation and event
-const phoneNumber = document.querySelector('#phoneNumber');
-if (phoneNumber) {
-  const errorSpan = phoneNumber.nextElementSibling;
-  if (errorSpan && errorSpan.classList) errorSpan.classList.add('hidden');
-  function handlePhoneNumberFocusOut() {
-    validateField(phoneNumber, 'phone');
+// Promo codes
+// Applies the code from the promo form, or shows why it can't be used
+const promoForm = document.querySelector('#promoForm');
+const promoCodeInput = document.querySelector('#promoCode');
+const promoError = document.querySelector('#promoError');
+
+function handlePromoCodeSubmit(e) {
+  e.preventDefault();
+  const validation = validateCoupon(promoCodeInput.value, {
+    date: getFulfilmentDate(),
+    lines: cartSummary.lines,
+    subtotal: cartSummary.subtotal,
+    orderDiscounts: cartSummary.orderDiscounts,
+  });
+  if (!validation.valid) {
+    promoError.textContent = validation.message;
+    promoError.classList.remove('hidden');
+    promoCodeInput.setAttribute('aria-invalid', 'true');
+    return;
   }
-  phoneNumber.addEventListener('focusout', handlePhoneNumberFocusOut);
+  promoError.textContent = '';
+  promoError.classList.add('hidden');
+  promoCodeInput.removeAttribute('aria-invalid');
+  promoCodeInput.value = '';
+  appliedCouponCode = validation.coupon.code;
+  updateCartTotals();
 }
 
-function validatePhoneNumberField() {
-  return phoneNumber ? validateField(phoneNumber, 'phone') : true;
+// Removes the applied promo code
+function handleRemoveCoupon() {
+  appliedCouponCode = null;
+  updateCartTotals();
+  promoCodeInput.focus();
 }
 
-// Enables/disables order button based on validation
-const orderBtn = document.querySelector('#orderBtn');
+promoForm?.addEventListener('submit', handlePromoCodeSubmit);
+document.querySelector('#removeCouponBtn')?.addEventListener('click', handleRemoveCoupon);
 
-function toggleOrderButtonActive() {
-  if (!orderBtn) return;
-
-  orderBtn.setAttribute('disabled', 'disabled');
-
-  const isValidFirstName = validateFirstNameField();
-  if (!isValidFirstName) return;
+// Animates cart total change for user feedback
+function highlightCartTotalChange() {
+  cartTotalChange.classList.add('highlight-price');
+  setTimeout(() => cartTotalChange.classList.remove('highlight-price'), 1000);
+}
 
-  const isValidLastName = validateLastNameField();
-  if (!isValidLastName) return;
+// Initialize product display
+// Initial product display, using the search/filter/sort state from the URL, or the saved dietary needs when the URL
+// has no dietary filter
+const initialParams = new URLSearchParams(window.location.search);
+const initialQuery = queryFromSearchParams(initialParams, catalogCategories);
+writeProductQuery(hasDietaryParams(initialParams) ? initialQuery : { ...initialQuery, ...getDietaryPreferences() });
+applyProductFilters();
+
+// Restore the cart from the last visit and follow changes made in other tabs
+restoreStoredCart();
+persistCart(); // Stores the re-checked prices so the notice is only shown once
+onStoredCartChange(restoreStoredCart);
 
-  const isValidAdress = validateAdressField();
-  if (!isValidAdress) return;
+// ==========================================
+// 7. FORM VALIDATION
+// ==========================================
+// - One schema per form declares the rules of its fields (see formValidation.mjs)
+// - Fields are checked on focus out and live while typing, errors are linked to the fields for screen readers
+// - Error messages are keys in the message catalog (see messages.mjs), shown in the active language
+// - Submit buttons are only enabled while their form is valid
 
-  const isValidZipcode = validateZipcodeField();
-  if (!isValidZipcode) return;
+// Validation regex patterns for each field
+const validationPatterns = {
+  firstName: /^(?!.*\.{2})(?!.*-{2})[a-zA-ZÅÄÖåäö]{2,}([\.\-]?[a-zA-ZÅÄÖåäö]+)*$/,
+  lastName: /^(?!.*\.{2})(?!.*-{2})(?!.*'{2})[a-zA-ZÅÄÖåäö]{2,}([\.\-']?[a-zA-ZÅÄÖåäö]+)*$/,
+  address: /^[A-Za-zÅÄÖåäö]+([\s\-][A-Za-zÅÄÖåäö]+)*\s+\d+[A-Za-z]?(\s*-\s*\d+[A-Za-z]?)?$/,
+  zipcode: /^\d{3}\s?\d{2}$/,
+  city: /^[A-Za-zÅÄÖåäö]+([\s\-][A-Za-zÅÄÖåäö]+)*$/,
+  email: /^[a-zA-Z0-9]+([._+-][a-zA-Z0-9]+)*@[a-zA-Z0-9]+([.-][a-zA-Z0-9]+)*\.[a-zA-Z]{2,}$/,
+  phone: /^(\+46|0)[\s\-]?7[\s\-]?\d{1}[\s\-]?\d{3}[\s\-]?\d{2}[\s\-]?\d{2}$/,
+};
 
-  const isValidCity = validateCityField();
-  if (!isValidCity) return;
+// Rules shared by fields that take a name, an email address and so on.
+// Name fields say which name is missing, invalidMessage is the message key
+const nameRules = invalidMessage => ({
+  required: true,
+  validate: value => value.length >= 2,
+  messages: { invalid: invalidMessage },
+});
+const emailRules = {
+  required: true,
+  pattern: validationPatterns.email,
+  messages: { pattern: 'validation.email.pattern' },
+};
 
-  const isValidEmail = validateEmailField();
-  if (!isValidEmail) return;
+// Validates the field against the rules of the country selected in the invoice form
+const countryRule = validate => ({
+  validate: (value, values) => validate(value, values.country),
+  dependsOn: ['country'],
+});
+
+// The address is only needed for home delivery. Picked up orders leave it out, whatever is typed in it
+const deliveryAddressRules = rules => ({
+  ...rules,
+  required: () => readDeliveryChoice().method === 'delivery',
+  normalize: value => (readDeliveryChoice().method === 'delivery' ? value.trim() : ''),
+});
+
+const formSchemas = {
+  orderForm: {
+    firstname: {
+      required: true,
+      pattern: validationPatterns.firstName,
+      messages: { pattern: 'validation.firstName.pattern' },
+    },
+    lastname: {
+      required: true,
+      pattern: validationPatterns.lastName,
+      messages: { pattern: 'validation.lastName.pattern' },
+    },
+    adress: deliveryAddressRules({
+      pattern: validationPatterns.address,
+      messages: { pattern: 'validation.address.pattern' },
+    }),
+    // Orders are only delivered to postal codes in a delivery zone (see deliveryZones.mjs)
+    zipcode: deliveryAddressRules({
+      pattern: validationPatterns.zipcode,
+      validate: value => findDeliveryZone(value) !== null,
+      messages: { pattern: 'validation.zipcode.pattern', invalid: 'validation.zipcode.outsideRange' },
+    }),
+    city: deliveryAddressRules({
+      pattern: validationPatterns.city,
+      messages: { pattern: 'validation.city.pattern' },
+    }),
+    email: emailRules,
+    // Only slots that are still ahead and not full can be chosen (see openingHours.mjs)
+    timeSlot: {
+      required: true,
+      validate: value => findTimeSlot(value) !== null,
+      messages: { required: 'validation.timeSlot.required', invalid: 'validation.timeSlot.unavailable' },
+    },
+    // The phone number is formatted while typing, the parentheses are not part of the number
+    phoneNumber: {
+      required: true,
+      pattern: validationPatterns.phone,
+      normalize: value => value.replace(/[()]/g, '').trim(),
+      messages: { pattern: 'validation.phone.pattern' },
+    },
+  },
+  cardPaymentForm: {
+    cardName: nameRules('validation.cardName.invalid'),
+    cardholderEmail: emailRules,
+    cardNumber: { required: true, validate: validateCardNumber },
+    expiry: { required: true, validate: value => validateExpiry(value) },
+    cvv: {
+      required: true,
+      validate: (value, values) => validateCvv(value, detectCardBrand(values.cardNumber)),
+      dependsOn: ['cardNumber'],
+    },
+  },
+  invoicePaymentForm: {
+    companyName: { required: true },
+    firstName: nameRules('validation.invoiceFirstName.invalid'),
+    lastName: nameRules('validation.invoiceLastName.invalid'),
+    invoiceEmail: emailRules,
+    phone: countryRule(validatePhone),
+    address: { required: true },
+    invoiceCity: { required: true },
+    zipCode: { required: true, ...countryRule(validatePostalCode) },
+    state: countryRule(validateState),
+    country: { required: true },
+    taxId: countryRule(validateTaxId),
+    agreeTerms: { required: true, messages: { required: 'validation.agreeTerms.required' } },
+  },
+};
 
-  const isValidPhoneNumberField = validatephoneNumberField();
-  if (!isValidPhoneNumberField) return;
+// One validator per form, keyed by form id
+const formValidators = {};
+Object.entries(formSchemas).forEach(([formId, schema]) => {
+  const form = document.getElementById(formId);
+  if (!form) return;
+  formValidators[formId] = createFormValidator(form, schema, {
+    submitButton: form.querySelector('#orderBtn, button[type="submit"]'),
+  });
+});
+
+// Updates labels, placeholders and the required state of the invoice fields for the selected country
+const invoiceCountrySelect = document.querySelector('#country');
+function applyCountryRules() {
+  const rules = getCountryRules(invoiceCountrySelect.value);
+  if (!rules) return;
+  const setText = (selector, text) => {
+    const element = document.querySelector(selector);
+    if (element) element.textContent = text;
+  };
+  setText('#zipCodeLabel', rules.postalCode.label);
+  setText('#stateLabel', rules.state.label);
+  setText('#taxIdLabel', rules.taxId.label);
+  document.querySelector('#stateRequired')?.classList.toggle('hidden', !rules.state.required);
+
+  const placeholders = {
+    zipCode: rules.postalCode.example,
+    phone: rules.phone.example,
+    state: rules.state.example,
+    taxId: rules.taxId.example,
+  };
+  Object.entries(placeholders).forEach(([name, example]) => {
+    const field = invoiceCountrySelect.form.elements[name];
+    if (field) field.placeholder = example;
+  });
+  invoiceCountrySelect.form.elements.state.required = rules.state.required;
+}
 
-  orderBtn.removeAttribute('disabled');
+if (invoiceCountrySelect) {
+  invoiceCountrySelect.addEventListener('change', applyCountryRules);
+  // The form reset happens after the reset event, so the rules are applied once it is done
+  invoiceCountrySelect.form.addEventListener('reset', () => setTimeout(applyCountryRules));
+  applyCountryRules();
 }
 
 // ==========================================
 // 8. PAYMENT METHOD SELECTION (Rule 3)
 // ==========================================
 // - Add event listeners to payment radio buttons
-// - handlePaymentMethodToggle(): Shows/hides payment sections, enforces invoice limit
+// - handlePaymentMethodToggle(): Enforces the invoice limit (the payment details step shows the chosen method)
 
 const paymentRadioButtons = document.querySelectorAll('input[name="invoiceOrCard"]');
 if (paymentRadioButtons.length === 0) {
@@ -641,6 +1357,7 @@ if (paymentRadioButtons.length === 0) {
 } else {
   paymentRadioButtons.forEach(btn => {
     btn.addEventListener('change', handlePaymentMethodToggle);
+    btn.addEventListener('change', persistCart);
   });
   // Ensure correct payment section is shown on page load
   const checkedBtn = document.querySelector('input[name="invoiceOrCard"]:checked');
@@ -652,24 +1369,18 @@ if (paymentRadioButtons.length === 0) {
 // Handles payment method selection and UI toggling
 function handlePaymentMethodToggle({ target }) {
   const method = target.value;
-  const cardSection = document.querySelector('#cardPayment');
-  const invoiceSection = document.querySelector('#invoicePayment');
-  const totalAmount = parseFloat(cartTotalChange.innerHTML);
+  const totalAmount = cartSummary.total;
+  const warning = document.querySelector('.invoiceOver800Sum');
 
   // 1. Guard Clause: Handle the Invoice restriction first
   if (method === 'invoice' && !isInvoicePaymentAllowed(totalAmount)) {
-    const warning = document.querySelector('.invoiceOver800Sum');
     if (warning) {
-      warning.innerHTML = `<p>Invoice payment is only for orders under 800 SEK. Please use card payment for your order.</p>`; // Your warning HTML
+      warning.innerHTML = `<p>${t('payment.invoiceLimit', { limit: formatPrice(INVOICE_LIMIT) })}</p>`; // Your warning HTML
     }
     target.checked = false;
     return; // Exit early
   }
-
-  // 2. Toggle UI Visibility based on method
-  const isInvoice = method === 'invoice';
-  invoiceSection?.classList.toggle('hidden', !isInvoice);
-  cardSection?.classList.toggle('hidden', isInvoice);
+  if (warning) warning.innerHTML = '';
 }
 
 // Selects payment method visually and checks radio
@@ -691,13 +1402,25 @@ function selectPayment(element) {
 // ==========================================
 // - Format card number, expiry, CVV, phone number as user types
 
-// Format card number with spaces (every 4 digits)
+// Highlights the icon of the detected card brand and updates the CVV hint and length for it
+function showCardBrand(brand) {
+  document.querySelectorAll('.cardBrand').forEach(icon => {
+    icon.classList.toggle('active', brand !== null && icon.dataset.brand === brand.id);
+    icon.classList.toggle('dimmed', brand !== null && icon.dataset.brand !== brand.id);
+  });
+  const cvvHint = document.querySelector('#cvvHint');
+  if (cvvHint) {
+    cvvHint.textContent = !brand ? t('cvv.hintAny') : brand.id === 'amex' ? t('cvv.hintFront') : t('cvv.hintBack');
+  }
+  if (cvvInput) cvvInput.maxLength = brand ? brand.cvvLength : 4;
+}
+
+// Format card number with spaces, grouped the way the brand prints it (Amex is 4-6-5)
 const cardNumberInput = document.getElementById('cardNumber');
 if (cardNumberInput) {
   function formatCardNumberInput(e) {
-    let value = e.target.value.replace(/\s/g, '');
-    let formattedValue = value.match(/.{1,4}/g)?.join(' ') || value;
-    e.target.value = formattedValue;
+    e.target.value = formatCardNumber(e.target.value);
+    showCardBrand(detectCardBrand(e.target.value));
   }
   cardNumberInput.addEventListener('input', formatCardNumberInput);
 }
@@ -725,6 +1448,7 @@ if (cvvInput) {
 }
 
 // Format phone number as (XXX) XXX-XXXX while user types
+const phoneNumber = document.getElementById('phoneNumber');
 if (phoneNumber) {
   function formatPhoneNumberInput(e) {
     let value = e.target.value.replace(/\D/g, '');
@@ -745,26 +1469,1319 @@ if (phoneNumber) {
 // ==========================================
 // 10. FORM SUBMISSION HANDLERS
 // ==========================================
-// - Handle card payment form submit (demo alert)
-// - Handle invoice payment form submit (demo alert, logs form data)
+// - Each checkout form leads on to the next step once it is valid
+// - Re-check stock before payment and report any shortfall per line
+// - Build the order (customer, cart lines with computed prices, payment, totals) and send it (see orderApi.mjs)
+// - Show progress and errors in the review step, and the order confirmation when the order is placed
+
+// Checks the cart against the current stock, shows what can not be delivered and returns true if all is in stock
+function verifyStockBeforeCheckout() {
+  const shortfalls = findStockShortfalls(cart, products);
+  const notice = document.querySelector('#cartNotice');
+  if (notice) {
+    notice.innerHTML = shortfalls
+      .map(({ product, requested, available }) =>
+        available === 0
+          ? t('stock.soldOutInCart', { name: localize(product, 'name') })
+          : t('stock.shortfall', { available, name: localize(product, 'name'), requested })
+      )
+      .map(escapeHtml)
+      .join('<br>');
+    notice.classList.toggle('hidden', shortfalls.length === 0);
+  }
+  return shortfalls.length === 0;
+}
 
-// Card payment form submission
-const cardPaymentForm = document.getElementById('cardPaymentForm');
-if (cardPaymentForm) {
-  function handleCardPaymentSubmit(e) {
+// Counts the use of the applied promo code when the order is placed
+function recordAppliedCouponUsage() {
+  if (cartSummary.coupon && cartSummary.coupon.valid) {
+    recordCouponUsage(cartSummary.coupon.code);
+  }
+}
+
+let pendingOrder = null; // { idempotencyKey, fingerprint } of the order being sent, reused when the customer retries
+let lastPlacedOrder = null; // Shown by the confirmation view without asking the order service again
+let documentOrder = null; // Order shown as a receipt or invoice, read by the download buttons
+let editedProductId = null; // Product in the catalog admin form, null while a new product is added
+let pendingCatalog = null; // { products, source } waiting in the catalog admin preview until it is applied
+
+// Reads the customer details from the customer information form. Picked up orders have no address
+function readCustomerDetails() {
+  const formData = new FormData(orderForm);
+  const address = field => (readDeliveryChoice().method === 'delivery' ? formData.get(field) : '');
+  return {
+    firstName: formData.get('firstname'),
+    lastName: formData.get('lastname'),
+    address: address('adress'),
+    zipcode: address('zipcode'),
+    city: address('city'),
+    email: formData.get('email'),
+    phone: formData.get('phoneNumber'),
+  };
+}
+
+// Reads the payment details - card numbers and CVV are never sent with the order, only the last four digits
+function readPaymentDetails(form) {
+  const formData = new FormData(form);
+  if (form === cardPaymentForm) {
+    const cardNumber = String(formData.get('cardNumber') || '').replace(/\D/g, '');
+    return {
+      method: 'card',
+      cardholderName: formData.get('cardName'),
+      email: formData.get('cardholderEmail'),
+      brand: detectCardBrand(cardNumber)?.id || null,
+      last4: cardNumber.slice(-4),
+      expiry: formData.get('expiry'),
+    };
+  }
+  const details = Object.fromEntries(formData);
+  return { ...details, method: 'invoice', agreeTerms: formData.get('agreeTerms') === 'on' };
+}
+
+// Shows a progress or error message in a checkout step
+function setSubmitStatus(form, message, state = 'error') {
+  const status = form.querySelector('.submitStatus');
+  if (!status) return;
+  status.textContent = message;
+  status.dataset.state = state;
+  status.classList.toggle('hidden', message === '');
+}
+
+// Picks the message for a failed order
+function getOrderErrorMessage(error) {
+  if (error.kind === 'timeout') return t('order.error.timeout');
+  if (error.kind === 'network') return t('order.error.network');
+  if (error.kind === 'rejected') return t('order.error.rejected', { reason: error.message });
+  return t('order.error.server');
+}
+
+// Empties the cart and forms after a placed order
+function completeOrder() {
+  appliedCouponCode = null;
+  cartStore.clear();
+  orderForm?.reset();
+  cardPaymentForm?.reset();
+  invoicePaymentForm?.reset();
+}
+
+// Sends the order from the review step
+async function placeOrder() {
+  setSubmitStatus(orderReviewForm, '');
+  if (!verifyStockBeforeCheckout()) {
+    setSubmitStatus(orderReviewForm, t('order.unavailable'));
+    return;
+  }
+  // The cart or the entered details may have changed since the customer got here
+  const incompleteStep = checkoutFlow.getFirstIncompleteStep('review');
+  if (incompleteStep) {
+    router.navigate(`/checkout/${incompleteStep}`);
+    return;
+  }
+
+  const paymentForm = getSelectedPaymentForm();
+  const payload = buildOrderPayload({
+    customer: readCustomerDetails(),
+    summary: cartSummary,
+    payment: readPaymentDetails(paymentForm),
+    timeSlot: findTimeSlot(orderForm.elements.timeSlot.value),
+  });
+  // The same order keeps its idempotency key, so pressing the button again never creates a duplicate
+  const fingerprint = JSON.stringify({ ...payload, placedAt: null });
+  if (!pendingOrder || pendingOrder.fingerprint !== fingerprint) {
+    pendingOrder = { idempotencyKey: createIdempotencyKey(), fingerprint };
+  }
+
+  placeOrderButton.disabled = true;
+  setSubmitStatus(orderReviewForm, t('order.sending'), 'pending');
+  try {
+    const receipt = await submitOrder(payload, { idempotencyKey: pendingOrder.idempotencyKey });
+    pendingOrder = null;
+    recordAppliedCouponUsage();
+    recordSlotBooking(payload.timeSlot.start);
+    lastPlacedOrder = { ...payload, ...receipt };
+    saveOrder(lastPlacedOrder).catch(() => {
+      // Without IndexedDB the order is simply not kept in the order history
+    });
+    setSubmitStatus(orderReviewForm, '');
+    completeOrder();
+    router.navigate(`/order/${encodeURIComponent(receipt.orderId)}`);
+  } catch (error) {
+    setSubmitStatus(orderReviewForm, getOrderErrorMessage(error));
+  } finally {
+    placeOrderButton.disabled = false;
+  }
+}
+
+// Cart review - continues when the cart has items that are in stock
+const cartStepButton = document.getElementById('cartStepBtn');
+if (cartStepButton) {
+  function handleCartStepContinue() {
+    const cartStep = cartStepButton.closest('[data-checkout-step]');
+    if (countCartItems() === 0) {
+      setSubmitStatus(cartStep, t('order.cartEmpty'));
+      return;
+    }
+    if (!verifyStockBeforeCheckout()) {
+      setSubmitStatus(cartStep, t('order.unavailable'));
+      return;
+    }
+    setSubmitStatus(cartStep, '');
+    goToNextCheckoutStep('cart');
+  }
+  cartStepButton.addEventListener('click', handleCartStepContinue);
+}
+
+// Customer information form - continues to the payment method
+const orderForm = document.getElementById('orderForm');
+if (orderForm) {
+  async function handleOrderFormSubmit(e) {
+    e.preventDefault();
+    if (!(await formValidators.orderForm.validateFormAsync())) return;
+    goToNextCheckoutStep('customer');
+  }
+  orderForm.addEventListener('submit', handleOrderFormSubmit);
+
+  function handleDeliveryChange(e) {
+    if (e.target.name === 'deliveryMethod') {
+      showDeliveryMethod();
+      formValidators.orderForm.refresh();
+    }
+    applyFulfilmentChoice();
+  }
+  orderForm.addEventListener('input', handleDeliveryChange);
+  orderForm.addEventListener('change', handleDeliveryChange);
+  // The fields are only reset after the reset event
+  orderForm.addEventListener('reset', () =>
+    setTimeout(() => {
+      showDeliveryMethod();
+      applyFulfilmentChoice();
+    })
+  );
+  document.querySelector('#pickupAddress').textContent = readSellerDetails().addressLines.join(' ');
+  showDeliveryMethod();
+  renderTimeSlots();
+}
+
+// The freight follows the delivery method and the postal code as soon as it is a valid one,
+// and every price follows the chosen time slot
+function applyFulfilmentChoice() {
+  const choice = JSON.stringify({ ...readDeliveryChoice(), timeSlot: orderForm?.elements.timeSlot.value });
+  if (choice === lastFulfilmentChoice) return;
+  lastFulfilmentChoice = choice;
+  printProducts();
+  updateCartTotals();
+}
+
+// Store pickup hides the address fields and shows where the order is picked up
+function showDeliveryMethod() {
+  const pickup = readDeliveryChoice().method === 'pickup';
+  document.querySelector('#deliveryAddress').classList.toggle('hidden', pickup);
+  document.querySelector('#pickupInfo').classList.toggle('hidden', !pickup);
+}
+
+// Payment method form - continues to the details of the chosen method
+const paymentMethodForm = document.getElementById('paymentMethodForm');
+if (paymentMethodForm) {
+  function handlePaymentMethodSubmit(e) {
     e.preventDefault();
-    alert('Payment form submitted! (This is a demo - no actual payment processed)');
+    if (!getSelectedPaymentForm()) {
+      setSubmitStatus(paymentMethodForm, t('order.choosePayment'));
+      return;
+    }
+    setSubmitStatus(paymentMethodForm, '');
+    goToNextCheckoutStep('paymentMethod');
+  }
+  paymentMethodForm.addEventListener('submit', handlePaymentMethodSubmit);
+}
+
+// Card and invoice payment forms - continue to the order review
+async function handlePaymentDetailsSubmit(e) {
+  e.preventDefault();
+  const form = e.currentTarget;
+  if (!(await formValidators[form.id].validateFormAsync())) {
+    form.querySelector('[aria-invalid="true"]')?.focus();
+    return;
   }
-  cardPaymentForm.addEventListener('submit', handleCardPaymentSubmit);
+  goToNextCheckoutStep('paymentDetails');
 }
 
-// Invoice payment form submission
+const cardPaymentForm = document.getElementById('cardPaymentForm');
 const invoicePaymentForm = document.getElementById('invoicePaymentForm');
-if (invoicePaymentForm) {
-  function handleInvoicePaymentSubmit(e) {
+cardPaymentForm?.addEventListener('submit', handlePaymentDetailsSubmit);
+invoicePaymentForm?.addEventListener('submit', handlePaymentDetailsSubmit);
+
+// Order review - places the order
+const orderReviewForm = document.getElementById('orderReviewForm');
+const placeOrderButton = document.getElementById('placeOrderBtn');
+if (orderReviewForm) {
+  function handleOrderReviewSubmit(e) {
     e.preventDefault();
-    alert('Invoice payment request submitted! You will receive a confirmation email shortly. (This is a demo)');
-    console.log('Form data:', new FormData(e.target));
+    placeOrder();
+  }
+  orderReviewForm.addEventListener('submit', handleOrderReviewSubmit);
+}
+
+// Renders a placed order in the confirmation view
+function renderOrderConfirmation(order) {
+  const details = document.querySelector('#orderConfirmationDetails');
+  const lines = (order.lines || [])
+    .map(line => {
+      // The order keeps the product name it was placed with, the menu may have it in the chosen language
+      const name = localize(
+        products.find(product => product.id === line.productId),
+        'name',
+        line.name
+      );
+      return `
+        <li>
+          ${escapeHtml(line.quantity)} x ${escapeHtml(describeOrderLine(name, line.optionsLabel))}
+          <span>${formatPrice(line.lineTotal)}</span>
+        </li>`;
+    })
+    .join('');
+  const paymentMethod = order.payment?.method === 'invoice' ? t('payment.invoice') : t('payment.card');
+  const charged = order.totals && getCurrency() !== BASE_CURRENCY; // Converted prices, show what was charged
+  details.innerHTML = `
+    <p>${t('confirmation.orderNumber', { orderNumber: '<strong class="orderNumber"></strong>' })}</p>
+    <ul class="orderLines">${lines}</ul>
+    ${order.totals ? `<p>${t('review.total')}: <strong>${formatPrice(order.totals.total)}</strong></p>` : ''}
+    ${charged ? `<p>${t('review.charged')}: <strong>${formatPrice(order.totals.total, { currency: BASE_CURRENCY })}</strong></p>` : ''}
+    ${order.timeSlot ? `<p>${describeOrderTime(order.timeSlot, order.delivery?.method)}</p>` : ''}
+    ${order.payment ? `<p>${t('review.payment')}: ${paymentMethod}</p>` : ''}
+    ${order.totals ? `<p>${renderDocumentLink(order)}</p>` : ''}
+  `;
+  details.querySelector('.orderNumber').textContent = order.orderId;
+}
+
+// Shows the order for the confirmation route, asking the order service when it is not the order just placed
+function showOrderConfirmation(orderId) {
+  if (lastPlacedOrder && lastPlacedOrder.orderId === orderId) {
+    renderOrderConfirmation(lastPlacedOrder);
+    return;
+  }
+  renderOrderConfirmation({ orderId });
+  fetchOrder(orderId)
+    .then(order => {
+      lastPlacedOrder = order;
+      renderOrderConfirmation(order);
+    })
+    .catch(() => {
+      // The order number alone is still useful when the details can't be loaded
+    });
+}
+
+// ==========================================
+// 11. CHECKOUT STEPS
+// ==========================================
+// - Checkout is a fixed sequence of steps (see checkoutSteps.mjs), each with its own URL (#/checkout/customer)
+// - A step can only be entered when the steps before it are complete, going back keeps what was entered
+// - The progress indicator shows where the customer is, finished steps link back
+// - The review step lists every line, discount, freight and the total before the order is placed
+
+let currentCheckoutStep = null;
+
+// The payment form of the chosen payment method, or null when none is chosen
+function getSelectedPaymentForm() {
+  const method = document.querySelector('input[name="invoiceOrCard"]:checked')?.value;
+  if (method === 'card') return cardPaymentForm;
+  if (method === 'invoice') return invoicePaymentForm;
+  return null;
+}
+
+// Tells if the customer may leave a step
+function isCheckoutStepComplete(stepId) {
+  if (stepId === 'cart') {
+    return countCartItems() > 0 && findStockShortfalls(cart, products).length === 0;
+  }
+  if (stepId === 'customer') {
+    return formValidators.orderForm.isValid();
   }
-  invoicePaymentForm.addEventListener('submit', handleInvoicePaymentSubmit);
+  if (stepId === 'paymentMethod') {
+    const paymentForm = getSelectedPaymentForm();
+    return paymentForm !== null && (paymentForm !== invoicePaymentForm || isInvoicePaymentAllowed(cartSummary.total));
+  }
+  if (stepId === 'paymentDetails') {
+    const paymentForm = getSelectedPaymentForm();
+    return paymentForm !== null && formValidators[paymentForm.id].isValid();
+  }
+  return false; // The review step is completed by placing the order
+}
+
+const checkoutFlow = createCheckoutFlow(isCheckoutStepComplete);
+
+// Continues from a completed step to the one after it
+function goToNextCheckoutStep(stepId) {
+  router.navigate(`/checkout/${checkoutFlow.getNextStep(stepId)}`);
+}
+
+// The back link of every step leads to the step before it
+document.querySelectorAll('.checkoutBack').forEach(link => {
+  const stepId = link.closest('[data-checkout-step]').dataset.checkoutStep;
+  link.href = `#/checkout/${checkoutFlow.getPreviousStep(stepId)}`;
+});
+
+// Renders the progress indicator - finished steps link back to themselves
+function renderCheckoutProgress(stepId) {
+  const progress = document.querySelector('#checkoutProgress');
+  if (!progress) return;
+  const currentIndex = checkoutSteps.findIndex(step => step.id === stepId);
+  progress.innerHTML = checkoutSteps
+    .map((step, index) => {
+      const number = `<span class="stepNumber">${index + 1}</span>`;
+      const label = t(step.labelKey);
+      if (index === currentIndex) {
+        return `<li class="current" aria-current="step">${number} ${label}</li>`;
+      }
+      if (index < currentIndex && stepId !== 'confirmation') {
+        return `<li class="done"><a href="#/checkout/${step.id}">${number} ${label}</a></li>`;
+      }
+      return `<li class="${index < currentIndex ? 'done' : ''}">${number} ${label}</li>`;
+    })
+    .join('');
+}
+
+// Lists everything the customer is about to order
+function renderOrderReview() {
+  const details = document.querySelector('#orderReviewDetails');
+  if (!details) return;
+  const summary = cartSummary;
+  const lines = summary.lines
+    .map(line => {
+      const name = describeOrderLine(localize(line.product, 'name'), line.optionsLabel);
+      return `
+        <li>
+          <span>${line.quantity} x ${escapeHtml(name)}</span>
+          <span>${formatPrice(line.lineTotal)}</span>
+        </li>
+        ${line.adjustments.map(adjustment => `<li class="adjustment"><span>${adjustment.label}</span></li>`).join('')}`;
+    })
+    .join('');
+  const totalRows = [
+    [t('review.subtotal'), formatPrice(summary.subtotal)],
+    ...summary.orderDiscounts.map(discount => [discount.label, formatAdjustment(discount.amount)]),
+    ...(summary.coupon && summary.coupon.valid
+      ? [[t('review.promoCode', { code: summary.coupon.code }), formatAdjustment(summary.coupon.amount)]]
+      : []),
+    [t('review.freight'), describeReviewFreight(summary.freight)],
+    ...getVatRows(summary.vat),
+  ];
+  details.innerHTML = `
+    <h2>${t('review.items')}</h2>
+    <ul class="orderLines">${lines}</ul>
+    <dl class="reviewTotals">
+      ${totalRows.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+      <div class="reviewTotal"><dt>${t('review.total')}</dt><dd>${formatPrice(summary.total)}</dd></div>
+      <div class="reviewCharged hidden">
+        <dt>${t('review.charged')}</dt><dd>${formatPrice(summary.total, { currency: BASE_CURRENCY })}</dd>
+      </div>
+    </dl>
+    <p class="currencyNote hidden"></p>
+    <h2>${t('review.delivery')}</h2>
+    <p class="reviewCustomer"></p>
+    <h2>${t('review.payment')}</h2>
+    <p class="reviewPayment"></p>
+  `;
+
+  // With converted prices the amount charged in kronor is shown below the total
+  details.querySelector('.reviewCharged').classList.toggle('hidden', getCurrency() === BASE_CURRENCY);
+  renderCurrencyNote(details.querySelector('.currencyNote'), summary.total);
+
+  // Entered details are set as text, never as HTML
+  const customer = readCustomerDetails();
+  const delivery =
+    cartSummary.freight.method === 'pickup'
+      ? [t('review.pickupAt', { address: readSellerDetails().addressLines.join(' ') })]
+      : [customer.address, `${customer.zipcode} ${customer.city}`];
+  const timeSlot = findTimeSlot(orderForm?.elements.timeSlot.value);
+  details.querySelector('.reviewCustomer').textContent = [
+    `${customer.firstName} ${customer.lastName}`,
+    ...delivery,
+    ...(timeSlot ? [describeOrderTime(timeSlot, cartSummary.freight.method)] : []),
+    `${customer.email}, ${customer.phone}`,
+  ].join('\n');
+  const paymentForm = getSelectedPaymentForm();
+  const payment = paymentForm ? readPaymentDetails(paymentForm) : null;
+  details.querySelector('.reviewPayment').textContent = !payment
+    ? ''
+    : payment.method === 'card'
+      ? t('review.cardEnding', { last4: payment.last4, name: payment.cardholderName })
+      : t('review.invoiceTo', { company: payment.companyName, email: payment.invoiceEmail });
 }
+
+// The freight of the order review, e.g. "49 kr (Greater Stockholm)" or "Store pickup"
+function describeReviewFreight(freight) {
+  if (freight.method === 'pickup') return t('review.pickup');
+  const amount = freight.free ? t('review.freeShipping') : formatPrice(freight.amount);
+  return freight.zone ? `${amount} (${localize(freight.zone, 'label')})` : amount;
+}
+
+// "Pickup: Monday 20 October, 12:00–12:30", the time slot of an order and how it is delivered
+function describeOrderTime(timeSlot, method) {
+  return t(method === 'pickup' ? 'slot.pickupTime' : 'slot.deliveryTime', { time: formatTimeSlot(timeSlot) });
+}
+
+// Shows one checkout step. The payment details step shows the form of the chosen method
+function showCheckoutStep(stepId) {
+  currentCheckoutStep = stepId;
+  const paymentSection = getSelectedPaymentForm()?.closest('[data-checkout-step]');
+  document.querySelectorAll('[data-checkout-step]').forEach(element => {
+    const isStep = element.dataset.checkoutStep === stepId;
+    element.classList.toggle('hidden', !isStep || (stepId === 'paymentDetails' && element !== paymentSection));
+  });
+  // Slots that have passed or filled up are left out, the prices follow when the chosen one is gone
+  if (stepId === 'customer') {
+    renderTimeSlots();
+    applyFulfilmentChoice();
+  }
+  if (stepId === 'review') renderOrderReview();
+  renderCheckoutProgress(stepId);
+}
+
+// Called when the cart changes - moves back when the current step is no longer allowed, or updates the review
+function refreshCheckoutStep() {
+  if (document.querySelector('main').dataset.currentView !== 'checkout' || !currentCheckoutStep) return;
+  const step = checkoutFlow.resolveStep(currentCheckoutStep);
+  if (step !== currentCheckoutStep) {
+    router.redirect(`/checkout/${step}`);
+  } else if (step === 'review') {
+    renderOrderReview();
+  }
+}
+
+// ==========================================
+// 12. ROUTING & VIEWS
+// ==========================================
+// - Hash routes for the menu, product detail, cart, checkout steps and order confirmation (see router.mjs)
+// - Elements declare the views they belong to with data-view="home cart ..."
+// - Move focus to the heading of the new view so keyboard and screen reader users follow along
+
+const routes = [
+  { name: 'home', path: '/' },
+  { name: 'product', path: '/product/:id' },
+  { name: 'cart', path: '/cart' },
+  { name: 'checkout', path: '/checkout' },
+  { name: 'checkout', path: '/checkout/:step' },
+  { name: 'order', path: '/order/:id' },
+  { name: 'history', path: '/orders' },
+  { name: 'historyOrder', path: '/orders/:id' },
+  { name: 'orderDocument', path: '/orders/:id/document' },
+  { name: 'admin', path: '/admin' },
+];
+let keepFocus = true; // The initial page load (and a language or currency switch) keeps the focus where it is
+
+// Shows the elements that belong to the view and hides the rest
+function showView(viewName, title, focusTarget) {
+  document.querySelectorAll('[data-view]').forEach(element => {
+    const views = element.dataset.view.split(' ');
+    element.classList.toggle('hidden', !views.includes(viewName));
+  });
+  document.querySelector('main').dataset.currentView = viewName;
+  document.title = title ? `${title} | ${t('shop.name')}` : t('shop.name');
+
+  if (!keepFocus) {
+    window.scrollTo(0, 0);
+    if (focusTarget) {
+      // Headings get focus without entering the tab order, form fields already have it
+      if (focusTarget.tabIndex < 0) focusTarget.setAttribute('tabindex', '-1');
+      focusTarget.focus();
+    }
+  }
+  keepFocus = false;
+}
+
+// Renders the view for the current route
+function handleRouteChange({ name, params }) {
+  if (name === 'product') {
+    const product = products.find(product => product.id === Number(params.id));
+    if (!product) {
+      handleRouteChange({ name: 'notFound', params: {} });
+      return;
+    }
+    detailProduct = product;
+    printProducts();
+    showView('product', localize(product, 'name'), productsListing.querySelector('h2'));
+    return;
+  }
+
+  // Leaving the detail view brings the menu back
+  if (detailProduct) {
+    detailProduct = null;
+    printProducts();
+  }
+
+  if (name === 'home') {
+    showView('home', '', document.querySelector('main h1[data-view="home"]'));
+  } else if (name === 'cart') {
+    showView('cart', t('cart.title'), document.querySelector('#orderSummary h2'));
+  } else if (name === 'checkout') {
+    // Steps that can't be entered yet lead to the first step that still needs the customer
+    const stepId = checkoutFlow.resolveStep(params.step);
+    if (stepId !== params.step) {
+      router.redirect(`/checkout/${stepId}`);
+      return;
+    }
+    showCheckoutStep(stepId);
+    const step = checkoutSteps.find(step => step.id === stepId);
+    const stepElement = [...document.querySelectorAll(`[data-checkout-step="${stepId}"]`)].find(
+      element => !element.classList.contains('hidden')
+    );
+    // The payment details step takes the customer straight to the first field of the revealed payment form
+    const focusTarget =
+      stepId === 'paymentDetails' ? stepElement?.querySelector('form input') : stepElement?.querySelector('h1');
+    showView('checkout', t('checkout.title', { step: t(step.labelKey) }), focusTarget);
+  } else if (name === 'order') {
+    showOrderConfirmation(params.id);
+    renderCheckoutProgress('confirmation');
+    showView('order', t('confirmation.pageTitle'), document.querySelector('#orderConfirmationTitle'));
+  } else if (name === 'history') {
+    showOrderHistory();
+    showView('history', t('history.title'), document.querySelector('#orderHistoryTitle'));
+  } else if (name === 'historyOrder') {
+    showHistoryOrder(params.id);
+    showView(
+      'historyOrder',
+      t('history.orderTitle', { orderNumber: params.id }),
+      document.querySelector('#historyOrderTitle')
+    );
+  } else if (name === 'orderDocument') {
+    showOrderDocument(params.id);
+    showView('orderDocument', t('document.pageTitle'), document.querySelector('#orderDocument'));
+  } else if (name === 'admin') {
+    showAdmin();
+    showView('admin', t('admin.title'), document.querySelector('#adminTitle'));
+  } else {
+    showView('notFound', t('notFound.title'), document.querySelector('[data-view="notFound"] h1'));
+  }
+}
+
+const router = createRouter(routes, handleRouteChange);
+router.start();
+
+// ==========================================
+// 13. LANGUAGE
+// ==========================================
+// - UI strings come from the message catalog and prices are formatted for the active language (see i18n.mjs)
+// - The language switcher saves the choice, everything on screen is rendered again in the new language
+
+const languageSelect = document.querySelector('#languageSelect');
+
+// Renders every text again: the page itself, field errors, the listing, the cart and the current view
+function applyLanguage() {
+  document.documentElement.lang = getLocale();
+  translatePage();
+  applyCountryRules();
+  showCardBrand(detectCardBrand(cardNumberInput?.value));
+  Object.values(formValidators).forEach(validator => validator.refresh());
+  applyProductFilters(); // Sorting by name follows the alphabet of the language
+  printCart();
+  updateCartTotals();
+  renderDietaryStatus();
+  renderTimeSlots();
+  renderOpeningHours();
+  keepFocus = true;
+  handleRouteChange(router.getCurrentRoute());
+}
+
+if (languageSelect) {
+  languageSelect.value = getLocale();
+  languageSelect.addEventListener('change', () => setLocale(languageSelect.value));
+}
+onLocaleChange(applyLanguage);
+document.documentElement.lang = getLocale();
+translatePage();
+
+// ==========================================
+// 14. CURRENCY
+// ==========================================
+// - Prices are shown in the currency chosen in the header, converted with the bundled rates (see currency.mjs)
+// - Orders are always charged in kronor, the cart and the order review show the amount in SEK
+
+const currencySelect = document.querySelector('#currencySelect');
+
+// Renders every price again: the listing, the cart and the current view
+function applyCurrency() {
+  applyProductFilters();
+  printCart();
+  updateCartTotals();
+  keepFocus = true;
+  handleRouteChange(router.getCurrentRoute());
+}
+
+if (currencySelect) {
+  currencySelect.value = getCurrency();
+  currencySelect.addEventListener('change', () => setCurrency(currencySelect.value));
+}
+onCurrencyChange(applyCurrency);
+
+// ==========================================
+// 15. ORDER HISTORY
+// ==========================================
+// - Placed orders are kept in IndexedDB (see orderHistory.mjs) and listed in the order history view
+// - Reorder puts the items of a past order back in the cart at today's prices
+// - Items no longer on the menu, or with a changed price, are flagged in the order and when reordering
+
+// Formats when an order was placed, e.g. "1 June 2026 at 12:30"
+function formatOrderDate(placedAt) {
+  return placedAt ? formatDate(new Date(placedAt), { dateStyle: 'long', timeStyle: 'short' }) : '';
+}
+
+// Lists the stored orders, newest first
+function showOrderHistory() {
+  const list = document.querySelector('#orderHistoryList');
+  list.textContent = t('history.loading');
+  listOrders()
+    .then(orders => {
+      if (orders.length === 0) {
+        list.textContent = t('history.empty');
+        return;
+      }
+      list.innerHTML = `<ul class="historyOrders">${orders
+        .map(order => {
+          const itemCount = order.lines.reduce((sum, line) => sum + line.quantity, 0);
+          return `
+            <li>
+              <a href="#/orders/${encodeURIComponent(order.orderId)}" class="historyOrderLink"></a>
+              <span>${formatOrderDate(order.placedAt)}</span>
+              <span>${t('history.itemCount', { count: itemCount })}, ${formatPrice(order.totals.total)}</span>
+              <button type="button" class="reorderBtn" data-order-id="${encodeURIComponent(order.orderId)}">
+                ${t('history.reorder')}
+              </button>
+            </li>`;
+        })
+        .join('')}</ul>`;
+      // Order numbers come from the order service and are set as text
+      list.querySelectorAll('.historyOrderLink').forEach((link, index) => {
+        link.textContent = t('history.orderTitle', { orderNumber: orders[index].orderId });
+      });
+    })
+    .catch(() => {
+      list.textContent = t('history.unavailable');
+    });
+}
+
+// Shows one past order, flagging lines that are gone from the menu or have a new price
+function showHistoryOrder(orderId) {
+  const details = document.querySelector('#historyOrderDetails');
+  const reorderButton = document.querySelector('#reorderBtn');
+  document.querySelector('#historyOrderTitle').textContent = t('history.orderTitle', { orderNumber: orderId });
+  reorderButton.dataset.orderId = encodeURIComponent(orderId);
+  reorderButton.classList.add('hidden');
+  setReorderStatus('');
+  details.textContent = t('history.loading');
+  getOrder(orderId)
+    .then(order => {
+      if (!order) {
+        details.textContent = t('history.notFound');
+        return;
+      }
+      const { removed, priceChanged } = checkOrderAgainstCatalog(order, products);
+      const lines = order.lines
+        .map(line => {
+          const product = products.find(product => product.id === line.productId);
+          const change = priceChanged.find(item => item.line === line);
+          let flag = '';
+          if (removed.includes(line)) {
+            flag = `<span class="historyFlag">${t('history.removed')}</span>`;
+          } else if (change) {
+            flag = `<span class="historyFlag">${t('history.priceChanged', {
+              oldPrice: formatPrice(change.oldPrice),
+              price: formatPrice(change.newPrice),
+            })}</span>`;
+          }
+          const name = describeOrderLine(localize(product, 'name', line.name), line.optionsLabel);
+          return `
+            <li>
+              <span>${escapeHtml(line.quantity)} x ${escapeHtml(name)}${flag}</span>
+              <span>${formatPrice(line.lineTotal)}</span>
+            </li>`;
+        })
+        .join('');
+      const paymentMethod = order.payment?.method === 'invoice' ? t('payment.invoice') : t('payment.card');
+      details.innerHTML = `
+        <p>${t('history.placedAt', { date: formatOrderDate(order.placedAt) })}</p>
+        <ul class="orderLines">${lines}</ul>
+        <p>${t('review.total')}: <strong>${formatPrice(order.totals.total)}</strong></p>
+        <p>${t('review.payment')}: ${paymentMethod}</p>
+        <p>${renderDocumentLink(order)}</p>
+      `;
+      reorderButton.classList.remove('hidden');
+    })
+    .catch(() => {
+      details.textContent = t('history.unavailable');
+    });
+}
+
+// Shows why a reorder did not work
+function setReorderStatus(message) {
+  const status = document.querySelector('#reorderStatus');
+  status.textContent = message;
+  status.classList.toggle('hidden', message === '');
+}
+
+// Puts the items of a past order in the cart at today's prices and opens the cart
+async function reorder(orderId) {
+  let order;
+  try {
+    order = await getOrder(orderId);
+  } catch {
+    order = null;
+  }
+  if (!order) {
+    setReorderStatus(t('history.notFound'));
+    return;
+  }
+  const { items, removed, priceChanged } = checkOrderAgainstCatalog(order, products);
+  const messages = [];
+  if (removed.length > 0) {
+    messages.push(t('history.removedItems', { count: removed.length }));
+  }
+  messages.push(...describePriceChanges(priceChanged));
+  items.forEach(({ product, selection, amount }) => {
+    // Only what is left in stock today can be reserved
+    const available = Math.min(amount, getAvailableQuantity(product, cart));
+    if (available < amount) {
+      messages.push(t('history.limitedStock', { available, name: localize(product, 'name') }));
+    }
+    cartStore.add(product, selection, available);
+  });
+  hideTimeOutMessage();
+  showCartNotice(messages);
+  router.navigate('/cart');
+}
+
+// Reorder buttons in the list and in the order view
+function handleReorderClick(e) {
+  const button = e.target.closest('[data-order-id]');
+  if (!button) return;
+  reorder(decodeURIComponent(button.dataset.orderId));
+}
+
+document.querySelector('#orderHistoryList')?.addEventListener('click', handleReorderClick);
+document.querySelector('#reorderBtn')?.addEventListener('click', handleReorderClick);
+
+// ==========================================
+// 16. RECEIPTS & INVOICES
+// ==========================================
+// - A placed order as a printable receipt (card) or invoice (invoice payment), see orderDocuments.mjs
+// - The same order can be downloaded as JSON or CSV for bookkeeping
+// - Reached from the order confirmation and the order history
+
+// Link to the receipt or invoice of an order
+function renderDocumentLink(order) {
+  const href = `#/orders/${encodeURIComponent(order.orderId)}/document`;
+  return `<a href="${href}" class="documentLink">${t(`document.${getDocumentType(order)}`)}</a>`;
+}
+
+// The shop as shown in the page footer: name, address and email
+function readSellerDetails() {
+  const addressLines = [...document.querySelectorAll('#contactInfo li span:not([data-i18n])')].map(span =>
+    span.textContent.trim()
+  );
+  const emailLink = document.querySelector('.footerContactInfo a[href^="mailto:"]');
+  return {
+    name: t('shop.name'),
+    addressLines,
+    email: emailLink ? emailLink.getAttribute('href').replace('mailto:', '') : '',
+  };
+}
+
+// The order just placed, else the one in the order history, else the one kept by the order service
+async function findPlacedOrder(orderId) {
+  if (lastPlacedOrder && lastPlacedOrder.orderId === orderId) return lastPlacedOrder;
+  const storedOrder = await getOrder(orderId).catch(() => null);
+  return storedOrder || fetchOrder(orderId);
+}
+
+// The download and print buttons only work once the order is shown
+function setDocumentActionsEnabled(enabled) {
+  document.querySelectorAll('.documentActions button').forEach(button => {
+    button.disabled = !enabled;
+  });
+}
+
+// Shows the receipt or invoice of an order
+function showOrderDocument(orderId) {
+  const container = document.querySelector('#orderDocument');
+  documentOrder = null;
+  setDocumentActionsEnabled(false);
+  container.textContent = t('document.loading');
+  findPlacedOrder(orderId)
+    .then(order => {
+      documentOrder = order;
+      container.innerHTML = renderOrderDocument(order, readSellerDetails());
+      setDocumentActionsEnabled(true);
+    })
+    .catch(() => {
+      container.textContent = t('document.notFound');
+    });
+}
+
+// Saves the shown order as a file named after the document, e.g. "invoice-AG-1042.csv"
+function downloadDocumentOrder(extension) {
+  if (!documentOrder) return;
+  const filename = `${getDocumentType(documentOrder)}-${documentOrder.orderId}.${extension}`;
+  if (extension === 'json') {
+    downloadFile(filename, orderToJson(documentOrder, readSellerDetails()), 'application/json');
+  } else {
+    // The byte order mark makes spreadsheet programs read the file as UTF-8
+    downloadFile(filename, `\uFEFF${orderToCsv(documentOrder)}`, 'text/csv;charset=utf-8');
+  }
+}
+
+document.querySelector('#printDocumentBtn')?.addEventListener('click', () => window.print());
+document.querySelector('#downloadJsonBtn')?.addEventListener('click', () => downloadDocumentOrder('json'));
+document.querySelector('#downloadCsvBtn')?.addEventListener('click', () => downloadDocumentOrder('csv'));
+
+// ==========================================
+// 17. CATALOG ADMIN
+// ==========================================
+// - Staff create, edit and archive products in the admin view, behind a passcode (see adminAccess.mjs)
+// - Products are checked against the catalog schema before they are saved (see catalogSchema.mjs)
+// - The whole catalog can be exported and imported as JSON or CSV. An import is shown as a diff first
+// - The menu and the cart read the managed catalog (see catalog.mjs) and follow every change
+
+const adminProductForm = document.querySelector('#adminProductForm');
+const adminRequiredFields = ['id', 'name', 'price', 'imgSrc', 'imgAlt', 'imgWidth', 'imgHeight'];
+
+// Shows the login form or, once unlocked, the catalog
+function showAdmin() {
+  const unlocked = isAdminUnlocked();
+  document.querySelector('#adminLoginForm').classList.toggle('hidden', unlocked);
+  document.querySelector('#adminPanel').classList.toggle('hidden', !unlocked);
+  if (unlocked) renderAdminProducts();
+}
+
+// Shows what happened after an admin action
+function setAdminStatus(message, isError = false) {
+  const status = document.querySelector('#adminStatus');
+  status.textContent = message;
+  status.classList.toggle('hidden', message === '');
+  status.classList.toggle('error', isError);
+}
+
+function describeProductStatus(product) {
+  if (product.archived) return t('admin.archived');
+  if (product.available === false) return t('admin.unavailable');
+  if (typeof product.stock === 'number') return t('admin.stock', { count: product.stock });
+  return t('admin.onMenu');
+}
+
+// One table row per product, archived ones included. The name is escaped like every text from the catalog
+function renderAdminProductRow(product) {
+  return `
+    <tr class="${product.archived ? 'archived' : ''}">
+      <td>${product.id}</td>
+      <td>${escapeHtml(product.name)}</td>
+      <td>${t(`category.${product.category}`)}</td>
+      <td>${formatPrice(product.price, { currency: BASE_CURRENCY })}</td>
+      <td>${describeProductStatus(product)}</td>
+      <td>
+        <button type="button" data-admin-action="edit" data-id="${product.id}">${t('admin.edit')}</button>
+        <button type="button" data-admin-action="archive" data-id="${product.id}">
+          ${product.archived ? t('admin.restore') : t('admin.archive')}
+        </button>
+      </td>
+    </tr>`;
+}
+
+function renderAdminProducts() {
+  document.querySelector('#adminProductRows').innerHTML = catalog.map(renderAdminProductRow).join('');
+}
+
+// Saves a new catalog, or reports why it can not be saved
+function applyAdminCatalog(newProducts, message) {
+  const result = saveCatalog(newProducts);
+  if (!result.valid) {
+    setAdminStatus([t('admin.notSaved'), ...result.errors.map(describeCatalogError)].join(' '), true);
+    return false;
+  }
+  setAdminStatus(message);
+  return true;
+}
+
+// "Product 3 (id 13), Price: Enter a price above 0."
+function describeCatalogError({ index, id, field, message }) {
+  if (index === null) return message;
+  const product = t('admin.preview.row', { row: index + 1, id: String(id ?? '-') });
+  return field === 'product' ? `${product}: ${message}` : `${product}, ${t(`admin.field.${field}`)}: ${message}`;
+}
+
+// Product form
+// The form edits the texts in English, translations of a changed text are dropped (see recordToProduct)
+
+// An empty product with the next free id
+function createProductRecord() {
+  return {
+    ...productToRecord({ category: 'food' }),
+    id: Math.max(0, ...catalog.map(product => product.id)) + 1,
+    popularity: 0,
+  };
+}
+
+function openProductForm(product = null) {
+  editedProductId = product ? product.id : null;
+  adminProductForm.reset();
+  const record = product ? productToRecord(product) : createProductRecord();
+  catalogFields.forEach(field => {
+    const element = adminProductForm.elements[field];
+    if (element.type === 'checkbox') {
+      element.checked = record[field];
+    } else {
+      element.value = record[field];
+    }
+  });
+  adminProductForm.elements.vatClass.value = record.vatClass || DEFAULT_VAT_CLASS;
+  // Carts and past orders refer to the id, so it is only chosen once
+  adminProductForm.elements.id.readOnly = product !== null;
+  document.querySelector('#adminFormTitle').textContent = product
+    ? t('admin.editTitle', { name: product.name })
+    : t('admin.newTitle');
+  adminProductForm.classList.remove('hidden');
+  adminProductForm.elements.name.focus();
+}
+
+function closeProductForm() {
+  editedProductId = null;
+  adminProductForm.reset();
+  adminProductForm.classList.add('hidden');
+}
+
+// The product as entered in the form
+function readProductForm() {
+  const record = Object.fromEntries(
+    catalogFields.map(field => {
+      const element = adminProductForm.elements[field];
+      return [field, element.type === 'checkbox' ? element.checked : element.value];
+    })
+  );
+  return recordToProduct(
+    record,
+    catalog.find(product => product.id === editedProductId)
+  );
+}
+
+// Every field is checked with the catalog schema, against the other products
+function checkProductField(field) {
+  const otherProducts = catalog.filter(product => product.id !== editedProductId);
+  const message = validateProduct(readProductForm(), otherProducts).errors[field];
+  return message ? { valid: false, message } : true;
+}
+
+formValidators.adminProductForm = createFormValidator(
+  adminProductForm,
+  Object.fromEntries(
+    catalogFields.map(field => [
+      field,
+      {
+        required: adminRequiredFields.includes(field),
+        validate: () => checkProductField(field),
+        messages: field === 'imgAlt' ? { required: 'admin.error.alt' } : {},
+      },
+    ])
+  ),
+  { submitButton: document.querySelector('#adminSaveProductBtn') }
+);
+
+// Adds the product in the form, or replaces the edited one
+function saveProductForm(e) {
+  e.preventDefault();
+  if (!formValidators.adminProductForm.validateForm()) return;
+  const product = readProductForm();
+  const isNew = editedProductId === null;
+  const newProducts = isNew
+    ? [...catalog, product]
+    : catalog.map(other => (other.id === editedProductId ? product : other));
+  if (applyAdminCatalog(newProducts, t(isNew ? 'admin.added' : 'admin.saved', { name: product.name }))) {
+    closeProductForm();
+  }
+}
+
+// Archived products leave the menu but stay in the catalog, so they can be restored
+function toggleArchived(productId) {
+  const product = catalog.find(product => product.id === productId);
+  if (!product) return;
+  const archived = !product.archived;
+  const newProducts = catalog.map(other => (other.id === productId ? { ...other, archived } : other));
+  applyAdminCatalog(
+    newProducts,
+    t(archived ? 'admin.archivedProduct' : 'admin.restoredProduct', { name: product.name })
+  );
+}
+
+// Import, export & reset
+
+// Shows one change of the preview as a list item. The texts come from a file, so they are set as text
+function createPreviewItem(className, text) {
+  const item = document.createElement('li');
+  item.className = className;
+  item.textContent = text;
+  return item;
+}
+
+// A field value in the preview
+function formatPreviewValue(value) {
+  if (typeof value === 'boolean') return value ? t('admin.yes') : t('admin.no');
+  return value === '' || value === null || value === undefined ? '-' : String(value);
+}
+
+// "Price: 29 → 32, Name: Mochi → Mochi ice cream"
+function describeFieldChanges(fields) {
+  return fields
+    .map(({ field, from, to }) => {
+      const label = t(`admin.field.${field}`);
+      return from === null && to === null ? label : `${label}: ${formatPreviewValue(from)} → ${formatPreviewValue(to)}`;
+    })
+    .join(', ');
+}
+
+// Shows the products a new catalog adds, removes and changes, and holds it until it is applied or cancelled
+function showCatalogPreview(newProducts, title, source) {
+  const preview = document.querySelector('#adminPreview');
+  const heading = document.createElement('h2');
+  heading.textContent = title;
+  const list = document.createElement('ul');
+  list.className = 'adminDiff';
+  const buttons = document.createElement('div');
+  buttons.className = 'adminFormActions';
+  preview.replaceChildren(heading);
+
+  const result = validateCatalog(newProducts);
+  if (!result.valid) {
+    pendingCatalog = null;
+    heading.textContent = t('admin.preview.invalid', { file: source || 'products.mjs' });
+    result.errors.forEach(error => list.append(createPreviewItem('invalid', describeCatalogError(error))));
+    preview.append(list);
+  } else {
+    const diff = diffCatalogs(catalog, newProducts);
+    const summary = document.createElement('p');
+    const counts = { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length };
+    summary.textContent = diff.hasChanges ? t('admin.preview.summary', counts) : t('admin.preview.noChanges');
+    const name = product => `${product.id} ${product.name}`;
+    diff.added.forEach(product => {
+      list.append(createPreviewItem('added', t('admin.preview.added', { product: name(product) })));
+    });
+    diff.removed.forEach(product => {
+      list.append(createPreviewItem('removed', t('admin.preview.removed', { product: name(product) })));
+    });
+    diff.changed.forEach(({ product, fields }) => {
+      const text = t('admin.preview.changed', { product: name(product), changes: describeFieldChanges(fields) });
+      list.append(createPreviewItem('changed', text));
+    });
+    preview.append(summary, list);
+    if (diff.removed.length > 0) {
+      const note = document.createElement('p');
+      note.textContent = t('admin.preview.removedNote');
+      preview.append(note);
+    }
+    pendingCatalog = diff.hasChanges ? { products: newProducts, source } : null;
+    if (pendingCatalog) {
+      buttons.innerHTML = `<button type="button" data-admin-action="apply">${t('admin.preview.apply')}</button>`;
+    }
+  }
+  buttons.insertAdjacentHTML(
+    'beforeend',
+    `<button type="button" data-admin-action="cancel">${t('admin.cancel')}</button>`
+  );
+  preview.append(buttons);
+  preview.classList.remove('hidden');
+  heading.setAttribute('tabindex', '-1');
+  heading.focus();
+}
+
+function closeCatalogPreview() {
+  pendingCatalog = null;
+  document.querySelector('#adminPreview').classList.add('hidden');
+  document.querySelector('#adminImportInput').value = '';
+}
+
+// Applies the catalog in the preview. A reset removes the saved catalog, so later changes to products.mjs show up
+function applyCatalogPreview() {
+  if (!pendingCatalog) return;
+  const { products: newProducts, source } = pendingCatalog;
+  if (source === null) {
+    resetCatalog();
+    setAdminStatus(t('admin.resetDone'));
+  } else if (!applyAdminCatalog(newProducts, t('admin.imported', { file: source }))) {
+    return;
+  }
+  closeCatalogPreview();
+}
+
+// Reads an import file as JSON or CSV and shows what it would change
+async function previewCatalogFile(file) {
+  let newProducts;
+  try {
+    const text = await file.text();
+    const isCsv = /\.csv$/i.test(file.name) || file.type === 'text/csv';
+    newProducts = isCsv ? catalogFromCsv(text, catalog) : catalogFromJson(text);
+  } catch (error) {
+    closeCatalogPreview();
+    setAdminStatus(error.message || t('admin.error.file'), true);
+    return;
+  }
+  setAdminStatus('');
+  showCatalogPreview(newProducts, t('admin.preview.title', { file: file.name }), file.name);
+}
+
+// Saves the whole catalog, archived products included, e.g. "catalog-2026-10-19.csv"
+function exportCatalog(extension) {
+  const filename = `catalog-${new Date().toISOString().slice(0, 10)}.${extension}`;
+  if (extension === 'json') {
+    downloadFile(filename, catalogToJson(catalog), 'application/json');
+  } else {
+    // The byte order mark makes spreadsheet programs read the file as UTF-8
+    downloadFile(filename, `\uFEFF${catalogToCsv(catalog)}`, 'text/csv;charset=utf-8');
+  }
+}
+
+// Admin buttons in the product table and the preview
+function handleAdminClick(e) {
+  const button = e.target.closest('[data-admin-action]');
+  if (!button) return;
+  const productId = Number(button.dataset.id);
+  const action = button.dataset.adminAction;
+  if (action === 'edit') {
+    openProductForm(catalog.find(product => product.id === productId));
+  } else if (action === 'archive') {
+    toggleArchived(productId);
+  } else if (action === 'apply') {
+    applyCatalogPreview();
+  } else if (action === 'cancel') {
+    closeCatalogPreview();
+  }
+}
+
+// Checks the passcode and opens the catalog
+async function handleAdminLogin(e) {
+  e.preventDefault();
+  const input = e.target.elements.adminPasscode;
+  const error = input.nextElementSibling;
+  let message = '';
+  if (!isAdminConfigured()) {
+    message = t('admin.notConfigured');
+  } else if (!(await unlockAdmin(input.value))) {
+    message = t('admin.wrongPasscode');
+  }
+  input.value = '';
+  input.setAttribute('aria-invalid', String(message !== ''));
+  error.textContent = message;
+  error.classList.toggle('hidden', message === '');
+  if (message === '') {
+    showAdmin();
+    document.querySelector('#adminNewProductBtn').focus();
+  }
+}
+
+function handleAdminLock() {
+  lockAdmin();
+  closeProductForm();
+  closeCatalogPreview();
+  setAdminStatus('');
+  showAdmin();
+  document.querySelector('#adminPasscode').focus();
+}
+
+// The menu, the cart and the current view follow the catalog, also when it was changed in another tab
+// Cart lines are checked against the new catalog like a stored cart: removed products and new prices are reported
+function applyCatalogChange() {
+  restoreStoredCart(serializeCart(cart, readCartOptions()));
+  persistCart();
+  applyProductFilters();
+  keepFocus = true;
+  handleRouteChange(router.getCurrentRoute());
+}
+
+document.querySelector('#adminLoginForm')?.addEventListener('submit', handleAdminLogin);
+document.querySelector('#adminLockBtn')?.addEventListener('click', handleAdminLock);
+document.querySelector('#adminNewProductBtn')?.addEventListener('click', () => openProductForm());
+document.querySelector('#adminCancelProductBtn')?.addEventListener('click', closeProductForm);
+adminProductForm?.addEventListener('submit', saveProductForm);
+document.querySelector('#adminProductRows')?.addEventListener('click', handleAdminClick);
+document.querySelector('#adminPreview')?.addEventListener('click', handleAdminClick);
+document.querySelector('#adminExportJsonBtn')?.addEventListener('click', () => exportCatalog('json'));
+document.querySelector('#adminExportCsvBtn')?.addEventListener('click', () => exportCatalog('csv'));
+document.querySelector('#adminImportInput')?.addEventListener('change', e => {
+  if (e.target.files[0]) previewCatalogFile(e.target.files[0]);
+});
+document.querySelector('#adminResetBtn')?.addEventListener('click', () => {
+  setAdminStatus('');
+  showCatalogPreview(getSeedCatalog(), t('admin.preview.resetTitle'), null);
+});
+onCatalogChange(applyCatalogChange);
+
+// ==========================================
+// 18. OPENING HOURS & TIME SLOTS
+// ==========================================
+// - Opening hours and exception days are declared as data in openingHours.mjs, the footer lists them
+// - The customer chooses when the order is picked up or delivered. Full slots are shown but can't be chosen
+// - Outside opening hours the cart tells when the first order can be served
+
+const UPCOMING_EXCEPTION_DAYS = 30; // How far ahead exception days are listed in the footer
+
+// Fills the time slot picker, grouped by day. The chosen slot is kept while it can still be booked
+function renderTimeSlots() {
+  const select = document.querySelector('#timeSlot');
+  if (!select) return;
+  const chosen = select.value;
+  const days = new Map();
+  listTimeSlots().forEach(slot => {
+    const day = formatSlotDay(slot.start);
+    days.set(day, [...(days.get(day) || []), slot]);
+  });
+  const groups = Array.from(days, ([day, slots]) => {
+    const options = slots.map(slot => {
+      const time = formatTimeSlot(slot, false);
+      const label = slot.available ? time : t('slot.full', { time });
+      return `<option value="${slot.id}"${slot.available ? '' : ' disabled'}>${label}</option>`;
+    });
+    return `<optgroup label="${day}">${options.join('')}</optgroup>`;
+  });
+  select.innerHTML = `<option value="">${t('slot.choose')}</option>${groups.join('')}`;
+  select.value = findTimeSlot(chosen) ? chosen : '';
+}
+
+// Tells when the first order can be served while the shop is closed, or that every slot is taken
+function renderOpeningNotice() {
+  const notice = document.querySelector('#openingNotice');
+  if (!notice) return;
+  const firstSlot = findFirstFreeSlot();
+  let message = '';
+  if (!firstSlot) {
+    message = t('hours.noSlots');
+  } else if (!isOpen(new Date())) {
+    message = t('hours.closedNow', { time: formatTimeSlot(firstSlot) });
+  }
+  notice.textContent = message;
+  notice.classList.toggle('hidden', !message);
+}
+
+// The hours of one day, e.g. "08:00–20:00" or "Closed"
+function describeOpeningHours(hours) {
+  if (hours.length === 0) return t('hours.closed');
+  return hours.map(({ from, to }) => t('slot.hours', { from, to })).join(', ');
+}
+
+// Lists the weekly hours from Monday, then the exception days of the coming weeks
+function renderOpeningHours() {
+  const list = document.querySelector('#openingHoursList');
+  if (!list) return;
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const lastDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() + UPCOMING_EXCEPTION_DAYS);
+  const week = Array.from({ length: 7 }, (_, index) => {
+    const day = new Date(2024, 0, 1 + index); // 1 January 2024 was a Monday
+    return [formatDate(day, { weekday: 'long' }), weeklyHours[day.getDay()]];
+  });
+  const exceptions = exceptionDays
+    .map(exception => ({ ...exception, day: new Date(`${exception.date}T00:00`) }))
+    .filter(({ day }) => day >= today && day <= lastDay)
+    .map(exception => [
+      `${localize(exception, 'label')} ${formatDate(exception.day, { day: 'numeric', month: 'long' })}`,
+      exception.hours,
+    ]);
+  list.innerHTML = [...week, ...exceptions]
+    .map(([day, hours]) => `<li><span>${day}: ${describeOpeningHours(hours)}</span></li>`)
+    .join('');
+}
+
+renderOpeningHours();
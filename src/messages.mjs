@@ -0,0 +1,1413 @@
+/**
+ * ==========================================
+ * MESSAGES
+ * ==========================================
+ * The message catalog: every UI string by key, for each locale (see i18n.mjs).
+ * - Keys are grouped by the part of the shop they belong to, e.g. 'cart.empty' or 'validation.email.pattern'
+ * - {name} is filled in from the params passed to t()
+ * - '<key>.one' / '<key>.other' are plural forms, picked with params.count
+ * English is the fallback, so a key missing in another locale is shown in English.
+ * =========================================
+ */
+
+const en = {
+  // Shop & navigation
+  'shop.name': "Alex's homemade goodies",
+  'nav.home': 'Home',
+  'nav.cart': 'Cart',
+  'nav.contact': 'Contact',
+  'nav.history': 'Order history',
+  'language.label': 'Language',
+  'currency.label': 'Currency',
+  'home.title': "Welcome to Alex's homemade goodies.",
+  'common.backToMenu': 'Back to the menu',
+  'notFound.title': 'Page not found',
+
+  // Search, filter & sort
+  'filters.search': 'Search',
+  'filters.searchPlaceholder': 'E.g. noodles, mango',
+  'filters.filter': 'Filter',
+  'filters.all': 'All',
+  'filters.minPrice': 'Min price (SEK)',
+  'filters.maxPrice': 'Max price (SEK)',
+  'filters.sort': 'Sort',
+  'category.snacks': 'Snacks',
+  'category.food': 'Food',
+  'category.drinks': 'Drinks',
+  'sort.standard': 'Standard',
+  'sort.low': 'Lowest Price',
+  'sort.high': 'Highest Price',
+  'sort.name': 'Name A-Z',
+  'sort.nameDesc': 'Name Z-A',
+  'sort.popular': 'Most popular',
+
+  // Product listing
+  'products.menu': 'Menu',
+  'products.noMatches': 'No products match your search.',
+  'products.clearFilters': 'Clear filters',
+  'products.id': 'Product: {id}',
+  'products.price': 'Price: {price}',
+  'products.buy': 'Buy',
+  'products.buyLabel': 'Buy {name}',
+  'products.quantityLabel': 'Quantity of {name}',
+  'products.decreaseLabel': 'Decrease quantity of {name}',
+  'products.increaseLabel': 'Increase quantity of {name}',
+  'products.addedToCart': 'Added to cart!',
+  'stock.soldOut': 'Sold out',
+  'stock.onlyLeft': 'Only {count} left',
+  'stock.soldOutInCart': '{name} is sold out. Please remove it from your cart.',
+  'stock.shortfall': 'Only {available} {name} left, but your cart has {requested}. Please lower the quantity.',
+  'options.unknownChoice': '{group}: unknown choice "{choice}".',
+  'options.required': '{group}: please make a choice.',
+  'options.onlyOne': '{group}: only one choice is allowed.',
+
+  // Dietary information
+  'diet.title': 'Dietary needs',
+  'diet.vegetarian': 'Vegetarian',
+  'diet.vegan': 'Vegan',
+  'diet.glutenFree': 'Gluten-free',
+  'diet.excludeAllergens': 'Leave out allergens',
+  'diet.without': 'without {allergens}',
+  'diet.save': 'Remember my dietary needs',
+  'diet.saved': 'Your dietary needs: {needs}. The cart warns about products that do not fit them.',
+  'diet.noneSaved': 'Choose your dietary needs above and remember them to get warnings in the cart.',
+  'spice.filter': 'Spice level',
+  'spice.any': 'Any',
+  'spice.max.0': 'Not spicy',
+  'spice.max.1': 'Mild at most',
+  'spice.max.2': 'Medium at most',
+  'spice.max.3': 'Hot at most',
+  'spice.level.1': 'Mild',
+  'spice.level.2': 'Medium hot',
+  'spice.level.3': 'Hot',
+  'allergen.gluten': 'Gluten',
+  'allergen.crustaceans': 'Crustaceans',
+  'allergen.eggs': 'Eggs',
+  'allergen.fish': 'Fish',
+  'allergen.peanuts': 'Peanuts',
+  'allergen.soybeans': 'Soybeans',
+  'allergen.milk': 'Milk',
+  'allergen.nuts': 'Tree nuts',
+  'allergen.celery': 'Celery',
+  'allergen.mustard': 'Mustard',
+  'allergen.sesame': 'Sesame',
+  'allergen.sulphites': 'Sulphites',
+  'allergen.lupin': 'Lupin',
+  'allergen.molluscs': 'Molluscs',
+  'allergen.contains': 'Allergens: {allergens}',
+  'allergen.none': 'No allergens',
+  'allergen.unknown': 'Ask us about allergens',
+  'cart.diet.warning': 'Check your dietary needs: {problems}',
+  'cart.diet.contains': 'contains {allergens}',
+  'cart.diet.notSuitable': 'not {diets}',
+  'cart.diet.tooSpicy': 'spicier than you like',
+
+  // Cart
+  'cart.title': 'Cart',
+  'cart.empty': 'Your cart is empty.',
+  'cart.quantity': '{count} pcs',
+  'cart.decreaseLabel': 'Decrease quantity of {name}',
+  'cart.increaseLabel': 'Increase quantity of {name}',
+  'cart.removeLabel': 'Remove {name} from cart',
+  'cart.announce.line': '{name}, {count} in cart, total {total}',
+  'cart.announce.removed': '{name} removed from cart, total {total}.',
+  'cart.total': 'Total sum incl. freight:',
+  'cart.currencyNote':
+    'Prices in {currency} are approximate, converted at the rates of {date}. You pay in Swedish kronor: {amount}.',
+  'cart.freight': 'Freight: {amount}',
+  'cart.freightZone': 'Freight ({zone}): {amount}',
+  'cart.freightZoneFreeFrom': 'Freight ({zone}): {amount}, free from {freeFrom}',
+  'cart.freeFreightZone': 'Freight ({zone}): Free shipping!',
+  'cart.freightPending': 'Freight: calculated from your zipcode at checkout',
+  'cart.pickup': 'Store pickup: no freight',
+  'cart.outsideDeliveryRange': 'We do not deliver to your zipcode. Choose store pickup or another address.',
+  'cart.removeCode': 'Remove code',
+  'cart.checkout': 'Go to checkout',
+  'cart.couponApplied': 'Promo code {code} - {label} ({amount})',
+  'cart.couponNotApplied': 'Promo code {code} is not applied: {message}',
+  'cart.removedItems.one': '{count} saved item is no longer on the menu and was removed from your cart.',
+  'cart.removedItems.other': '{count} saved items are no longer on the menu and were removed from your cart.',
+  'cart.priceChanged': 'The price of {name} has changed from {oldPrice} to {newPrice}.',
+  'summary.freight': 'Freight',
+  'summary.freeShipping': 'Free shipping',
+  'summary.pickup': 'Store pickup',
+
+  // VAT
+  'vat.net': 'Net amount',
+  'vat.rate': 'VAT {rate}%',
+  'vat.gross': 'Total incl. VAT',
+  'vat.pricesInclude': 'All prices include VAT.',
+  'vat.pricesExclude': 'Prices exclude VAT, which is added to the total.',
+
+  // Promo codes
+  'promo.label': 'Promo code',
+  'promo.apply': 'Apply',
+  'coupon.empty': 'Please enter a promo code.',
+  'coupon.unknown': 'The code "{code}" does not exist. Please check the spelling.',
+  'coupon.notYetValid': 'The code {code} can be used from {date}.',
+  'coupon.expired': 'The code {code} expired on {date}.',
+  'coupon.usageLimit': "The code {code} has already been used and can't be used again.",
+  'coupon.minOrder': 'The code {code} requires an order of at least {amount}.',
+  'coupon.noMatchingItems': 'The code {code} only applies to {scope}, and there are none in your cart.',
+  'coupon.selectedProducts': 'selected products',
+  'coupon.notCombinable': "The code {code} can't be combined with the {discounts}.",
+
+  // Session timeout
+  'session.timedOut': 'Your session has expired due to inactivity. Your order has been cleared!',
+  'session.warningTitle': 'Are you still there?',
+  'session.warningText': 'Your order will be cleared due to inactivity in',
+  'session.keepOrder': 'Keep my order',
+
+  // Checkout steps
+  'checkout.progress': 'Checkout progress',
+  'checkout.title': 'Checkout - {step}',
+  'checkout.step.cart': 'Cart',
+  'checkout.step.customer': 'Your details',
+  'checkout.step.paymentMethod': 'Payment method',
+  'checkout.step.paymentDetails': 'Payment details',
+  'checkout.step.review': 'Review',
+  'checkout.step.confirmation': 'Confirmation',
+  'checkout.cartTitle': 'Review your cart',
+  'checkout.cartText': 'Check the items, options and quantities in your cart. You can still change them here.',
+  'checkout.cartContinue': 'Continue to your details',
+  'checkout.backToCart': 'Back to the cart',
+  'checkout.customerTitle': 'Customer information',
+  'checkout.customerContinue': 'Continue to payment',
+  'checkout.backToCustomer': 'Back to your details',
+  'checkout.paymentMethodTitle': 'Payment method',
+  'checkout.paymentMethodContinue': 'Continue to payment details',
+  'checkout.backToPaymentMethod': 'Back to payment method',
+  'checkout.continueToReview': 'Continue to review',
+  'checkout.backToPaymentDetails': 'Back to payment details',
+  'checkout.reviewTitle': 'Review your order',
+  'checkout.placeOrder': 'Place order',
+  'customer.firstname': 'Firstname',
+  'customer.lastname': 'Lastname',
+  'customer.address': 'Adress',
+  'customer.zipcode': 'Zipcode',
+  'customer.city': 'City',
+  'customer.email': 'Email',
+  'customer.phone': 'Phonenumber',
+
+  // Delivery
+  'delivery.title': 'Delivery',
+  'delivery.home': 'Home delivery',
+  'delivery.pickup': 'Pick up at the store (no freight)',
+  'delivery.pickupAt': 'Pick up your order at:',
+
+  // Time slots & opening hours
+  'slot.label': 'Pickup or delivery time',
+  'slot.choose': 'Choose a time',
+  'slot.full': '{time} (full)',
+  'slot.hours': '{from}–{to}',
+  'slot.time': '{day}, {hours}',
+  'slot.pickupTime': 'Pickup: {time}',
+  'slot.deliveryTime': 'Delivery: {time}',
+  'hours.title': 'Opening hours:',
+  'hours.closed': 'Closed',
+  'hours.closedNow': 'We are closed right now. The earliest time you can order for is {time}.',
+  'hours.noSlots': 'Every time slot of the coming week is taken. Please try again later.',
+
+  // Payment
+  'payment.card': 'Card',
+  'payment.invoice': 'Invoice',
+  'payment.invoiceLimit': 'Invoice payment is only for orders under {limit}. Please use card payment for your order.',
+  'card.title': '💳 Card Payment',
+  'card.subtitle': 'Enter your payment details securely',
+  'card.name': 'Cardholder Name',
+  'card.email': 'Email Address',
+  'card.number': 'Card Number',
+  'card.expiry': 'Expiry Date',
+  'card.cvv': 'CVV',
+  'card.secured': 'Secured with 256-bit SSL encryption',
+  'card.numberRequired': 'Please enter your card number.',
+  'card.unsupported': 'We accept Visa, Mastercard and American Express. Please check the card number.',
+  'card.length': 'A {brand} card number has {lengths} digits.',
+  'card.checksum': 'The card number is not valid. Please check for typos.',
+  'expiry.format': 'Please enter the expiry date as MM/YY.',
+  'expiry.month': 'The expiry month must be between 01 and 12.',
+  'expiry.expired': 'The card has expired.',
+  'expiry.tooFar': 'The expiry date is too far in the future. Please check the year.',
+  'cvv.required': 'Please enter the security code (CVV).',
+  'cvv.length': 'The security code is {lengths} digits, {where}.',
+  'cvv.onFront': 'on the front of the card',
+  'cvv.onBack': 'on the back of the card',
+  'cvv.onCard': 'printed on the card',
+  'cvv.hintAny': '3-4 digits on back',
+  'cvv.hintFront': '4 digits on front',
+  'cvv.hintBack': '3 digits on back',
+  'invoice.title': '📄 Invoice Payment',
+  'invoice.subtitle': 'Complete your invoice payment details',
+  'invoice.companyName': 'Company Name',
+  'invoice.firstName': 'First Name',
+  'invoice.lastName': 'Last Name',
+  'invoice.email': 'Email Address',
+  'invoice.phone': 'Phone Number',
+  'invoice.address': 'Billing Address',
+  'invoice.city': 'City',
+  'invoice.zipCode': 'ZIP Code',
+  'invoice.state': 'State / Province',
+  'invoice.country': 'Country',
+  'invoice.selectCountry': 'Select Country',
+  'invoice.taxId': 'Tax ID / VAT Number',
+  'invoice.taxIdInfo': "Your company's tax identification number",
+  'invoice.poNumber': 'Purchase Order Number',
+  'invoice.poNumberHint': 'Optional reference number for your records',
+  'invoice.notes': 'Additional Notes',
+  'invoice.notesPlaceholder': 'Add any special instructions or comments...',
+  'invoice.termsBefore': 'I agree to the',
+  'invoice.termsLink': 'terms and conditions',
+  'invoice.termsAfter': 'and confirm that the information provided is accurate.',
+  'country.US': 'United States',
+  'country.CA': 'Canada',
+  'country.GB': 'United Kingdom',
+  'country.AU': 'Australia',
+  'country.DE': 'Germany',
+  'country.FR': 'France',
+  'country.IT': 'Italy',
+  'country.ES': 'Spain',
+  'country.NL': 'Netherlands',
+  'country.SE': 'Sweden',
+  'postalCode.required': 'Please enter a postal code.',
+  'postalCode.format': 'A {label} in {country} looks like {example}.',
+  'phone.format': 'Please enter a phone number for {country}, e.g. {example}.',
+  'state.required': 'Please enter the {label}.',
+  'state.code': 'Please use the {label} abbreviation, e.g. {example}.',
+  'state.format': 'Please enter the {label}, e.g. {example}.',
+  'taxId.otherCountry': 'This VAT number is from another EU country. A VAT number for {country} starts with {prefix}.',
+  'taxId.checksum': "The {label} is not valid - the check digits don't match. Please check for typos.",
+  'taxId.format': 'The {label} for {country} should look like {example}.',
+
+  // Form validation
+  'validation.required': 'This field is required.',
+  'validation.pattern': 'Please check the format.',
+  'validation.invalid': 'Please check this field.',
+  'validation.firstName.pattern':
+    'First name must contain at least 2 characters and can only contain letters, dots (.) or hyphens (-). Two consecutive dots or hyphens are not allowed.',
+  'validation.lastName.pattern':
+    "Last name must contain at least 2 characters and can only contain letters, dots (.), hyphens (-) or apostrophes ('). Two consecutive special characters are not allowed.",
+  'validation.address.pattern':
+    "Address must contain a street name followed by a house number (e.g. 'Storgatan 10' or 'Drottninggatan 5A').",
+  'validation.zipcode.pattern': "ZIP code must consist of 5 digits (e.g. '12345' or '123 45').",
+  'validation.timeSlot.required': 'Choose when you want your order.',
+  'validation.timeSlot.unavailable': 'This time can no longer be booked. Please choose another one.',
+  'validation.zipcode.outsideRange': 'We do not deliver to this ZIP code. Choose store pickup or another address.',
+  'validation.city.pattern':
+    'City name must contain at least 2 characters and can only contain letters, spaces or hyphens.',
+  'validation.email.pattern': "Please enter a valid email address (e.g. 'name@example.com').",
+  'validation.phone.pattern':
+    "Phone number must be a valid Swedish number (e.g. '070-123 45 67' or '+46 70 123 45 67').",
+  'validation.cardName.invalid': 'Please enter the name printed on the card.',
+  'validation.invoiceFirstName.invalid': 'Please enter a first name of at least 2 letters.',
+  'validation.invoiceLastName.invalid': 'Please enter a last name of at least 2 letters.',
+  'validation.agreeTerms.required': 'Please accept the terms and conditions.',
+
+  // Placing the order
+  'order.sending': 'Sending your order...',
+  'order.unavailable': 'Some items are not available in the quantity you ordered. See the cart for details.',
+  'order.cartEmpty': 'Your cart is empty. Add something from the menu first.',
+  'order.choosePayment': 'Please choose how you want to pay.',
+  'order.error.timeout': 'The order service did not answer in time. Please try again.',
+  'order.error.network': 'Could not reach the order service. Please check your connection and try again.',
+  'order.error.rejected': 'Your order was not accepted: {reason}',
+  'order.error.server': 'Something went wrong on our side. Your order was not placed - please try again in a moment.',
+  'review.items': 'Items',
+  'review.subtotal': 'Subtotal',
+  'review.promoCode': 'Promo code {code}',
+  'review.freight': 'Freight',
+  'review.freeShipping': 'Free shipping',
+  'review.pickup': 'Store pickup',
+  'review.pickupAt': 'Picked up at {address}',
+  'review.total': 'Total',
+  'review.charged': 'Charged in SEK',
+  'review.delivery': 'Delivery',
+  'review.payment': 'Payment',
+  'review.cardEnding': 'Card ending in {last4} ({name})',
+  'review.invoiceTo': 'Invoice to {company}, {email}',
+  'confirmation.title': 'Thank you for your order!',
+  'confirmation.pageTitle': 'Order confirmation',
+  'confirmation.orderNumber': 'Your order number is {orderNumber}. Please keep it for your records.',
+
+  // Order history
+  'history.title': 'Order history',
+  'history.orderTitle': 'Order {orderNumber}',
+  'history.loading': 'Loading your orders...',
+  'history.empty': 'You have not placed any orders yet.',
+  'history.unavailable': 'The order history is not available in this browser.',
+  'history.notFound': 'This order is not in your order history.',
+  'history.itemCount.one': '{count} item',
+  'history.itemCount.other': '{count} items',
+  'history.placedAt': 'Placed {date}',
+  'history.reorder': 'Reorder',
+  'history.reorderNote': "Reorder puts the items in your cart at today's prices.",
+  'history.backToList': 'Back to order history',
+  'history.removed': 'No longer on the menu',
+  'history.priceChanged': 'Now {price} (was {oldPrice})',
+  'history.removedItems.one': '{count} item from your earlier order is no longer on the menu and was not added.',
+  'history.removedItems.other': '{count} items from your earlier order are no longer on the menu and were not added.',
+  'history.limitedStock': 'Only {available} {name} could be added, the rest is sold out today.',
+
+  // Receipts & invoices
+  'document.pageTitle': 'Receipt or invoice',
+  'document.receipt': 'Receipt',
+  'document.invoice': 'Invoice',
+  'document.print': 'Print',
+  'document.downloadJson': 'Download JSON',
+  'document.downloadCsv': 'Download CSV',
+  'document.loading': 'Loading the order...',
+  'document.notFound': 'This order could not be found.',
+  'document.orderNumber': 'Order number',
+  'document.orderDate': 'Order date',
+  'document.pickupTime': 'Pickup time',
+  'document.deliveryTime': 'Delivery time',
+  'document.dueDate': 'Due date',
+  'document.poNumber': 'PO number',
+  'document.buyerTaxId': 'Your VAT number',
+  'document.customer': 'Customer',
+  'document.billTo': 'Bill to',
+  'document.deliverTo': 'Deliver to',
+  'document.item': 'Item',
+  'document.quantity': 'Qty',
+  'document.unitPrice': 'Unit price',
+  'document.amount': 'Amount',
+  'document.discountIncluded': 'Discount included: {amount}',
+  'document.surchargeIncluded': 'Surcharge included: {amount}',
+  'document.vat': 'VAT',
+  'document.vatRate': 'VAT rate',
+  'document.net': 'Net',
+  'document.gross': 'Gross',
+  'document.paidByCard': 'Paid by {brand} ending in {last4}.',
+  'document.payInvoice': 'Please pay {amount} by {dueDate}. Reference: {reference}.',
+
+  // Catalog admin
+  'admin.title': 'Catalog management',
+  'admin.passcode': 'Staff passcode',
+  'admin.unlock': 'Unlock',
+  'admin.lock': 'Lock',
+  'admin.notConfigured': 'Catalog management is not set up for this shop.',
+  'admin.wrongPasscode': 'Wrong passcode.',
+  'admin.newProduct': 'New product',
+  'admin.exportJson': 'Export JSON',
+  'admin.exportCsv': 'Export CSV',
+  'admin.import': 'Import JSON or CSV',
+  'admin.reset': 'Reset to the default catalog',
+  'admin.products': 'Products',
+  'admin.status': 'Status',
+  'admin.actions': 'Actions',
+  'admin.edit': 'Edit',
+  'admin.archive': 'Archive',
+  'admin.restore': 'Restore',
+  'admin.onMenu': 'On the menu',
+  'admin.unavailable': 'Not available today',
+  'admin.archived': 'Archived',
+  'admin.stock': 'Daily stock: {count}',
+  'admin.newTitle': 'New product',
+  'admin.editTitle': 'Edit {name}',
+  'admin.save': 'Save product',
+  'admin.cancel': 'Cancel',
+  'admin.yes': 'Yes',
+  'admin.no': 'No',
+  'admin.field.id': 'Id',
+  'admin.field.name': 'Name',
+  'admin.field.description': 'Description',
+  'admin.field.price': 'Price (SEK)',
+  'admin.field.category': 'Category',
+  'admin.field.vatClass': 'VAT class',
+  'admin.field.imgSrc': 'Image',
+  'admin.field.imgAlt': 'Alt text',
+  'admin.field.imgWidth': 'Image width (px)',
+  'admin.field.imgHeight': 'Image height (px)',
+  'admin.field.popularity': 'Popularity (orders the last 30 days)',
+  'admin.field.stock': 'Daily stock (empty for unlimited)',
+  'admin.field.allergens': 'Allergens (empty when not known)',
+  'admin.field.dietary': 'Diets',
+  'admin.field.spiceLevel': 'Spice level (0-3)',
+  'admin.field.available': 'Available today',
+  'admin.field.archived': 'Archived (hidden from the menu)',
+  'admin.field.translations': 'Translations',
+  'admin.field.options': 'Options',
+  'admin.vatClass.food': 'Food (12%)',
+  'admin.vatClass.standard': 'Other goods (25%)',
+  'admin.added': '{name} was added.',
+  'admin.saved': '{name} was saved.',
+  'admin.archivedProduct': '{name} was archived and is no longer on the menu.',
+  'admin.restoredProduct': '{name} is back on the menu.',
+  'admin.imported': 'The catalog was updated from {file}.',
+  'admin.resetDone': 'The default catalog is back.',
+  'admin.notSaved': 'The catalog was not saved.',
+  'admin.preview.title': 'Changes in {file}',
+  'admin.preview.resetTitle': 'Changes when going back to the default catalog',
+  'admin.preview.invalid': '{file} can not be imported:',
+  'admin.preview.summary': 'New: {added}, removed: {removed}, changed: {changed}',
+  'admin.preview.noChanges': 'Nothing would change.',
+  'admin.preview.added': 'New: {product}',
+  'admin.preview.removed': 'Removed: {product}',
+  'admin.preview.changed': 'Changed: {product} - {changes}',
+  'admin.preview.removedNote':
+    'Removed products disappear from the menu and from saved carts. Archive a product instead to keep it in the catalog.',
+  'admin.preview.row': 'Product {row} (id {id})',
+  'admin.preview.apply': 'Apply changes',
+  'admin.error.product': 'This is not a product.',
+  'admin.error.id': 'Enter a whole number above 0.',
+  'admin.error.idTaken': 'Id {id} is already used by another product.',
+  'admin.error.alt': 'Describe the image for customers who can not see it.',
+  'admin.error.html': 'Can not contain <, > or ".',
+  'admin.error.price': 'Enter a price above 0.',
+  'admin.error.category': 'Choose one of the categories: {categories}.',
+  'admin.error.vatClass': 'Choose one of the VAT classes: {classes}.',
+  'admin.error.imgSrc': 'Enter a path like ./images/name.webp or an http(s) address.',
+  'admin.error.size': 'Enter the size in pixels, a whole number above 0.',
+  'admin.error.count': 'Enter a whole number, 0 or more.',
+  'admin.error.ids': 'Use these ids, separated by spaces: {ids}.',
+  'admin.error.spiceLevel': 'Enter a whole number from 0 to {max}.',
+  'admin.error.translations': 'Every translation must be a text without <, > or ".',
+  'admin.error.options':
+    'Every option group and choice needs an id (letters, digits, - and _) and a label without <, > or ", and every group at least one choice. Spice levels are 0 to {max}.',
+  'admin.error.notAList': 'The file has no list of products.',
+  'admin.error.empty': 'The catalog needs at least one product.',
+  'admin.error.json': 'The file is not valid JSON.',
+  'admin.error.csvColumns': 'The CSV file is missing the columns {columns}.',
+  'admin.error.file': 'The file could not be read.',
+
+  // Footer
+  'footer.visitUs': 'Visit us at:',
+  'footer.questions': 'If you have some questions about our products please contact us.',
+  'footer.emailUs': 'Contact us by email',
+  'footer.staff': 'Staff',
+};
+
+const sv = {
+  // Shop & navigation
+  'shop.name': 'Alex hemlagade godsaker',
+  'nav.home': 'Hem',
+  'nav.cart': 'Varukorg',
+  'nav.contact': 'Kontakt',
+  'nav.history': 'Orderhistorik',
+  'language.label': 'Språk',
+  'currency.label': 'Valuta',
+  'home.title': 'Välkommen till Alex hemlagade godsaker.',
+  'common.backToMenu': 'Tillbaka till menyn',
+  'notFound.title': 'Sidan hittades inte',
+
+  // Search, filter & sort
+  'filters.search': 'Sök',
+  'filters.searchPlaceholder': 'T.ex. nudlar, mango',
+  'filters.filter': 'Filtrera',
+  'filters.all': 'Alla',
+  'filters.minPrice': 'Lägsta pris (kr)',
+  'filters.maxPrice': 'Högsta pris (kr)',
+  'filters.sort': 'Sortera',
+  'category.snacks': 'Snacks',
+  'category.food': 'Mat',
+  'category.drinks': 'Drycker',
+  'sort.standard': 'Standard',
+  'sort.low': 'Lägsta pris',
+  'sort.high': 'Högsta pris',
+  'sort.name': 'Namn A-Ö',
+  'sort.nameDesc': 'Namn Ö-A',
+  'sort.popular': 'Populärast',
+
+  // Product listing
+  'products.menu': 'Meny',
+  'products.noMatches': 'Inga produkter matchar din sökning.',
+  'products.clearFilters': 'Rensa filter',
+  'products.id': 'Produkt: {id}',
+  'products.price': 'Pris: {price}',
+  'products.buy': 'Köp',
+  'products.buyLabel': 'Köp {name}',
+  'products.quantityLabel': 'Antal {name}',
+  'products.decreaseLabel': 'Minska antal {name}',
+  'products.increaseLabel': 'Öka antal {name}',
+  'products.addedToCart': 'Tillagd i varukorgen!',
+  'stock.soldOut': 'Slutsåld',
+  'stock.onlyLeft': 'Bara {count} kvar',
+  'stock.soldOutInCart': '{name} är slutsåld. Ta bort den från varukorgen.',
+  'stock.shortfall': 'Bara {available} {name} kvar, men din varukorg har {requested}. Minska antalet.',
+  'options.unknownChoice': '{group}: okänt val "{choice}".',
+  'options.required': '{group}: gör ett val.',
+  'options.onlyOne': '{group}: bara ett val är tillåtet.',
+
+  // Dietary information
+  'diet.title': 'Kostbehov',
+  'diet.vegetarian': 'Vegetarisk',
+  'diet.vegan': 'Vegansk',
+  'diet.glutenFree': 'Glutenfri',
+  'diet.excludeAllergens': 'Utan allergener',
+  'diet.without': 'utan {allergens}',
+  'diet.save': 'Kom ihåg mina kostbehov',
+  'diet.saved': 'Dina kostbehov: {needs}. Varukorgen varnar för produkter som inte passar.',
+  'diet.noneSaved': 'Välj dina kostbehov ovan och spara dem för att få varningar i varukorgen.',
+  'spice.filter': 'Styrka',
+  'spice.any': 'Alla',
+  'spice.max.0': 'Inte stark',
+  'spice.max.1': 'Högst mild',
+  'spice.max.2': 'Högst medium',
+  'spice.max.3': 'Högst stark',
+  'spice.level.1': 'Mild',
+  'spice.level.2': 'Mellanstark',
+  'spice.level.3': 'Stark',
+  'allergen.gluten': 'Gluten',
+  'allergen.crustaceans': 'Kräftdjur',
+  'allergen.eggs': 'Ägg',
+  'allergen.fish': 'Fisk',
+  'allergen.peanuts': 'Jordnötter',
+  'allergen.soybeans': 'Soja',
+  'allergen.milk': 'Mjölk',
+  'allergen.nuts': 'Nötter',
+  'allergen.celery': 'Selleri',
+  'allergen.mustard': 'Senap',
+  'allergen.sesame': 'Sesam',
+  'allergen.sulphites': 'Sulfiter',
+  'allergen.lupin': 'Lupin',
+  'allergen.molluscs': 'Blötdjur',
+  'allergen.contains': 'Allergener: {allergens}',
+  'allergen.none': 'Inga allergener',
+  'allergen.unknown': 'Fråga oss om allergener',
+  'cart.diet.warning': 'Kontrollera dina kostbehov: {problems}',
+  'cart.diet.contains': 'innehåller {allergens}',
+  'cart.diet.notSuitable': 'inte {diets}',
+  'cart.diet.tooSpicy': 'starkare än du vill',
+
+  // Cart
+  'cart.title': 'Varukorg',
+  'cart.empty': 'Din varukorg är tom.',
+  'cart.quantity': '{count} st',
+  'cart.decreaseLabel': 'Minska antal {name}',
+  'cart.increaseLabel': 'Öka antal {name}',
+  'cart.removeLabel': 'Ta bort {name} från varukorgen',
+  'cart.announce.line': '{name}, {count} i varukorgen, totalt {total}',
+  'cart.announce.removed': '{name} borttagen från varukorgen, totalt {total}.',
+  'cart.total': 'Totalt inkl. frakt:',
+  'cart.currencyNote':
+    'Priser i {currency} är ungefärliga, omräknade med kurserna från {date}. Du betalar i svenska kronor: {amount}.',
+  'cart.freight': 'Frakt: {amount}',
+  'cart.freightZone': 'Frakt ({zone}): {amount}',
+  'cart.freightZoneFreeFrom': 'Frakt ({zone}): {amount}, fri frakt från {freeFrom}',
+  'cart.freeFreightZone': 'Frakt ({zone}): Fri frakt!',
+  'cart.freightPending': 'Frakt: räknas ut från ditt postnummer i kassan',
+  'cart.pickup': 'Hämtas i butiken: ingen frakt',
+  'cart.outsideDeliveryRange': 'Vi levererar inte till ditt postnummer. Välj hämtning i butiken eller en annan adress.',
+  'cart.removeCode': 'Ta bort kod',
+  'cart.checkout': 'Gå till kassan',
+  'cart.couponApplied': 'Rabattkod {code} - {label} ({amount})',
+  'cart.couponNotApplied': 'Rabattkoden {code} används inte: {message}',
+  'cart.removedItems.one': '{count} sparad vara finns inte längre på menyn och har tagits bort från din varukorg.',
+  'cart.removedItems.other': '{count} sparade varor finns inte längre på menyn och har tagits bort från din varukorg.',
+  'cart.priceChanged': 'Priset på {name} har ändrats från {oldPrice} till {newPrice}.',
+  'summary.freight': 'Frakt',
+  'summary.freeShipping': 'Fri frakt',
+  'summary.pickup': 'Hämtas i butiken',
+
+  // VAT
+  'vat.net': 'Belopp exkl. moms',
+  'vat.rate': 'Moms {rate} %',
+  'vat.gross': 'Totalt inkl. moms',
+  'vat.pricesInclude': 'Alla priser inkluderar moms.',
+  'vat.pricesExclude': 'Priserna är exklusive moms, som läggs till på totalen.',
+
+  // Promo codes
+  'promo.label': 'Rabattkod',
+  'promo.apply': 'Använd',
+  'coupon.empty': 'Ange en rabattkod.',
+  'coupon.unknown': 'Koden "{code}" finns inte. Kontrollera stavningen.',
+  'coupon.notYetValid': 'Koden {code} kan användas från {date}.',
+  'coupon.expired': 'Koden {code} gick ut {date}.',
+  'coupon.usageLimit': 'Koden {code} har redan använts och kan inte användas igen.',
+  'coupon.minOrder': 'Koden {code} kräver en beställning på minst {amount}.',
+  'coupon.noMatchingItems': 'Koden {code} gäller bara {scope}, och det finns inga i din varukorg.',
+  'coupon.selectedProducts': 'utvalda produkter',
+  'coupon.notCombinable': 'Koden {code} kan inte kombineras med {discounts}.',
+
+  // Session timeout
+  'session.timedOut': 'Din session har gått ut på grund av inaktivitet. Din beställning har rensats!',
+  'session.warningTitle': 'Är du kvar?',
+  'session.warningText': 'Din beställning rensas på grund av inaktivitet om',
+  'session.keepOrder': 'Behåll min beställning',
+
+  // Checkout steps
+  'checkout.progress': 'Steg i kassan',
+  'checkout.title': 'Kassa - {step}',
+  'checkout.step.cart': 'Varukorg',
+  'checkout.step.customer': 'Dina uppgifter',
+  'checkout.step.paymentMethod': 'Betalsätt',
+  'checkout.step.paymentDetails': 'Betaluppgifter',
+  'checkout.step.review': 'Granska',
+  'checkout.step.confirmation': 'Bekräftelse',
+  'checkout.cartTitle': 'Granska din varukorg',
+  'checkout.cartText': 'Kontrollera varor, val och antal i din varukorg. Du kan fortfarande ändra dem här.',
+  'checkout.cartContinue': 'Fortsätt till dina uppgifter',
+  'checkout.backToCart': 'Tillbaka till varukorgen',
+  'checkout.customerTitle': 'Kunduppgifter',
+  'checkout.customerContinue': 'Fortsätt till betalning',
+  'checkout.backToCustomer': 'Tillbaka till dina uppgifter',
+  'checkout.paymentMethodTitle': 'Betalsätt',
+  'checkout.paymentMethodContinue': 'Fortsätt till betaluppgifter',
+  'checkout.backToPaymentMethod': 'Tillbaka till betalsätt',
+  'checkout.continueToReview': 'Fortsätt till granskning',
+  'checkout.backToPaymentDetails': 'Tillbaka till betaluppgifter',
+  'checkout.reviewTitle': 'Granska din beställning',
+  'checkout.placeOrder': 'Lägg beställning',
+  'customer.firstname': 'Förnamn',
+  'customer.lastname': 'Efternamn',
+  'customer.address': 'Adress',
+  'customer.zipcode': 'Postnummer',
+  'customer.city': 'Ort',
+  'customer.email': 'E-post',
+  'customer.phone': 'Telefonnummer',
+
+  // Delivery
+  'delivery.title': 'Leverans',
+  'delivery.home': 'Hemleverans',
+  'delivery.pickup': 'Hämta i butiken (ingen frakt)',
+  'delivery.pickupAt': 'Hämta din beställning hos:',
+
+  // Time slots & opening hours
+  'slot.label': 'Tid för hämtning eller leverans',
+  'slot.choose': 'Välj en tid',
+  'slot.full': '{time} (fullbokad)',
+  'slot.hours': '{from}–{to}',
+  'slot.time': '{day}, {hours}',
+  'slot.pickupTime': 'Hämtning: {time}',
+  'slot.deliveryTime': 'Leverans: {time}',
+  'hours.title': 'Öppettider:',
+  'hours.closed': 'Stängt',
+  'hours.closedNow': 'Vi har stängt just nu. Den tidigaste tiden du kan beställa till är {time}.',
+  'hours.noSlots': 'Alla tider den kommande veckan är bokade. Försök igen senare.',
+
+  // Payment
+  'payment.card': 'Kort',
+  'payment.invoice': 'Faktura',
+  'payment.invoiceLimit':
+    'Faktura kan bara väljas för beställningar under {limit}. Betala med kort för din beställning.',
+  'card.title': '💳 Kortbetalning',
+  'card.subtitle': 'Ange dina betaluppgifter säkert',
+  'card.name': 'Kortinnehavarens namn',
+  'card.email': 'E-postadress',
+  'card.number': 'Kortnummer',
+  'card.expiry': 'Giltigt till',
+  'card.cvv': 'CVV',
+  'card.secured': 'Skyddad med 256-bitars SSL-kryptering',
+  'card.numberRequired': 'Ange ditt kortnummer.',
+  'card.unsupported': 'Vi tar emot Visa, Mastercard och American Express. Kontrollera kortnumret.',
+  'card.length': 'Ett kortnummer från {brand} har {lengths} siffror.',
+  'card.checksum': 'Kortnumret är inte giltigt. Kontrollera att det är rätt inskrivet.',
+  'expiry.format': 'Ange giltighetstiden som MM/ÅÅ.',
+  'expiry.month': 'Månaden måste vara mellan 01 och 12.',
+  'expiry.expired': 'Kortet har gått ut.',
+  'expiry.tooFar': 'Giltighetstiden ligger för långt fram. Kontrollera året.',
+  'cvv.required': 'Ange säkerhetskoden (CVV).',
+  'cvv.length': 'Säkerhetskoden har {lengths} siffror, {where}.',
+  'cvv.onFront': 'på kortets framsida',
+  'cvv.onBack': 'på kortets baksida',
+  'cvv.onCard': 'tryckt på kortet',
+  'cvv.hintAny': '3-4 siffror på baksidan',
+  'cvv.hintFront': '4 siffror på framsidan',
+  'cvv.hintBack': '3 siffror på baksidan',
+  'invoice.title': '📄 Fakturabetalning',
+  'invoice.subtitle': 'Fyll i uppgifterna för din faktura',
+  'invoice.companyName': 'Företagsnamn',
+  'invoice.firstName': 'Förnamn',
+  'invoice.lastName': 'Efternamn',
+  'invoice.email': 'E-postadress',
+  'invoice.phone': 'Telefonnummer',
+  'invoice.address': 'Fakturaadress',
+  'invoice.city': 'Ort',
+  'invoice.zipCode': 'Postnummer',
+  'invoice.state': 'Delstat / Provins',
+  'invoice.country': 'Land',
+  'invoice.selectCountry': 'Välj land',
+  'invoice.taxId': 'Momsregistreringsnummer',
+  'invoice.taxIdInfo': 'Ditt företags skatte- eller momsnummer',
+  'invoice.poNumber': 'Inköpsordernummer',
+  'invoice.poNumberHint': 'Frivilligt referensnummer för er bokföring',
+  'invoice.notes': 'Övriga kommentarer',
+  'invoice.notesPlaceholder': 'Skriv särskilda instruktioner eller kommentarer...',
+  'invoice.termsBefore': 'Jag godkänner',
+  'invoice.termsLink': 'villkoren',
+  'invoice.termsAfter': 'och bekräftar att uppgifterna är korrekta.',
+  'country.US': 'USA',
+  'country.CA': 'Kanada',
+  'country.GB': 'Storbritannien',
+  'country.AU': 'Australien',
+  'country.DE': 'Tyskland',
+  'country.FR': 'Frankrike',
+  'country.IT': 'Italien',
+  'country.ES': 'Spanien',
+  'country.NL': 'Nederländerna',
+  'country.SE': 'Sverige',
+  'postalCode.required': 'Ange ett postnummer.',
+  'postalCode.format': 'Fältet {label} för {country} skrivs som {example}.',
+  'phone.format': 'Ange ett telefonnummer för {country}, t.ex. {example}.',
+  'state.required': 'Fyll i fältet {label}.',
+  'state.code': 'Använd förkortningen för {label}, t.ex. {example}.',
+  'state.format': 'Fyll i fältet {label}, t.ex. {example}.',
+  'taxId.otherCountry': 'Momsnumret är från ett annat EU-land. Ett momsnummer för {country} börjar med {prefix}.',
+  'taxId.checksum':
+    'Fältet {label} är inte giltigt - kontrollsiffrorna stämmer inte. Kontrollera att det är rätt inskrivet.',
+  'taxId.format': 'Fältet {label} för {country} ska se ut som {example}.',
+
+  // Form validation
+  'validation.required': 'Fältet är obligatoriskt.',
+  'validation.pattern': 'Kontrollera formatet.',
+  'validation.invalid': 'Kontrollera fältet.',
+  'validation.firstName.pattern':
+    'Förnamnet måste ha minst 2 tecken och får bara innehålla bokstäver, punkter (.) eller bindestreck (-). Två punkter eller bindestreck i rad är inte tillåtna.',
+  'validation.lastName.pattern':
+    "Efternamnet måste ha minst 2 tecken och får bara innehålla bokstäver, punkter (.), bindestreck (-) eller apostrofer ('). Två specialtecken i rad är inte tillåtna.",
+  'validation.address.pattern':
+    "Adressen måste innehålla ett gatunamn följt av ett husnummer (t.ex. 'Storgatan 10' eller 'Drottninggatan 5A').",
+  'validation.zipcode.pattern': "Postnumret måste bestå av 5 siffror (t.ex. '12345' eller '123 45').",
+  'validation.timeSlot.required': 'Välj när du vill ha din beställning.',
+  'validation.timeSlot.unavailable': 'Den här tiden kan inte längre bokas. Välj en annan.',
+  'validation.zipcode.outsideRange':
+    'Vi levererar inte till det här postnumret. Välj hämtning i butiken eller en annan adress.',
+  'validation.city.pattern':
+    'Orten måste ha minst 2 tecken och får bara innehålla bokstäver, mellanslag eller bindestreck.',
+  'validation.email.pattern': "Ange en giltig e-postadress (t.ex. 'namn@exempel.se').",
+  'validation.phone.pattern':
+    "Telefonnumret måste vara ett svenskt nummer (t.ex. '070-123 45 67' eller '+46 70 123 45 67').",
+  'validation.cardName.invalid': 'Ange namnet som står på kortet.',
+  'validation.invoiceFirstName.invalid': 'Ange ett förnamn med minst 2 bokstäver.',
+  'validation.invoiceLastName.invalid': 'Ange ett efternamn med minst 2 bokstäver.',
+  'validation.agreeTerms.required': 'Godkänn villkoren för att fortsätta.',
+
+  // Placing the order
+  'order.sending': 'Skickar din beställning...',
+  'order.unavailable': 'Vissa varor finns inte i det antal du har beställt. Se varukorgen för detaljer.',
+  'order.cartEmpty': 'Din varukorg är tom. Lägg till något från menyn först.',
+  'order.choosePayment': 'Välj hur du vill betala.',
+  'order.error.timeout': 'Beställningstjänsten svarade inte i tid. Försök igen.',
+  'order.error.network': 'Kunde inte nå beställningstjänsten. Kontrollera din anslutning och försök igen.',
+  'order.error.rejected': 'Din beställning godtogs inte: {reason}',
+  'order.error.server': 'Något gick fel hos oss. Din beställning har inte lagts - försök igen om en stund.',
+  'review.items': 'Varor',
+  'review.subtotal': 'Delsumma',
+  'review.promoCode': 'Rabattkod {code}',
+  'review.freight': 'Frakt',
+  'review.freeShipping': 'Fri frakt',
+  'review.pickup': 'Hämtas i butiken',
+  'review.pickupAt': 'Hämtas hos {address}',
+  'review.total': 'Totalt',
+  'review.charged': 'Debiteras i SEK',
+  'review.delivery': 'Leverans',
+  'review.payment': 'Betalning',
+  'review.cardEnding': 'Kort som slutar på {last4} ({name})',
+  'review.invoiceTo': 'Faktura till {company}, {email}',
+  'confirmation.title': 'Tack för din beställning!',
+  'confirmation.pageTitle': 'Orderbekräftelse',
+  'confirmation.orderNumber': 'Ditt ordernummer är {orderNumber}. Spara det för framtida frågor.',
+
+  // Order history
+  'history.title': 'Orderhistorik',
+  'history.orderTitle': 'Order {orderNumber}',
+  'history.loading': 'Hämtar dina beställningar...',
+  'history.empty': 'Du har inte gjort några beställningar än.',
+  'history.unavailable': 'Orderhistoriken är inte tillgänglig i den här webbläsaren.',
+  'history.notFound': 'Den här ordern finns inte i din orderhistorik.',
+  'history.itemCount.one': '{count} vara',
+  'history.itemCount.other': '{count} varor',
+  'history.placedAt': 'Beställd {date}',
+  'history.reorder': 'Beställ igen',
+  'history.reorderNote': 'Beställ igen lägger varorna i varukorgen till dagens priser.',
+  'history.backToList': 'Tillbaka till orderhistoriken',
+  'history.removed': 'Finns inte längre på menyn',
+  'history.priceChanged': 'Nu {price} (var {oldPrice})',
+  'history.removedItems.one': '{count} vara från din tidigare order finns inte längre på menyn och lades inte till.',
+  'history.removedItems.other': '{count} varor från din tidigare order finns inte längre på menyn och lades inte till.',
+  'history.limitedStock': 'Bara {available} {name} kunde läggas till, resten är slutsålt i dag.',
+
+  // Receipts & invoices
+  'document.pageTitle': 'Kvitto eller faktura',
+  'document.receipt': 'Kvitto',
+  'document.invoice': 'Faktura',
+  'document.print': 'Skriv ut',
+  'document.downloadJson': 'Ladda ner JSON',
+  'document.downloadCsv': 'Ladda ner CSV',
+  'document.loading': 'Hämtar ordern...',
+  'document.notFound': 'Ordern kunde inte hittas.',
+  'document.orderNumber': 'Ordernummer',
+  'document.orderDate': 'Orderdatum',
+  'document.pickupTime': 'Hämtningstid',
+  'document.deliveryTime': 'Leveranstid',
+  'document.dueDate': 'Förfallodatum',
+  'document.poNumber': 'Inköpsordernummer',
+  'document.buyerTaxId': 'Ert momsregistreringsnummer',
+  'document.customer': 'Kund',
+  'document.billTo': 'Fakturamottagare',
+  'document.deliverTo': 'Leveransadress',
+  'document.item': 'Vara',
+  'document.quantity': 'Antal',
+  'document.unitPrice': 'À-pris',
+  'document.amount': 'Belopp',
+  'document.discountIncluded': 'Inklusive rabatt: {amount}',
+  'document.surchargeIncluded': 'Inklusive tillägg: {amount}',
+  'document.vat': 'Moms',
+  'document.vatRate': 'Momssats',
+  'document.net': 'Netto',
+  'document.gross': 'Brutto',
+  'document.paidByCard': 'Betalt med {brand} som slutar på {last4}.',
+  'document.payInvoice': 'Betala {amount} senast {dueDate}. Referens: {reference}.',
+
+  // Catalog admin
+  'admin.title': 'Sortimentshantering',
+  'admin.passcode': 'Personalkod',
+  'admin.unlock': 'Lås upp',
+  'admin.lock': 'Lås',
+  'admin.notConfigured': 'Sortimentshantering är inte inställd för den här butiken.',
+  'admin.wrongPasscode': 'Fel kod.',
+  'admin.newProduct': 'Ny produkt',
+  'admin.exportJson': 'Exportera JSON',
+  'admin.exportCsv': 'Exportera CSV',
+  'admin.import': 'Importera JSON eller CSV',
+  'admin.reset': 'Återställ standardsortimentet',
+  'admin.products': 'Produkter',
+  'admin.status': 'Status',
+  'admin.actions': 'Åtgärder',
+  'admin.edit': 'Redigera',
+  'admin.archive': 'Arkivera',
+  'admin.restore': 'Återställ',
+  'admin.onMenu': 'På menyn',
+  'admin.unavailable': 'Inte tillgänglig i dag',
+  'admin.archived': 'Arkiverad',
+  'admin.stock': 'Dagens lager: {count}',
+  'admin.newTitle': 'Ny produkt',
+  'admin.editTitle': 'Redigera {name}',
+  'admin.save': 'Spara produkt',
+  'admin.cancel': 'Avbryt',
+  'admin.yes': 'Ja',
+  'admin.no': 'Nej',
+  'admin.field.id': 'Id',
+  'admin.field.name': 'Namn',
+  'admin.field.description': 'Beskrivning',
+  'admin.field.price': 'Pris (SEK)',
+  'admin.field.category': 'Kategori',
+  'admin.field.vatClass': 'Momsklass',
+  'admin.field.imgSrc': 'Bild',
+  'admin.field.imgAlt': 'Alternativtext',
+  'admin.field.imgWidth': 'Bildbredd (px)',
+  'admin.field.imgHeight': 'Bildhöjd (px)',
+  'admin.field.popularity': 'Popularitet (beställningar senaste 30 dagarna)',
+  'admin.field.stock': 'Dagens lager (tomt för obegränsat)',
+  'admin.field.allergens': 'Allergener (tomt när de inte är kända)',
+  'admin.field.dietary': 'Kost',
+  'admin.field.spiceLevel': 'Styrka (0-3)',
+  'admin.field.available': 'Tillgänglig i dag',
+  'admin.field.archived': 'Arkiverad (dold på menyn)',
+  'admin.field.translations': 'Översättningar',
+  'admin.field.options': 'Tillval',
+  'admin.vatClass.food': 'Livsmedel (12 %)',
+  'admin.vatClass.standard': 'Övriga varor (25 %)',
+  'admin.added': '{name} har lagts till.',
+  'admin.saved': '{name} har sparats.',
+  'admin.archivedProduct': '{name} har arkiverats och visas inte längre på menyn.',
+  'admin.restoredProduct': '{name} är tillbaka på menyn.',
+  'admin.imported': 'Sortimentet har uppdaterats från {file}.',
+  'admin.resetDone': 'Standardsortimentet är tillbaka.',
+  'admin.notSaved': 'Sortimentet sparades inte.',
+  'admin.preview.title': 'Ändringar i {file}',
+  'admin.preview.resetTitle': 'Ändringar när standardsortimentet återställs',
+  'admin.preview.invalid': '{file} kan inte importeras:',
+  'admin.preview.summary': 'Nya: {added}, borttagna: {removed}, ändrade: {changed}',
+  'admin.preview.noChanges': 'Inget skulle ändras.',
+  'admin.preview.added': 'Ny: {product}',
+  'admin.preview.removed': 'Borttagen: {product}',
+  'admin.preview.changed': 'Ändrad: {product} - {changes}',
+  'admin.preview.removedNote':
+    'Borttagna produkter försvinner från menyn och från sparade varukorgar. Arkivera produkten i stället för att behålla den i sortimentet.',
+  'admin.preview.row': 'Produkt {row} (id {id})',
+  'admin.preview.apply': 'Verkställ ändringarna',
+  'admin.error.product': 'Det här är ingen produkt.',
+  'admin.error.id': 'Ange ett heltal större än 0.',
+  'admin.error.idTaken': 'Id {id} används redan av en annan produkt.',
+  'admin.error.alt': 'Beskriv bilden för kunder som inte kan se den.',
+  'admin.error.html': 'Får inte innehålla <, > eller ".',
+  'admin.error.price': 'Ange ett pris större än 0.',
+  'admin.error.category': 'Välj en av kategorierna: {categories}.',
+  'admin.error.vatClass': 'Välj en av momsklasserna: {classes}.',
+  'admin.error.imgSrc': 'Ange en sökväg som ./images/namn.webp eller en http(s)-adress.',
+  'admin.error.size': 'Ange storleken i pixlar, ett heltal större än 0.',
+  'admin.error.count': 'Ange ett heltal, 0 eller mer.',
+  'admin.error.ids': 'Använd de här id:na, åtskilda med mellanslag: {ids}.',
+  'admin.error.spiceLevel': 'Ange ett heltal från 0 till {max}.',
+  'admin.error.translations': 'Varje översättning måste vara en text utan <, > eller ".',
+  'admin.error.options':
+    'Varje tillvalsgrupp och val behöver ett id (bokstäver, siffror, - och _) och en etikett utan <, > eller ", och varje grupp minst ett val. Styrkan är 0 till {max}.',
+  'admin.error.notAList': 'Filen innehåller ingen lista med produkter.',
+  'admin.error.empty': 'Sortimentet måste ha minst en produkt.',
+  'admin.error.json': 'Filen är inte giltig JSON.',
+  'admin.error.csvColumns': 'CSV-filen saknar kolumnerna {columns}.',
+  'admin.error.file': 'Filen kunde inte läsas.',
+
+  // Footer
+  'footer.visitUs': 'Besök oss på:',
+  'footer.questions': 'Kontakta oss om du har frågor om våra produkter.',
+  'footer.emailUs': 'Kontakta oss via e-post',
+  'footer.staff': 'Personal',
+};
+
+const vi = {
+  // Shop & navigation
+  'shop.name': 'Đồ nhà làm của Alex',
+  'nav.home': 'Trang chủ',
+  'nav.cart': 'Giỏ hàng',
+  'nav.contact': 'Liên hệ',
+  'nav.history': 'Lịch sử đơn hàng',
+  'language.label': 'Ngôn ngữ',
+  'currency.label': 'Tiền tệ',
+  'home.title': 'Chào mừng đến với Đồ nhà làm của Alex.',
+  'common.backToMenu': 'Quay lại thực đơn',
+  'notFound.title': 'Không tìm thấy trang',
+
+  // Search, filter & sort
+  'filters.search': 'Tìm kiếm',
+  'filters.searchPlaceholder': 'Ví dụ: mì, xoài',
+  'filters.filter': 'Lọc',
+  'filters.all': 'Tất cả',
+  'filters.minPrice': 'Giá thấp nhất (SEK)',
+  'filters.maxPrice': 'Giá cao nhất (SEK)',
+  'filters.sort': 'Sắp xếp',
+  'category.snacks': 'Ăn vặt',
+  'category.food': 'Món chính',
+  'category.drinks': 'Đồ uống',
+  'sort.standard': 'Mặc định',
+  'sort.low': 'Giá thấp nhất',
+  'sort.high': 'Giá cao nhất',
+  'sort.name': 'Tên A-Z',
+  'sort.nameDesc': 'Tên Z-A',
+  'sort.popular': 'Phổ biến nhất',
+
+  // Product listing
+  'products.menu': 'Thực đơn',
+  'products.noMatches': 'Không có sản phẩm nào phù hợp với tìm kiếm của bạn.',
+  'products.clearFilters': 'Xóa bộ lọc',
+  'products.id': 'Sản phẩm: {id}',
+  'products.price': 'Giá: {price}',
+  'products.buy': 'Mua',
+  'products.buyLabel': 'Mua {name}',
+  'products.quantityLabel': 'Số lượng {name}',
+  'products.decreaseLabel': 'Giảm số lượng {name}',
+  'products.increaseLabel': 'Tăng số lượng {name}',
+  'products.addedToCart': 'Đã thêm vào giỏ hàng!',
+  'stock.soldOut': 'Hết hàng',
+  'stock.onlyLeft': 'Chỉ còn {count}',
+  'stock.soldOutInCart': '{name} đã hết hàng. Vui lòng xóa món này khỏi giỏ hàng.',
+  'stock.shortfall': 'Chỉ còn {available} {name}, nhưng giỏ hàng của bạn có {requested}. Vui lòng giảm số lượng.',
+  'options.unknownChoice': '{group}: lựa chọn "{choice}" không hợp lệ.',
+  'options.required': '{group}: vui lòng chọn một mục.',
+  'options.onlyOne': '{group}: chỉ được chọn một mục.',
+
+  // Dietary information
+  'diet.title': 'Nhu cầu ăn uống',
+  'diet.vegetarian': 'Ăn chay',
+  'diet.vegan': 'Thuần chay',
+  'diet.glutenFree': 'Không gluten',
+  'diet.excludeAllergens': 'Loại trừ chất gây dị ứng',
+  'diet.without': 'không có {allergens}',
+  'diet.save': 'Ghi nhớ nhu cầu ăn uống của tôi',
+  'diet.saved': 'Nhu cầu ăn uống của bạn: {needs}. Giỏ hàng sẽ cảnh báo các sản phẩm không phù hợp.',
+  'diet.noneSaved': 'Chọn nhu cầu ăn uống ở trên và ghi nhớ để nhận cảnh báo trong giỏ hàng.',
+  'spice.filter': 'Độ cay',
+  'spice.any': 'Tất cả',
+  'spice.max.0': 'Không cay',
+  'spice.max.1': 'Tối đa ít cay',
+  'spice.max.2': 'Tối đa cay vừa',
+  'spice.max.3': 'Tối đa cay',
+  'spice.level.1': 'Ít cay',
+  'spice.level.2': 'Cay vừa',
+  'spice.level.3': 'Cay',
+  'allergen.gluten': 'Gluten',
+  'allergen.crustaceans': 'Giáp xác',
+  'allergen.eggs': 'Trứng',
+  'allergen.fish': 'Cá',
+  'allergen.peanuts': 'Đậu phộng',
+  'allergen.soybeans': 'Đậu nành',
+  'allergen.milk': 'Sữa',
+  'allergen.nuts': 'Các loại hạt',
+  'allergen.celery': 'Cần tây',
+  'allergen.mustard': 'Mù tạt',
+  'allergen.sesame': 'Mè',
+  'allergen.sulphites': 'Sulfit',
+  'allergen.lupin': 'Đậu lupin',
+  'allergen.molluscs': 'Động vật thân mềm',
+  'allergen.contains': 'Chất gây dị ứng: {allergens}',
+  'allergen.none': 'Không có chất gây dị ứng',
+  'allergen.unknown': 'Hãy hỏi chúng tôi về chất gây dị ứng',
+  'cart.diet.warning': 'Kiểm tra nhu cầu ăn uống của bạn: {problems}',
+  'cart.diet.contains': 'có {allergens}',
+  'cart.diet.notSuitable': 'không phải {diets}',
+  'cart.diet.tooSpicy': 'cay hơn bạn muốn',
+
+  // Cart
+  'cart.title': 'Giỏ hàng',
+  'cart.empty': 'Giỏ hàng của bạn đang trống.',
+  'cart.quantity': '{count} phần',
+  'cart.decreaseLabel': 'Giảm số lượng {name}',
+  'cart.increaseLabel': 'Tăng số lượng {name}',
+  'cart.removeLabel': 'Xóa {name} khỏi giỏ hàng',
+  'cart.announce.line': '{name}, {count} trong giỏ hàng, tổng cộng {total}',
+  'cart.announce.removed': 'Đã xóa {name} khỏi giỏ hàng, tổng cộng {total}.',
+  'cart.total': 'Tổng cộng gồm phí vận chuyển:',
+  'cart.currencyNote':
+    'Giá bằng {currency} chỉ là ước tính, quy đổi theo tỷ giá ngày {date}. Bạn thanh toán bằng krona Thụy Điển: {amount}.',
+  'cart.freight': 'Phí vận chuyển: {amount}',
+  'cart.freightZone': 'Phí vận chuyển ({zone}): {amount}',
+  'cart.freightZoneFreeFrom': 'Phí vận chuyển ({zone}): {amount}, miễn phí từ {freeFrom}',
+  'cart.freeFreightZone': 'Phí vận chuyển ({zone}): Miễn phí!',
+  'cart.freightPending': 'Phí vận chuyển: tính theo mã bưu chính của bạn khi thanh toán',
+  'cart.pickup': 'Nhận tại cửa hàng: không tốn phí vận chuyển',
+  'cart.outsideDeliveryRange':
+    'Chúng tôi không giao hàng đến mã bưu chính của bạn. Hãy chọn nhận tại cửa hàng hoặc địa chỉ khác.',
+  'cart.removeCode': 'Bỏ mã',
+  'cart.checkout': 'Thanh toán',
+  'cart.couponApplied': 'Mã khuyến mãi {code} - {label} ({amount})',
+  'cart.couponNotApplied': 'Mã khuyến mãi {code} không được áp dụng: {message}',
+  'cart.removedItems.other': '{count} món đã lưu không còn trong thực đơn và đã bị xóa khỏi giỏ hàng.',
+  'cart.priceChanged': 'Giá của {name} đã thay đổi từ {oldPrice} thành {newPrice}.',
+  'summary.freight': 'Phí vận chuyển',
+  'summary.freeShipping': 'Miễn phí vận chuyển',
+  'summary.pickup': 'Nhận tại cửa hàng',
+
+  // VAT
+  'vat.net': 'Tiền trước thuế',
+  'vat.rate': 'VAT {rate}%',
+  'vat.gross': 'Tổng cộng gồm VAT',
+  'vat.pricesInclude': 'Tất cả giá đã bao gồm VAT.',
+  'vat.pricesExclude': 'Giá chưa bao gồm VAT, VAT được cộng vào tổng tiền.',
+
+  // Promo codes
+  'promo.label': 'Mã khuyến mãi',
+  'promo.apply': 'Áp dụng',
+  'coupon.empty': 'Vui lòng nhập mã khuyến mãi.',
+  'coupon.unknown': 'Mã "{code}" không tồn tại. Vui lòng kiểm tra lại.',
+  'coupon.notYetValid': 'Mã {code} có thể dùng từ {date}.',
+  'coupon.expired': 'Mã {code} đã hết hạn vào {date}.',
+  'coupon.usageLimit': 'Mã {code} đã được sử dụng và không thể dùng lại.',
+  'coupon.minOrder': 'Mã {code} chỉ áp dụng cho đơn hàng từ {amount}.',
+  'coupon.noMatchingItems': 'Mã {code} chỉ áp dụng cho {scope}, nhưng giỏ hàng của bạn không có.',
+  'coupon.selectedProducts': 'một số sản phẩm',
+  'coupon.notCombinable': 'Mã {code} không thể dùng chung với {discounts}.',
+
+  // Session timeout
+  'session.timedOut': 'Phiên của bạn đã hết hạn do không hoạt động. Đơn hàng của bạn đã bị xóa!',
+  'session.warningTitle': 'Bạn vẫn còn đó chứ?',
+  'session.warningText': 'Đơn hàng của bạn sẽ bị xóa do không hoạt động sau',
+  'session.keepOrder': 'Giữ đơn hàng',
+
+  // Checkout steps
+  'checkout.progress': 'Các bước thanh toán',
+  'checkout.title': 'Thanh toán - {step}',
+  'checkout.step.cart': 'Giỏ hàng',
+  'checkout.step.customer': 'Thông tin của bạn',
+  'checkout.step.paymentMethod': 'Phương thức thanh toán',
+  'checkout.step.paymentDetails': 'Chi tiết thanh toán',
+  'checkout.step.review': 'Xem lại',
+  'checkout.step.confirmation': 'Xác nhận',
+  'checkout.cartTitle': 'Xem lại giỏ hàng',
+  'checkout.cartText': 'Kiểm tra các món, lựa chọn và số lượng trong giỏ hàng. Bạn vẫn có thể thay đổi tại đây.',
+  'checkout.cartContinue': 'Tiếp tục nhập thông tin',
+  'checkout.backToCart': 'Quay lại giỏ hàng',
+  'checkout.customerTitle': 'Thông tin khách hàng',
+  'checkout.customerContinue': 'Tiếp tục thanh toán',
+  'checkout.backToCustomer': 'Quay lại thông tin của bạn',
+  'checkout.paymentMethodTitle': 'Phương thức thanh toán',
+  'checkout.paymentMethodContinue': 'Tiếp tục nhập chi tiết thanh toán',
+  'checkout.backToPaymentMethod': 'Quay lại phương thức thanh toán',
+  'checkout.continueToReview': 'Tiếp tục xem lại',
+  'checkout.backToPaymentDetails': 'Quay lại chi tiết thanh toán',
+  'checkout.reviewTitle': 'Xem lại đơn hàng',
+  'checkout.placeOrder': 'Đặt hàng',
+  'customer.firstname': 'Tên',
+  'customer.lastname': 'Họ',
+  'customer.address': 'Địa chỉ',
+  'customer.zipcode': 'Mã bưu chính',
+  'customer.city': 'Thành phố',
+  'customer.email': 'Email',
+  'customer.phone': 'Số điện thoại',
+
+  // Delivery
+  'delivery.title': 'Giao hàng',
+  'delivery.home': 'Giao tận nhà',
+  'delivery.pickup': 'Nhận tại cửa hàng (không tốn phí vận chuyển)',
+  'delivery.pickupAt': 'Nhận đơn hàng tại:',
+
+  // Time slots & opening hours
+  'slot.label': 'Thời gian nhận hoặc giao hàng',
+  'slot.choose': 'Chọn thời gian',
+  'slot.full': '{time} (đã đầy)',
+  'slot.hours': '{from}–{to}',
+  'slot.time': '{day}, {hours}',
+  'slot.pickupTime': 'Nhận hàng: {time}',
+  'slot.deliveryTime': 'Giao hàng: {time}',
+  'hours.title': 'Giờ mở cửa:',
+  'hours.closed': 'Đóng cửa',
+  'hours.closedNow': 'Hiện tại chúng tôi đang đóng cửa. Thời gian sớm nhất bạn có thể đặt là {time}.',
+  'hours.noSlots': 'Tất cả các khung giờ trong tuần tới đã kín chỗ. Vui lòng thử lại sau.',
+
+  // Payment
+  'payment.card': 'Thẻ',
+  'payment.invoice': 'Hóa đơn',
+  'payment.invoiceLimit': 'Thanh toán bằng hóa đơn chỉ dành cho đơn hàng dưới {limit}. Vui lòng thanh toán bằng thẻ.',
+  'card.title': '💳 Thanh toán bằng thẻ',
+  'card.subtitle': 'Nhập thông tin thanh toán một cách an toàn',
+  'card.name': 'Tên chủ thẻ',
+  'card.email': 'Địa chỉ email',
+  'card.number': 'Số thẻ',
+  'card.expiry': 'Ngày hết hạn',
+  'card.cvv': 'CVV',
+  'card.secured': 'Được bảo mật bằng mã hóa SSL 256-bit',
+  'card.numberRequired': 'Vui lòng nhập số thẻ.',
+  'card.unsupported': 'Chúng tôi chấp nhận Visa, Mastercard và American Express. Vui lòng kiểm tra số thẻ.',
+  'card.length': 'Số thẻ {brand} có {lengths} chữ số.',
+  'card.checksum': 'Số thẻ không hợp lệ. Vui lòng kiểm tra lỗi nhập.',
+  'expiry.format': 'Vui lòng nhập ngày hết hạn theo dạng MM/YY.',
+  'expiry.month': 'Tháng hết hạn phải từ 01 đến 12.',
+  'expiry.expired': 'Thẻ đã hết hạn.',
+  'expiry.tooFar': 'Ngày hết hạn quá xa trong tương lai. Vui lòng kiểm tra năm.',
+  'cvv.required': 'Vui lòng nhập mã bảo mật (CVV).',
+  'cvv.length': 'Mã bảo mật gồm {lengths} chữ số, {where}.',
+  'cvv.onFront': 'ở mặt trước của thẻ',
+  'cvv.onBack': 'ở mặt sau của thẻ',
+  'cvv.onCard': 'được in trên thẻ',
+  'cvv.hintAny': '3-4 chữ số ở mặt sau',
+  'cvv.hintFront': '4 chữ số ở mặt trước',
+  'cvv.hintBack': '3 chữ số ở mặt sau',
+  'invoice.title': '📄 Thanh toán bằng hóa đơn',
+  'invoice.subtitle': 'Điền thông tin thanh toán hóa đơn',
+  'invoice.companyName': 'Tên công ty',
+  'invoice.firstName': 'Tên',
+  'invoice.lastName': 'Họ',
+  'invoice.email': 'Địa chỉ email',
+  'invoice.phone': 'Số điện thoại',
+  'invoice.address': 'Địa chỉ thanh toán',
+  'invoice.city': 'Thành phố',
+  'invoice.zipCode': 'Mã bưu chính',
+  'invoice.state': 'Bang / Tỉnh',
+  'invoice.country': 'Quốc gia',
+  'invoice.selectCountry': 'Chọn quốc gia',
+  'invoice.taxId': 'Mã số thuế / VAT',
+  'invoice.taxIdInfo': 'Mã số thuế của công ty bạn',
+  'invoice.poNumber': 'Số đơn đặt hàng',
+  'invoice.poNumberHint': 'Số tham chiếu tùy chọn cho hồ sơ của bạn',
+  'invoice.notes': 'Ghi chú thêm',
+  'invoice.notesPlaceholder': 'Thêm hướng dẫn hoặc ghi chú đặc biệt...',
+  'invoice.termsBefore': 'Tôi đồng ý với',
+  'invoice.termsLink': 'điều khoản và điều kiện',
+  'invoice.termsAfter': 'và xác nhận rằng thông tin đã cung cấp là chính xác.',
+  'country.US': 'Hoa Kỳ',
+  'country.CA': 'Canada',
+  'country.GB': 'Vương quốc Anh',
+  'country.AU': 'Úc',
+  'country.DE': 'Đức',
+  'country.FR': 'Pháp',
+  'country.IT': 'Ý',
+  'country.ES': 'Tây Ban Nha',
+  'country.NL': 'Hà Lan',
+  'country.SE': 'Thụy Điển',
+  'postalCode.required': 'Vui lòng nhập mã bưu chính.',
+  'postalCode.format': '{label} ở {country} có dạng {example}.',
+  'phone.format': 'Vui lòng nhập số điện thoại của {country}, ví dụ {example}.',
+  'state.required': 'Vui lòng nhập {label}.',
+  'state.code': 'Vui lòng dùng chữ viết tắt của {label}, ví dụ {example}.',
+  'state.format': 'Vui lòng nhập {label}, ví dụ {example}.',
+  'taxId.otherCountry': 'Mã số VAT này thuộc một nước EU khác. Mã số VAT của {country} bắt đầu bằng {prefix}.',
+  'taxId.checksum': '{label} không hợp lệ - chữ số kiểm tra không khớp. Vui lòng kiểm tra lỗi nhập.',
+  'taxId.format': '{label} của {country} có dạng {example}.',
+
+  // Form validation
+  'validation.required': 'Vui lòng điền trường này.',
+  'validation.pattern': 'Vui lòng kiểm tra định dạng.',
+  'validation.invalid': 'Vui lòng kiểm tra trường này.',
+  'validation.firstName.pattern':
+    'Tên phải có ít nhất 2 ký tự và chỉ gồm chữ cái, dấu chấm (.) hoặc dấu gạch ngang (-). Không được có hai dấu chấm hoặc gạch ngang liên tiếp.',
+  'validation.lastName.pattern':
+    "Họ phải có ít nhất 2 ký tự và chỉ gồm chữ cái, dấu chấm (.), dấu gạch ngang (-) hoặc dấu nháy ('). Không được có hai ký tự đặc biệt liên tiếp.",
+  'validation.address.pattern': "Địa chỉ phải gồm tên đường và số nhà (ví dụ 'Storgatan 10' hoặc 'Drottninggatan 5A').",
+  'validation.zipcode.pattern': "Mã bưu chính phải gồm 5 chữ số (ví dụ '12345' hoặc '123 45').",
+  'validation.timeSlot.required': 'Hãy chọn thời gian bạn muốn nhận đơn hàng.',
+  'validation.timeSlot.unavailable': 'Không thể đặt thời gian này nữa. Vui lòng chọn thời gian khác.',
+  'validation.zipcode.outsideRange':
+    'Chúng tôi không giao hàng đến mã bưu chính này. Hãy chọn nhận tại cửa hàng hoặc địa chỉ khác.',
+  'validation.city.pattern': 'Tên thành phố phải có ít nhất 2 ký tự và chỉ gồm chữ cái, dấu cách hoặc dấu gạch ngang.',
+  'validation.email.pattern': "Vui lòng nhập địa chỉ email hợp lệ (ví dụ 'ten@example.com').",
+  'validation.phone.pattern':
+    "Số điện thoại phải là số Thụy Điển hợp lệ (ví dụ '070-123 45 67' hoặc '+46 70 123 45 67').",
+  'validation.cardName.invalid': 'Vui lòng nhập tên in trên thẻ.',
+  'validation.invoiceFirstName.invalid': 'Vui lòng nhập tên có ít nhất 2 chữ cái.',
+  'validation.invoiceLastName.invalid': 'Vui lòng nhập họ có ít nhất 2 chữ cái.',
+  'validation.agreeTerms.required': 'Vui lòng đồng ý với điều khoản và điều kiện.',
+
+  // Placing the order
+  'order.sending': 'Đang gửi đơn hàng...',
+  'order.unavailable': 'Một số món không còn đủ số lượng bạn đặt. Xem giỏ hàng để biết chi tiết.',
+  'order.cartEmpty': 'Giỏ hàng của bạn đang trống. Hãy chọn món từ thực đơn trước.',
+  'order.choosePayment': 'Vui lòng chọn phương thức thanh toán.',
+  'order.error.timeout': 'Dịch vụ đặt hàng không phản hồi kịp. Vui lòng thử lại.',
+  'order.error.network': 'Không thể kết nối đến dịch vụ đặt hàng. Vui lòng kiểm tra kết nối và thử lại.',
+  'order.error.rejected': 'Đơn hàng của bạn không được chấp nhận: {reason}',
+  'order.error.server': 'Đã có lỗi từ phía chúng tôi. Đơn hàng chưa được đặt - vui lòng thử lại sau ít phút.',
+  'review.items': 'Các món',
+  'review.subtotal': 'Tạm tính',
+  'review.promoCode': 'Mã khuyến mãi {code}',
+  'review.freight': 'Phí vận chuyển',
+  'review.freeShipping': 'Miễn phí vận chuyển',
+  'review.pickup': 'Nhận tại cửa hàng',
+  'review.pickupAt': 'Nhận tại {address}',
+  'review.total': 'Tổng cộng',
+  'review.charged': 'Thanh toán bằng SEK',
+  'review.delivery': 'Giao hàng',
+  'review.payment': 'Thanh toán',
+  'review.cardEnding': 'Thẻ có số cuối {last4} ({name})',
+  'review.invoiceTo': 'Hóa đơn gửi đến {company}, {email}',
+  'confirmation.title': 'Cảm ơn bạn đã đặt hàng!',
+  'confirmation.pageTitle': 'Xác nhận đơn hàng',
+  'confirmation.orderNumber': 'Mã đơn hàng của bạn là {orderNumber}. Vui lòng lưu lại để tra cứu.',
+
+  // Order history
+  'history.title': 'Lịch sử đơn hàng',
+  'history.orderTitle': 'Đơn hàng {orderNumber}',
+  'history.loading': 'Đang tải đơn hàng của bạn...',
+  'history.empty': 'Bạn chưa đặt đơn hàng nào.',
+  'history.unavailable': 'Lịch sử đơn hàng không khả dụng trên trình duyệt này.',
+  'history.notFound': 'Đơn hàng này không có trong lịch sử đơn hàng của bạn.',
+  'history.itemCount.other': '{count} món',
+  'history.placedAt': 'Đặt lúc {date}',
+  'history.reorder': 'Đặt lại',
+  'history.reorderNote': 'Đặt lại sẽ thêm các món vào giỏ hàng theo giá hôm nay.',
+  'history.backToList': 'Quay lại lịch sử đơn hàng',
+  'history.removed': 'Không còn trong thực đơn',
+  'history.priceChanged': 'Giá hiện tại {price} (trước đây {oldPrice})',
+  'history.removedItems.other': '{count} món trong đơn hàng trước không còn trong thực đơn và không được thêm vào.',
+  'history.limitedStock': 'Chỉ thêm được {available} {name}, phần còn lại đã bán hết hôm nay.',
+
+  // Receipts & invoices
+  'document.pageTitle': 'Biên nhận hoặc hóa đơn',
+  'document.receipt': 'Biên nhận',
+  'document.invoice': 'Hóa đơn',
+  'document.print': 'In',
+  'document.downloadJson': 'Tải xuống JSON',
+  'document.downloadCsv': 'Tải xuống CSV',
+  'document.loading': 'Đang tải đơn hàng...',
+  'document.notFound': 'Không tìm thấy đơn hàng này.',
+  'document.orderNumber': 'Mã đơn hàng',
+  'document.orderDate': 'Ngày đặt hàng',
+  'document.pickupTime': 'Thời gian nhận hàng',
+  'document.deliveryTime': 'Thời gian giao hàng',
+  'document.dueDate': 'Hạn thanh toán',
+  'document.poNumber': 'Số đơn đặt hàng',
+  'document.buyerTaxId': 'Mã số thuế của bạn',
+  'document.customer': 'Khách hàng',
+  'document.billTo': 'Xuất hóa đơn cho',
+  'document.deliverTo': 'Giao hàng đến',
+  'document.item': 'Món',
+  'document.quantity': 'SL',
+  'document.unitPrice': 'Đơn giá',
+  'document.amount': 'Thành tiền',
+  'document.discountIncluded': 'Đã gồm giảm giá: {amount}',
+  'document.surchargeIncluded': 'Đã gồm phụ thu: {amount}',
+  'document.vat': 'VAT',
+  'document.vatRate': 'Thuế suất VAT',
+  'document.net': 'Trước thuế',
+  'document.gross': 'Sau thuế',
+  'document.paidByCard': 'Đã thanh toán bằng thẻ {brand} có số cuối {last4}.',
+  'document.payInvoice': 'Vui lòng thanh toán {amount} trước ngày {dueDate}. Mã tham chiếu: {reference}.',
+
+  // Catalog admin
+  'admin.title': 'Quản lý danh mục',
+  'admin.passcode': 'Mã nhân viên',
+  'admin.unlock': 'Mở khóa',
+  'admin.lock': 'Khóa',
+  'admin.notConfigured': 'Chức năng quản lý danh mục chưa được thiết lập cho cửa hàng này.',
+  'admin.wrongPasscode': 'Sai mã.',
+  'admin.newProduct': 'Sản phẩm mới',
+  'admin.exportJson': 'Xuất JSON',
+  'admin.exportCsv': 'Xuất CSV',
+  'admin.import': 'Nhập JSON hoặc CSV',
+  'admin.reset': 'Khôi phục danh mục mặc định',
+  'admin.products': 'Sản phẩm',
+  'admin.status': 'Trạng thái',
+  'admin.actions': 'Thao tác',
+  'admin.edit': 'Sửa',
+  'admin.archive': 'Lưu trữ',
+  'admin.restore': 'Khôi phục',
+  'admin.onMenu': 'Đang bán',
+  'admin.unavailable': 'Hôm nay không có',
+  'admin.archived': 'Đã lưu trữ',
+  'admin.stock': 'Số lượng hôm nay: {count}',
+  'admin.newTitle': 'Sản phẩm mới',
+  'admin.editTitle': 'Sửa {name}',
+  'admin.save': 'Lưu sản phẩm',
+  'admin.cancel': 'Hủy',
+  'admin.yes': 'Có',
+  'admin.no': 'Không',
+  'admin.field.id': 'Mã',
+  'admin.field.name': 'Tên',
+  'admin.field.description': 'Mô tả',
+  'admin.field.price': 'Giá (SEK)',
+  'admin.field.category': 'Danh mục',
+  'admin.field.vatClass': 'Loại thuế VAT',
+  'admin.field.imgSrc': 'Hình ảnh',
+  'admin.field.imgAlt': 'Văn bản thay thế',
+  'admin.field.imgWidth': 'Chiều rộng ảnh (px)',
+  'admin.field.imgHeight': 'Chiều cao ảnh (px)',
+  'admin.field.popularity': 'Độ phổ biến (số đơn trong 30 ngày qua)',
+  'admin.field.stock': 'Số lượng hôm nay (để trống nếu không giới hạn)',
+  'admin.field.allergens': 'Chất gây dị ứng (để trống nếu chưa biết)',
+  'admin.field.dietary': 'Chế độ ăn',
+  'admin.field.spiceLevel': 'Độ cay (0-3)',
+  'admin.field.available': 'Có bán hôm nay',
+  'admin.field.archived': 'Đã lưu trữ (ẩn khỏi thực đơn)',
+  'admin.field.translations': 'Bản dịch',
+  'admin.field.options': 'Tùy chọn',
+  'admin.vatClass.food': 'Thực phẩm (12%)',
+  'admin.vatClass.standard': 'Hàng hóa khác (25%)',
+  'admin.added': 'Đã thêm {name}.',
+  'admin.saved': 'Đã lưu {name}.',
+  'admin.archivedProduct': 'Đã lưu trữ {name}, sản phẩm không còn trên thực đơn.',
+  'admin.restoredProduct': '{name} đã trở lại thực đơn.',
+  'admin.imported': 'Danh mục đã được cập nhật từ {file}.',
+  'admin.resetDone': 'Danh mục mặc định đã được khôi phục.',
+  'admin.notSaved': 'Danh mục chưa được lưu.',
+  'admin.preview.title': 'Thay đổi trong {file}',
+  'admin.preview.resetTitle': 'Thay đổi khi khôi phục danh mục mặc định',
+  'admin.preview.invalid': 'Không thể nhập {file}:',
+  'admin.preview.summary': 'Mới: {added}, đã xóa: {removed}, đã thay đổi: {changed}',
+  'admin.preview.noChanges': 'Không có gì thay đổi.',
+  'admin.preview.added': 'Mới: {product}',
+  'admin.preview.removed': 'Đã xóa: {product}',
+  'admin.preview.changed': 'Đã thay đổi: {product} - {changes}',
+  'admin.preview.removedNote':
+    'Sản phẩm bị xóa sẽ biến mất khỏi thực đơn và khỏi giỏ hàng đã lưu. Hãy lưu trữ sản phẩm nếu muốn giữ nó trong danh mục.',
+  'admin.preview.row': 'Sản phẩm {row} (mã {id})',
+  'admin.preview.apply': 'Áp dụng thay đổi',
+  'admin.error.product': 'Đây không phải là sản phẩm.',
+  'admin.error.id': 'Vui lòng nhập số nguyên lớn hơn 0.',
+  'admin.error.idTaken': 'Mã {id} đã được dùng cho sản phẩm khác.',
+  'admin.error.alt': 'Hãy mô tả hình ảnh cho khách hàng không nhìn thấy được.',
+  'admin.error.html': 'Không được chứa <, > hoặc ".',
+  'admin.error.price': 'Vui lòng nhập giá lớn hơn 0.',
+  'admin.error.category': 'Chọn một trong các danh mục: {categories}.',
+  'admin.error.vatClass': 'Chọn một trong các loại thuế VAT: {classes}.',
+  'admin.error.imgSrc': 'Nhập đường dẫn như ./images/ten.webp hoặc địa chỉ http(s).',
+  'admin.error.size': 'Nhập kích thước bằng pixel, số nguyên lớn hơn 0.',
+  'admin.error.count': 'Vui lòng nhập số nguyên từ 0 trở lên.',
+  'admin.error.ids': 'Hãy dùng các mã sau, cách nhau bằng dấu cách: {ids}.',
+  'admin.error.spiceLevel': 'Vui lòng nhập số nguyên từ 0 đến {max}.',
+  'admin.error.translations': 'Mỗi bản dịch phải là văn bản không chứa <, > hoặc ".',
+  'admin.error.options':
+    'Mỗi nhóm tùy chọn và lựa chọn cần có mã (chữ cái, chữ số, - và _) và nhãn không chứa <, > hoặc ", mỗi nhóm cần ít nhất một lựa chọn. Độ cay từ 0 đến {max}.',
+  'admin.error.notAList': 'Tệp không có danh sách sản phẩm.',
+  'admin.error.empty': 'Danh mục cần có ít nhất một sản phẩm.',
+  'admin.error.json': 'Tệp không phải JSON hợp lệ.',
+  'admin.error.csvColumns': 'Tệp CSV thiếu các cột {columns}.',
+  'admin.error.file': 'Không thể đọc tệp.',
+
+  // Footer
+  'footer.visitUs': 'Ghé thăm chúng tôi tại:',
+  'footer.questions': 'Nếu bạn có câu hỏi về sản phẩm, vui lòng liên hệ với chúng tôi.',
+  'footer.emailUs': 'Liên hệ qua email',
+  'footer.staff': 'Nhân viên',
+};
+
+const messages = { en, sv, vi };
+
+export { messages };
@@ -0,0 +1,169 @@
+/**
+ * ==========================================
+ * OPENING HOURS
+ * ==========================================
+ * When the shop is open, and the time slots an order can be picked up or delivered in.
+ * - weeklyHours: Opening hours per weekday (0 = Sunday ... 6 = Saturday) as [{ from: 'HH:MM', to: 'HH:MM' }].
+ *   An empty list means closed all day
+ * - exceptionDays: Days that differ from the week, e.g. holidays: { date: 'YYYY-MM-DD', hours, label, translations }.
+ *   hours: [] closes the shop for the day
+ * Slots are SLOT_MINUTES long, start at least LEAD_TIME_MINUTES after the order is placed and are offered
+ * BOOKING_DAYS ahead. A slot takes SLOT_CAPACITY orders (see timeSlotRules.mjs). The order service has the final
+ * say, the bookings counted here are the orders placed from this browser.
+ * - getOpeningHours(date): { hours, exception } of the day of the date
+ * - isOpen(date): true when the shop is open at that moment
+ * - listTimeSlots(now, bookings): The slots that can still be chosen: [{ id, start, end, booked, available }].
+ *   id is the start as an ISO string, available is false when the slot is full
+ * - findTimeSlot(id, now): The slot with the id when it can still be booked, otherwise null
+ * - findFirstFreeSlot(now): The earliest slot that is not full, or null
+ * - recordSlotBooking(id): Counts one order in a slot, called when the order is placed
+ * - formatSlotDay(date) / formatTimeSlot(slot, withDay): A day and a slot as text in the active language,
+ *   e.g. "Monday 20 October" and "Monday 20 October, 12:00–12:30" (slots of placed orders have ISO strings)
+ * =========================================
+ */
+
+import { t, formatDate } from './i18n.mjs';
+import { SLOT_MINUTES, SLOT_CAPACITY, LEAD_TIME_MINUTES, BOOKING_DAYS } from './timeSlotRules.mjs';
+
+const BOOKINGS_STORAGE_KEY = 'alexGoodies.slotBookings';
+
+const weeklyHours = [
+  [{ from: '11:00', to: '16:00' }], // Sunday
+  [{ from: '08:00', to: '20:00' }],
+  [{ from: '08:00', to: '20:00' }],
+  [{ from: '08:00', to: '20:00' }],
+  [{ from: '08:00', to: '20:00' }],
+  [{ from: '08:00', to: '21:00' }], // Friday
+  [{ from: '10:00', to: '21:00' }], // Saturday
+];
+
+const exceptionDays = [
+  {
+    date: '2026-12-24',
+    hours: [],
+    label: 'Christmas Eve',
+    translations: { sv: { label: 'Julafton' }, vi: { label: 'Đêm Giáng sinh' } },
+  },
+  {
+    date: '2026-12-25',
+    hours: [],
+    label: 'Christmas Day',
+    translations: { sv: { label: 'Juldagen' }, vi: { label: 'Lễ Giáng sinh' } },
+  },
+  {
+    date: '2026-12-31',
+    hours: [{ from: '10:00', to: '15:00' }],
+    label: "New Year's Eve",
+    translations: { sv: { label: 'Nyårsafton' }, vi: { label: 'Đêm giao thừa' } },
+  },
+  {
+    date: '2027-01-01',
+    hours: [],
+    label: "New Year's Day",
+    translations: { sv: { label: 'Nyårsdagen' }, vi: { label: 'Tết Dương lịch' } },
+  },
+];
+
+// Converts 'HH:MM' to minutes since midnight
+function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Formats a date as YYYY-MM-DD in local time
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+// The moment the given minutes after midnight on the day of the date
+function atMinutes(date, minutes) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, minutes);
+}
+
+function getOpeningHours(date) {
+  const exception = exceptionDays.find(day => day.date === toDateString(date)) || null;
+  return { hours: exception ? exception.hours : weeklyHours[date.getDay()], exception };
+}
+
+function isOpen(date) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return getOpeningHours(date).hours.some(({ from, to }) => minutes >= parseTime(from) && minutes < parseTime(to));
+}
+
+// Reads how many orders this browser has placed in each slot
+function getSlotBookings() {
+  try {
+    return JSON.parse(window.localStorage.getItem(BOOKINGS_STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+// Counts one order in a slot. Slots that have passed are dropped
+function recordSlotBooking(id, now = new Date()) {
+  const bookings = Object.fromEntries(Object.entries(getSlotBookings()).filter(([slotId]) => new Date(slotId) >= now));
+  bookings[id] = (bookings[id] || 0) + 1;
+  try {
+    window.localStorage.setItem(BOOKINGS_STORAGE_KEY, JSON.stringify(bookings));
+  } catch {
+    // Without storage the capacity is only checked by the order service
+  }
+}
+
+function listTimeSlots(now = new Date(), bookings = getSlotBookings()) {
+  const earliest = now.getTime() + LEAD_TIME_MINUTES * 60 * 1000;
+  const slots = [];
+  for (let dayOffset = 0; dayOffset < BOOKING_DAYS; dayOffset += 1) {
+    const day = new Date(now.getFullYear(), now.getMonth(), now.getDate() + dayOffset);
+    getOpeningHours(day).hours.forEach(({ from, to }) => {
+      for (let minutes = parseTime(from); minutes + SLOT_MINUTES <= parseTime(to); minutes += SLOT_MINUTES) {
+        const start = atMinutes(day, minutes);
+        if (start.getTime() < earliest) continue;
+        const id = start.toISOString();
+        const booked = bookings[id] || 0;
+        slots.push({
+          id,
+          start,
+          end: atMinutes(day, minutes + SLOT_MINUTES),
+          booked,
+          available: booked < SLOT_CAPACITY,
+        });
+      }
+    });
+  }
+  return slots;
+}
+
+function findTimeSlot(id, now = new Date()) {
+  if (!id) return null;
+  return listTimeSlots(now).find(slot => slot.id === id && slot.available) || null;
+}
+
+function findFirstFreeSlot(now = new Date()) {
+  return listTimeSlots(now).find(slot => slot.available) || null;
+}
+
+function formatSlotDay(date) {
+  return formatDate(new Date(date), { weekday: 'long', day: 'numeric', month: 'long' });
+}
+
+function formatTimeSlot({ start, end }, withDay = true) {
+  const time = date => formatDate(new Date(date), { hour: '2-digit', minute: '2-digit' });
+  const hours = t('slot.hours', { from: time(start), to: time(end) });
+  return withDay ? t('slot.time', { day: formatSlotDay(start), hours }) : hours;
+}
+
+export {
+  weeklyHours,
+  exceptionDays,
+  getOpeningHours,
+  isOpen,
+  listTimeSlots,
+  findTimeSlot,
+  findFirstFreeSlot,
+  recordSlotBooking,
+  formatSlotDay,
+  formatTimeSlot,
+};
@@ -0,0 +1,160 @@
+/**
+ * ==========================================
+ * ORDER API
+ * ==========================================
+ * Builds the order payload and sends it to the order service.
+ * - buildOrderPayload({ customer, summary, payment, timeSlot }): Complete order with computed prices, and how and
+ *   when it is delivered (delivery: { method: 'delivery' or 'pickup', zone: id of the delivery zone },
+ *   timeSlot: { start, end } as ISO strings, see openingHours.mjs)
+ * - submitOrder(payload, options): POSTs the order with an Idempotency-Key header, a timeout per attempt
+ *   and retries for network errors, timeouts and 5xx/429 answers. Resolves with { orderId, ... }
+ * - fetchOrder(orderId): Reads a placed order back for the confirmation view
+ * Failures are thrown as Errors with `kind` set to 'network', 'timeout', 'rejected' or 'server',
+ * so the checkout can show the right message.
+ * The endpoint is configured with VITE_ORDER_API_URL and defaults to the local mock service (/api/orders).
+ * =========================================
+ */
+
+const ORDER_API_URL = import.meta.env?.VITE_ORDER_API_URL || '/api/orders';
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY_MS = 800;
+
+// Creates an Error carrying what went wrong, so the UI can pick the message
+function createOrderError(kind, message, status = null) {
+  const error = new Error(message);
+  error.kind = kind;
+  error.status = status;
+  return error;
+}
+
+// Creates a key that identifies one checkout attempt, so a retried request never creates a second order
+function createIdempotencyKey() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Builds the complete order from the customer details, the cart summary and the payment details
+function buildOrderPayload({ customer, summary, payment, timeSlot = null }) {
+  return {
+    customer,
+    lines: summary.lines.map(line => ({
+      productId: line.product.id,
+      name: line.product.name,
+      options: line.selection,
+      optionsLabel: line.optionsLabel,
+      quantity: line.quantity,
+      unitBasePrice: line.unitBasePrice,
+      unitPrice: line.unitPrice,
+      surcharge: line.surcharge,
+      discount: line.discount,
+      lineTotal: line.lineTotal,
+      vatRate: line.vatRate,
+    })),
+    totals: {
+      currency: 'SEK',
+      subtotal: summary.subtotal,
+      orderDiscounts: summary.orderDiscounts.map(({ ruleId, label, amount }) => ({ ruleId, label, amount })),
+      coupon:
+        summary.coupon && summary.coupon.valid ? { code: summary.coupon.code, amount: summary.coupon.amount } : null,
+      discountTotal: summary.discountTotal,
+      freight: summary.freight.amount,
+      vat: summary.vat,
+      total: summary.total,
+    },
+    delivery: { method: summary.freight.method, zone: summary.freight.zone?.id ?? null },
+    timeSlot: timeSlot && { start: timeSlot.start.toISOString(), end: timeSlot.end.toISOString() },
+    payment,
+    placedAt: new Date().toISOString(),
+  };
+}
+
+// Waits before the next retry
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Sends one request and aborts it when it takes longer than timeoutMs
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw createOrderError('timeout', 'The order service did not answer in time.');
+    }
+    throw createOrderError('network', 'Could not reach the order service. Please check your connection.');
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+// Reads the error message from a failed response, if the service sent one
+async function readErrorMessage(response) {
+  try {
+    const body = await response.json();
+    return body.message || body.error || '';
+  } catch {
+    return '';
+  }
+}
+
+// Checks if a failed attempt is worth retrying
+function isRetryable(error) {
+  return error.kind === 'network' || error.kind === 'timeout' || error.kind === 'server';
+}
+
+// POSTs the order, retrying temporary failures with the same idempotency key
+async function submitOrder(
+  payload,
+  { idempotencyKey = createIdempotencyKey(), timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}
+) {
+  let lastError = null;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      await wait(RETRY_DELAY_MS * attempt);
+    }
+    try {
+      const response = await fetchWithTimeout(
+        ORDER_API_URL,
+        {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey },
+          body: JSON.stringify(payload),
+        },
+        timeoutMs
+      );
+      if (response.ok) {
+        return await response.json();
+      }
+      const message = await readErrorMessage(response);
+      if (response.status >= 500 || response.status === 429) {
+        throw createOrderError('server', message || 'The order service is having problems.', response.status);
+      }
+      // 4xx answers mean the order itself was not accepted - retrying would give the same answer
+      throw createOrderError('rejected', message || 'The order was not accepted.', response.status);
+    } catch (error) {
+      lastError = error.kind ? error : createOrderError('network', error.message);
+      if (!isRetryable(lastError)) break;
+    }
+  }
+  throw lastError;
+}
+
+// Reads a placed order
+async function fetchOrder(orderId, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const response = await fetchWithTimeout(`${ORDER_API_URL}/${encodeURIComponent(orderId)}`, {}, timeoutMs);
+  if (!response.ok) {
+    throw createOrderError(
+      response.status >= 500 ? 'server' : 'rejected',
+      (await readErrorMessage(response)) || 'Order not found.',
+      response.status
+    );
+  }
+  return response.json();
+}
+
+export { buildOrderPayload, createIdempotencyKey, submitOrder, fetchOrder };
@@ -0,0 +1,345 @@
+/**
+ * ==========================================
+ * ORDER DOCUMENTS
+ * ==========================================
+ * Receipts and invoices for placed orders, and exports of an order for bookkeeping.
+ * Card orders get a receipt, invoice orders an invoice with a due date.
+ * - renderOrderDocument(order, seller): The receipt or invoice as HTML, laid out for printing (see _print.scss).
+ *   seller: { name, addressLines, email } - the shop as shown in the page footer
+ * - getDocumentType(order): 'invoice' or 'receipt'
+ * - getInvoiceDueDate(order): 'YYYY-MM-DD', INVOICE_DUE_DAYS after the order date
+ * - getVatBreakdown(order): Net amount, VAT per rate and gross total (see vat.mjs)
+ * - orderToJson(order, seller) / orderToCsv(order): The same order as a JSON or CSV file for bookkeeping
+ * - downloadFile(filename, content, type): Lets the browser save a generated file
+ * Amounts are shown in SEK, the currency the order was charged in. Entered details are escaped.
+ * =========================================
+ */
+
+import { t, localize, formatPrice, formatNumber, formatDate } from './i18n.mjs';
+import { BASE_CURRENCY } from './currency.mjs';
+import { cardBrands } from './cardValidation.mjs';
+import { getCountryRules } from './countryRules.mjs';
+import { vatClasses, DEFAULT_VAT_CLASS, vatSettings, calculateVatBreakdown } from './vat.mjs';
+import { toCsv } from './csv.mjs';
+import { deliveryZones } from './deliveryZones.mjs';
+import { formatTimeSlot } from './openingHours.mjs';
+import { escapeHtml } from './html.mjs';
+
+const INVOICE_DUE_DAYS = 30;
+
+// Amounts on documents are always in kronor
+function formatAmount(amount, options = {}) {
+  return formatPrice(amount, { currency: BASE_CURRENCY, ...options });
+}
+
+// The freight of an order: store pickup, or the amount with the delivery zone (orders placed before zones have none)
+function describeFreight(order) {
+  if (order.delivery?.method === 'pickup') return t('review.pickup');
+  const freight = order.totals.freight;
+  const amount = freight === 0 ? t('review.freeShipping') : formatAmount(freight);
+  const zone = deliveryZones.find(zone => zone.id === order.delivery?.zone);
+  return zone ? `${amount} (${escapeHtml(localize(zone, 'label'))})` : amount;
+}
+
+function getDocumentType(order) {
+  return order.payment?.method === 'invoice' ? 'invoice' : 'receipt';
+}
+
+// Formats a date as YYYY-MM-DD in local time
+function toDateString(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function getInvoiceDueDate(order) {
+  const dueDate = new Date(order.placedAt || Date.now());
+  dueDate.setDate(dueDate.getDate() + INVOICE_DUE_DAYS);
+  return toDateString(dueDate);
+}
+
+// The VAT rate of an order line. Orders placed before VAT classes only had food
+function getLineVatRate(line) {
+  return line.vatRate ?? vatClasses[DEFAULT_VAT_CLASS].rate;
+}
+
+// The VAT breakdown stored with the order, or worked out again for orders placed before it was stored
+// (prices included VAT then)
+function getVatBreakdown(order) {
+  const totals = order.totals;
+  if (totals.vat) return totals.vat;
+  return calculateVatBreakdown(
+    {
+      lines: order.lines.map(line => ({ rate: getLineVatRate(line), amount: line.lineTotal })),
+      adjustments: [
+        ...(totals.orderDiscounts || []).map(discount => discount.amount),
+        ...(totals.coupon ? [totals.coupon.amount] : []),
+      ],
+      freight: totals.freight,
+    },
+    { ...vatSettings, pricesIncludeVat: true }
+  );
+}
+
+// A VAT rate as a percentage for the active locale, e.g. "12 %" or "12%"
+function formatVatRate(rate) {
+  return formatNumber(rate / 100, { style: 'percent' });
+}
+
+// Lines of the buyer block, without empty ones
+function joinLines(lines) {
+  return lines
+    .filter(line => line && String(line).trim() !== '')
+    .map(escapeHtml)
+    .join('<br>');
+}
+
+// The customer the order is delivered to
+function describeCustomer(customer = {}) {
+  return joinLines([
+    `${customer.firstName || ''} ${customer.lastName || ''}`,
+    customer.address,
+    `${customer.zipcode || ''} ${customer.city || ''}`,
+    customer.email,
+    customer.phone,
+  ]);
+}
+
+// The company an invoice is addressed to
+function describeInvoiceBuyer(payment) {
+  const country = getCountryRules(payment.country);
+  return joinLines([
+    payment.companyName,
+    `${payment.firstName || ''} ${payment.lastName || ''}`,
+    payment.address,
+    `${payment.zipCode || ''} ${payment.invoiceCity || ''}${payment.state ? `, ${payment.state}` : ''}`,
+    country ? localize(country, 'name') : payment.country,
+    payment.invoiceEmail,
+    payment.phone,
+  ]);
+}
+
+// How the order was or is to be paid
+function describePayment(order, type) {
+  if (type === 'invoice') {
+    return t('document.payInvoice', {
+      amount: formatAmount(order.totals.total),
+      dueDate: formatDate(getInvoiceDueDate(order)),
+      reference: order.orderId,
+    });
+  }
+  const brand = cardBrands.find(brand => brand.id === order.payment?.brand);
+  return t('document.paidByCard', { brand: brand ? brand.name : t('payment.card'), last4: order.payment?.last4 || '' });
+}
+
+// Renders one order line, with the discount or surcharge it includes
+function renderLine(line) {
+  const notes = [];
+  if (line.discount > 0) notes.push(t('document.discountIncluded', { amount: formatAmount(-line.discount) }));
+  if (line.surcharge > 0) notes.push(t('document.surchargeIncluded', { amount: formatAmount(line.surcharge) }));
+  return `
+    <tr>
+      <td>
+        ${escapeHtml(line.name)}${line.optionsLabel ? ` (${escapeHtml(line.optionsLabel)})` : ''}
+        ${notes.map(note => `<span class="documentNote">${note}</span>`).join('')}
+      </td>
+      <td class="number">${escapeHtml(line.quantity)}</td>
+      <td class="number">${formatAmount(line.unitPrice)}</td>
+      <td class="number">${formatVatRate(getLineVatRate(line))}</td>
+      <td class="number">${formatAmount(line.lineTotal)}</td>
+    </tr>`;
+}
+
+// Renders the net amount, VAT and gross amount of one rate
+function renderVatRow(item) {
+  return `
+    <tr>
+      <td>${formatVatRate(item.rate)}</td>
+      <td class="number">${formatAmount(item.net)}</td>
+      <td class="number">${formatAmount(item.vat)}</td>
+      <td class="number">${formatAmount(item.gross)}</td>
+    </tr>`;
+}
+
+function renderOrderDocument(order, seller) {
+  const type = getDocumentType(order);
+  const totals = order.totals;
+  const vat = getVatBreakdown(order);
+  const placedAt = order.placedAt ? formatDate(new Date(order.placedAt)) : '';
+
+  const metaRows = [
+    [t('document.orderNumber'), escapeHtml(order.orderId)],
+    [t('document.orderDate'), placedAt],
+  ];
+  if (order.timeSlot) {
+    const label = order.delivery?.method === 'pickup' ? t('document.pickupTime') : t('document.deliveryTime');
+    metaRows.push([label, formatTimeSlot(order.timeSlot)]);
+  }
+  if (type === 'invoice') {
+    metaRows.push([t('document.dueDate'), formatDate(getInvoiceDueDate(order))]);
+    if (order.payment.poNumber) metaRows.push([t('document.poNumber'), escapeHtml(order.payment.poNumber)]);
+    if (order.payment.taxId) metaRows.push([t('document.buyerTaxId'), escapeHtml(order.payment.taxId)]);
+  }
+
+  const totalRows = [
+    [t('review.subtotal'), formatAmount(totals.subtotal)],
+    ...(totals.orderDiscounts || []).map(discount => [escapeHtml(discount.label), formatAmount(discount.amount)]),
+    ...(totals.coupon
+      ? [[t('review.promoCode', { code: escapeHtml(totals.coupon.code) }), formatAmount(totals.coupon.amount)]]
+      : []),
+    [t('review.freight'), describeFreight(order)],
+  ];
+
+  // An invoice goes to the company, the food to the customer
+  const customer = describeCustomer(order.customer);
+  let buyers = [[t('document.customer'), customer]];
+  if (type === 'invoice') {
+    const billTo = describeInvoiceBuyer(order.payment);
+    buyers = [
+      [t('document.billTo'), billTo],
+      [t('document.deliverTo'), customer],
+    ];
+  }
+
+  return `
+    <header class="documentHeader">
+      <div class="documentSeller">
+        <strong>${escapeHtml(seller.name)}</strong><br>
+        ${joinLines([...seller.addressLines, seller.email])}
+      </div>
+      <div class="documentMeta">
+        <h2>${t(`document.${type}`)}</h2>
+        <dl>${metaRows.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}</dl>
+      </div>
+    </header>
+    <div class="documentBuyers">
+      ${buyers.map(([title, details]) => `<section><h3>${title}</h3><p>${details}</p></section>`).join('')}
+    </div>
+    <table class="documentLines">
+      <thead>
+        <tr>
+          <th scope="col">${t('document.item')}</th>
+          <th scope="col" class="number">${t('document.quantity')}</th>
+          <th scope="col" class="number">${t('document.unitPrice')}</th>
+          <th scope="col" class="number">${t('document.vat')}</th>
+          <th scope="col" class="number">${t('document.amount')}</th>
+        </tr>
+      </thead>
+      <tbody>${order.lines.map(renderLine).join('')}</tbody>
+    </table>
+    <dl class="documentTotals">
+      ${totalRows.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+      <div class="documentTotal"><dt>${t('review.total')}</dt><dd>${formatAmount(totals.total)}</dd></div>
+    </dl>
+    <table class="documentVat">
+      <caption>${t(vat.pricesIncludeVat ? 'vat.pricesInclude' : 'vat.pricesExclude')}</caption>
+      <thead>
+        <tr>
+          <th scope="col">${t('document.vatRate')}</th>
+          <th scope="col" class="number">${t('document.net')}</th>
+          <th scope="col" class="number">${t('document.vat')}</th>
+          <th scope="col" class="number">${t('document.gross')}</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${vat.rates.map(renderVatRow).join('')}
+      </tbody>
+      <tfoot>
+        <tr>
+          <th scope="row">${t('review.total')}</th>
+          <td class="number">${formatAmount(vat.net)}</td>
+          <td class="number">${formatAmount(vat.vat)}</td>
+          <td class="number">${formatAmount(vat.gross)}</td>
+        </tr>
+      </tfoot>
+    </table>
+    <p class="documentPayment">${escapeHtml(describePayment(order, type))}</p>
+  `;
+}
+
+// The order as placed, with the document details added
+function orderToJson(order, seller) {
+  const type = getDocumentType(order);
+  return JSON.stringify(
+    {
+      documentType: type,
+      seller,
+      ...order,
+      totals: { ...order.totals, vat: getVatBreakdown(order) },
+      dueDate: type === 'invoice' ? getInvoiceDueDate(order) : null,
+    },
+    null,
+    2
+  );
+}
+
+// One row per order line, discount, promo code and freight, net amount and VAT per rate, and the total. Headers and amounts are not
+// translated or formatted, so the file can be imported as it is
+function orderToCsv(order) {
+  const totals = order.totals;
+  const date = order.placedAt ? toDateString(new Date(order.placedAt)) : '';
+  const row = (type, description, amount, { productId = '', quantity = '', unitPrice = '', vatRate = '' } = {}) => [
+    order.orderId,
+    date,
+    type,
+    productId,
+    description,
+    quantity,
+    unitPrice,
+    vatRate,
+    amount,
+    totals.currency || BASE_CURRENCY,
+  ];
+  const rows = [
+    [
+      'order_id',
+      'date',
+      'type',
+      'product_id',
+      'description',
+      'quantity',
+      'unit_price',
+      'vat_rate',
+      'amount',
+      'currency',
+    ],
+    ...order.lines.map(line =>
+      row('line', line.optionsLabel ? `${line.name} (${line.optionsLabel})` : line.name, line.lineTotal, {
+        productId: line.productId,
+        quantity: line.quantity,
+        unitPrice: line.unitPrice,
+        vatRate: getLineVatRate(line),
+      })
+    ),
+    ...(totals.orderDiscounts || []).map(discount => row('discount', discount.label, discount.amount)),
+    ...(totals.coupon ? [row('coupon', totals.coupon.code, totals.coupon.amount)] : []),
+    row('freight', order.delivery?.method === 'pickup' ? 'Store pickup' : 'Freight', totals.freight),
+    ...getVatBreakdown(order).rates.flatMap(item => [
+      row('net', `Net ${item.rate}%`, item.net, { vatRate: item.rate }),
+      row('vat', `VAT ${item.rate}%`, item.vat, { vatRate: item.rate }),
+    ]),
+    row('total', 'Total', totals.total),
+  ];
+  return toCsv(rows);
+}
+
+function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.append(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+export {
+  renderOrderDocument,
+  getDocumentType,
+  getInvoiceDueDate,
+  getVatBreakdown,
+  orderToJson,
+  orderToCsv,
+  downloadFile,
+};
@@ -0,0 +1,95 @@
+/**
+ * ==========================================
+ * ORDER HISTORY
+ * ==========================================
+ * Keeps every placed order in IndexedDB, so regular customers can look back and order the same again.
+ * An order is stored as it was placed: { orderId, placedAt, customer, lines, totals, delivery, payment }.
+ * - saveOrder(order): Stores (or replaces) an order
+ * - listOrders(): All stored orders, newest first
+ * - getOrder(orderId): One order, or null
+ * - checkOrderAgainstCatalog(order, catalog): The lines that can be ordered again at today's prices,
+ *   plus the ones no longer on the menu and the ones whose price changed since the order
+ * All functions return promises. They reject when the browser has no IndexedDB (e.g. private mode),
+ * the shop keeps working without a history then.
+ * =========================================
+ */
+
+import { calculateUnitBasePrice, normalizeSelection } from './productOptions.mjs';
+
+const DB_NAME = 'alexGoodies';
+const DB_VERSION = 1;
+const ORDER_STORE = 'orders';
+
+let databasePromise = null;
+
+// Wraps an IndexedDB request in a promise
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Opens the database once and creates the order store on the first visit
+function openDatabase() {
+  if (!databasePromise) {
+    if (!window.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available.'));
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(ORDER_STORE, { keyPath: 'orderId' });
+      store.createIndex('placedAt', 'placedAt');
+    };
+    databasePromise = promisifyRequest(request).catch(error => {
+      databasePromise = null; // The next call may try again
+      throw error;
+    });
+  }
+  return databasePromise;
+}
+
+// Runs fn(store) in a transaction and resolves with the result of its request
+async function withStore(mode, fn) {
+  const database = await openDatabase();
+  const store = database.transaction(ORDER_STORE, mode).objectStore(ORDER_STORE);
+  return promisifyRequest(fn(store));
+}
+
+async function saveOrder(order) {
+  await withStore('readwrite', store => store.put(order));
+  return order;
+}
+
+async function listOrders() {
+  const orders = await withStore('readonly', store => store.index('placedAt').getAll());
+  return orders.reverse();
+}
+
+async function getOrder(orderId) {
+  return (await withStore('readonly', store => store.get(orderId))) || null;
+}
+
+// Checks the lines of a past order against the catalog
+// Returns { items: [{ product, selection, amount }], removed: [line], priceChanged: [{ line, product, oldPrice, newPrice }] }
+// Prices are compared before pricing rules, so a weekend surcharge or a campaign is not a price change
+function checkOrderAgainstCatalog(order, catalog) {
+  const result = { items: [], removed: [], priceChanged: [] };
+  (order.lines || []).forEach(line => {
+    const product = catalog.find(product => product.id === line.productId);
+    if (!product) {
+      result.removed.push(line);
+      return;
+    }
+    const selection = normalizeSelection(product, line.options);
+    const newPrice = calculateUnitBasePrice(product, selection);
+    const oldPrice = line.unitBasePrice ?? line.unitPrice;
+    if (typeof oldPrice === 'number' && oldPrice !== newPrice) {
+      result.priceChanged.push({ line, product, oldPrice, newPrice });
+    }
+    result.items.push({ product, selection, amount: line.quantity });
+  });
+  return result;
+}
+
+export { saveOrder, listOrders, getOrder, checkOrderAgainstCatalog };
@@ -0,0 +1,207 @@
+/**
+ * ==========================================
+ * PRICING RULES
+ * ==========================================
+ * Surcharges and discounts are declared as data and run by a small engine.
+ * Each rule has:
+ * - id / label: Identifier and the text shown to the customer
+ * - translations: { sv: { label }, vi: { label } } - the label in other languages (see i18n.mjs)
+ * - level: 'item' (adjusts the unit price of matching products) or 'order' (adjusts the order subtotal)
+ * - type: 'surcharge' or 'discount'
+ * - amount: { percent: 15 } or { fixed: 10 } (fixed is kr per unit for item rules, kr per order for order rules)
+ * - scope: { categories: [...], productIds: [...] } - leave out to match every product
+ * - windows: When the rule is active, either a weekly span
+ *     { from: { day: 5, time: '15:00' }, to: { day: 1, time: '03:00' } }
+ *   or daily hours on chosen weekdays
+ *     { days: [1, 2, 3, 4, 5], from: '15:00', to: '17:00' }
+ *   (day: 0 = Sunday ... 6 = Saturday). Leave out to be active all the time.
+ * - minCategoryQuantity: Only applies when the cart holds at least this many items of the product's category
+ * - priority: Lower numbers run first
+ * - stackable: false means the rule is never combined with another rule of the same level and type.
+ *   Leave out to let it combine
+ * - enabled: Set to false to switch a rule off without deleting it
+ *
+ * Example campaign - happy hour on drinks:
+ * {
+ *   id: 'happy-hour-drinks',
+ *   label: 'Happy hour: 20% off drinks',
+ *   level: 'item',
+ *   type: 'discount',
+ *   amount: { percent: 20 },
+ *   scope: { categories: ['drinks'] },
+ *   windows: [{ days: [1, 2, 3, 4, 5], from: '15:00', to: '17:00' }],
+ *   priority: 30,
+ *   stackable: true,
+ * }
+ * =========================================
+ */
+
+import { localize } from './i18n.mjs';
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const pricingRules = [
+  // Rule 2: Weekend surcharge - 15% on chosen products (Friday 15:00 to Monday 03:00)
+  {
+    id: 'weekend-surcharge',
+    label: 'Weekend surcharge: 15% on hot dishes',
+    translations: {
+      sv: { label: 'Helgtillägg: 15% på varmrätter' },
+      vi: { label: 'Phụ thu cuối tuần: 15% cho món nóng' },
+    },
+    level: 'item',
+    type: 'surcharge',
+    amount: { percent: 15 },
+    scope: { categories: ['food'] },
+    windows: [{ from: { day: 5, time: '15:00' }, to: { day: 1, time: '03:00' } }],
+    priority: 10,
+    stackable: true,
+  },
+  // Rule 4: Bulk discount - 10% off items when 10+ of the same category are ordered
+  {
+    id: 'bulk-discount',
+    label: 'Bulk discount: 10% off items (10+ per category)',
+    translations: {
+      sv: { label: 'Mängdrabatt: 10% på varor (10+ per kategori)' },
+      vi: { label: 'Giảm giá số lượng: 10% cho các món (từ 10 món mỗi loại)' },
+    },
+    level: 'item',
+    type: 'discount',
+    amount: { percent: 10 },
+    minCategoryQuantity: 10,
+    priority: 20,
+    stackable: true,
+  },
+  // Rule 1: Monday discount - 10% off the entire order before 10:00
+  {
+    id: 'monday-morning-discount',
+    label: 'Monday discount: 10% off entire order',
+    translations: {
+      sv: { label: 'Måndagsrabatt: 10% på hela beställningen' },
+      vi: { label: 'Ưu đãi thứ Hai: giảm 10% toàn bộ đơn hàng' },
+    },
+    level: 'order',
+    type: 'discount',
+    amount: { percent: 10 },
+    windows: [{ days: [1], from: '00:00', to: '10:00' }],
+    priority: 10,
+    stackable: true,
+  },
+];
+
+// Converts 'HH:MM' to minutes since midnight
+function parseTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Returns the minutes passed since Sunday 00:00 for the given date
+function minutesIntoWeek(date) {
+  return date.getDay() * MINUTES_PER_DAY + date.getHours() * 60 + date.getMinutes();
+}
+
+// Turns both window formats into a list of weekly spans measured in minutes since Sunday 00:00
+function toWeeklySpans(window) {
+  if (Array.isArray(window.days)) {
+    const fromMinutes = parseTime(window.from);
+    const toMinutes = parseTime(window.to);
+    // A daily window like 22:00-02:00 ends on the following day
+    const length = (toMinutes - fromMinutes + MINUTES_PER_DAY) % MINUTES_PER_DAY || MINUTES_PER_DAY;
+    return window.days.map(day => {
+      const start = day * MINUTES_PER_DAY + fromMinutes;
+      return { start, end: (start + length) % MINUTES_PER_WEEK };
+    });
+  }
+  return [
+    {
+      start: window.from.day * MINUTES_PER_DAY + parseTime(window.from.time),
+      end: window.to.day * MINUTES_PER_DAY + parseTime(window.to.time),
+    },
+  ];
+}
+
+// Checks if a date falls inside a weekly span, including spans that wrap past Sunday midnight
+function isInsideSpan({ start, end }, minutes) {
+  if (start < end) {
+    return minutes >= start && minutes < end;
+  }
+  return minutes >= start || minutes < end;
+}
+
+// Checks if the rule's time windows include the given date
+function isRuleActive(rule, date) {
+  if (rule.enabled === false) return false;
+  if (!rule.windows || rule.windows.length === 0) return true;
+  const minutes = minutesIntoWeek(date);
+  return rule.windows.some(window => toWeeklySpans(window).some(span => isInsideSpan(span, minutes)));
+}
+
+// Checks if the rule's category/product scope includes the product
+function isProductInScope(rule, product) {
+  const scope = rule.scope;
+  if (!scope) return true;
+  const hasCategories = Array.isArray(scope.categories) && scope.categories.length > 0;
+  const hasProductIds = Array.isArray(scope.productIds) && scope.productIds.length > 0;
+  if (!hasCategories && !hasProductIds) return true;
+  return (
+    (hasCategories && scope.categories.includes(product.category)) ||
+    (hasProductIds && scope.productIds.includes(product.id))
+  );
+}
+
+// Calculates how much a rule changes the given amount (positive for surcharges, negative for discounts)
+function calculateAdjustment(rule, amount) {
+  const value = rule.amount.percent !== undefined ? (amount * rule.amount.percent) / 100 : rule.amount.fixed;
+  if (rule.type === 'discount') {
+    // A discount can never push the amount below zero
+    return -Math.min(value, amount);
+  }
+  return value;
+}
+
+// Runs the given rules in priority order, skipping rules that may not be combined with ones already applied
+function runRules(rules, startAmount) {
+  const sortedRules = [...rules].sort((rule1, rule2) => rule1.priority - rule2.priority);
+  const adjustments = [];
+  let amount = startAmount;
+  for (const rule of sortedRules) {
+    const stackable = rule.stackable !== false; // Rules combine unless they say otherwise
+    const sameTypeApplied = adjustments.filter(adjustment => adjustment.type === rule.type);
+    const blocked = sameTypeApplied.length > 0 && (!stackable || sameTypeApplied.some(a => !a.stackable));
+    if (blocked) continue;
+    const change = calculateAdjustment(rule, amount);
+    amount += change;
+    adjustments.push({
+      ruleId: rule.id,
+      label: localize(rule, 'label'),
+      type: rule.type,
+      stackable,
+      amount: change,
+    });
+  }
+  return { amount, adjustments };
+}
+
+// Calculates the unit price of a product after all active item rules
+// context.categoryQuantity: Items of the same category in the cart (leave out for listing prices)
+function priceProduct(product, { date = new Date(), categoryQuantity = 0, rules = pricingRules } = {}) {
+  const matchingRules = rules.filter(
+    rule =>
+      rule.level === 'item' &&
+      isRuleActive(rule, date) &&
+      isProductInScope(rule, product) &&
+      categoryQuantity >= (rule.minCategoryQuantity || 0)
+  );
+  const result = runRules(matchingRules, product.price);
+  return { basePrice: product.price, price: result.amount, adjustments: result.adjustments };
+}
+
+// Calculates the order total after all active order rules
+function priceOrder(subtotal, { date = new Date(), rules = pricingRules } = {}) {
+  const matchingRules = rules.filter(rule => rule.level === 'order' && isRuleActive(rule, date));
+  const result = runRules(matchingRules, subtotal);
+  return { subtotal, total: result.amount, adjustments: result.adjustments };
+}
+
+export { pricingRules, isRuleActive, isProductInScope, priceProduct, priceOrder };
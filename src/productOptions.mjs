@@ -0,0 +1,117 @@
+/**
+ * ==========================================
+ * PRODUCT OPTIONS
+ * ==========================================
+ * Products can declare option groups in products.mjs:
+ * options: [
+ *   {
+ *     id: 'size',
+ *     label: 'Size',
+ *     type: 'single' | 'multiple',
+ *     required: true,
+ *     choices: [{ id: 'large', label: 'Large', priceDelta: 15, default: true }],
+ *   },
+ * ]
+ * Groups and choices can translate their label: translations: { sv: { label: 'Stor' } } (see i18n.mjs).
+ * A selection is an object of group id -> array of choice ids, e.g. { size: ['large'], extras: [] }.
+ * Cart lines are keyed by product id plus selection, so different choices end up on separate lines.
+ * =========================================
+ */
+
+import { t, localize } from './i18n.mjs';
+
+// Returns the product's option groups (empty for products without options)
+function getOptionGroups(product) {
+  return Array.isArray(product.options) ? product.options : [];
+}
+
+// Builds the selection a product card starts with (default choice, or the first one for required single groups)
+function getDefaultSelection(product) {
+  const selection = {};
+  getOptionGroups(product).forEach(group => {
+    const defaults = group.choices.filter(choice => choice.default).map(choice => choice.id);
+    if (group.type === 'single') {
+      const first = group.required && group.choices.length > 0 ? [group.choices[0].id] : [];
+      selection[group.id] = defaults.length > 0 ? defaults.slice(0, 1) : first;
+    } else {
+      selection[group.id] = defaults;
+    }
+  });
+  return selection;
+}
+
+// Keeps only known groups and choices, and lets the defaults fill in missing required groups
+function normalizeSelection(product, selection = {}) {
+  const defaults = getDefaultSelection(product);
+  const normalized = {};
+  getOptionGroups(product).forEach(group => {
+    const chosen = Array.isArray(selection[group.id]) ? selection[group.id] : [];
+    let valid = group.choices.map(choice => choice.id).filter(id => chosen.includes(id));
+    if (group.type === 'single') valid = valid.slice(0, 1);
+    normalized[group.id] = valid.length === 0 && group.required ? defaults[group.id] : valid;
+  });
+  return normalized;
+}
+
+// Checks a selection against the product's option groups
+// Returns { valid, errors } where errors name the groups that need attention
+function validateSelection(product, selection = {}) {
+  const errors = [];
+  getOptionGroups(product).forEach(group => {
+    const chosen = Array.isArray(selection[group.id]) ? selection[group.id] : [];
+    const unknown = chosen.filter(id => !group.choices.some(choice => choice.id === id));
+    const label = localize(group, 'label');
+    if (unknown.length > 0) {
+      errors.push(t('options.unknownChoice', { group: label, choice: unknown[0] }));
+    } else if (group.required && chosen.length === 0) {
+      errors.push(t('options.required', { group: label }));
+    } else if (group.type === 'single' && chosen.length > 1) {
+      errors.push(t('options.onlyOne', { group: label }));
+    }
+  });
+  return { valid: errors.length === 0, errors };
+}
+
+// Returns the chosen choice objects, in the order the groups and choices are declared
+function getSelectedChoices(product, selection = {}) {
+  return getOptionGroups(product).flatMap(group =>
+    group.choices.filter(choice => (selection[group.id] || []).includes(choice.id))
+  );
+}
+
+// Sums the price deltas of the chosen options
+function calculateOptionsPrice(product, selection = {}) {
+  return getSelectedChoices(product, selection).reduce((sum, choice) => sum + (choice.priceDelta || 0), 0);
+}
+
+// Unit price of the product with the chosen options, before pricing rules
+function calculateUnitBasePrice(product, selection = {}) {
+  return product.price + calculateOptionsPrice(product, selection);
+}
+
+// Human readable selection, e.g. "Large, Extra spring rolls"
+function describeSelection(product, selection = {}) {
+  return getSelectedChoices(product, selection)
+    .map(choice => localize(choice, 'label'))
+    .join(', ');
+}
+
+// Stable key for a cart line, e.g. "22|extras=rolls|protein=brisket|spice=hot"
+function createLineKey(productId, selection = {}) {
+  const parts = Object.keys(selection)
+    .filter(groupId => selection[groupId].length > 0)
+    .sort()
+    .map(groupId => `${groupId}=${[...selection[groupId]].sort().join('+')}`);
+  return [productId, ...parts].join('|');
+}
+
+export {
+  getOptionGroups,
+  getDefaultSelection,
+  normalizeSelection,
+  validateSelection,
+  calculateOptionsPrice,
+  calculateUnitBasePrice,
+  describeSelection,
+  createLineKey,
+};
@@ -0,0 +1,147 @@
+/**
+ * ==========================================
+ * PRODUCT QUERY
+ * ==========================================
+ * One pipeline for search, filter and sort, so that changing one never discards the others.
+ * A query looks like { search, category, minPrice, maxPrice, diets, excludeAllergens, maxSpice, sort } and is
+ * mirrored in the URL query string (?q=rice&category=food&min=50&max=150&diet=vegan&exclude=peanuts,sesame&spice=1
+ * &sort=name) so a filtered view can be shared. The dietary filters are explained in dietary.mjs.
+ * - applyProductQuery(products, query, getPrice): Returns the matching products in sort order
+ * - queryFromSearchParams(params) / queryToSearchParams(query): Read and write the URL state
+ * - hasDietaryParams(params): true when the URL chooses a dietary filter (else the saved preferences are used)
+ * Search and name sorting use the product names of the active language (see i18n.mjs).
+ * =========================================
+ */
+
+import { getLocale, localize } from './i18n.mjs';
+import { matchesDietaryFilter, normalizeDietaryFilter } from './dietary.mjs';
+
+const SORT_OPTIONS = ['standard', 'low', 'high', 'name', 'nameDesc', 'popular'];
+
+const defaultQuery = {
+  search: '',
+  category: 'all',
+  minPrice: null,
+  maxPrice: null,
+  diets: [],
+  excludeAllergens: [],
+  maxSpice: null,
+  sort: 'standard',
+};
+
+// Lowercases and strips accents so "pho" finds "Phở" and "cafe" finds "café"
+function normalizeText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/đ/gi, 'd')
+    .toLowerCase()
+    .trim();
+}
+
+// Checks that every word of the search text appears in the product name or description.
+// The original name is searched too, so "pho" finds the soup in every language
+function matchesSearch(product, search) {
+  const words = normalizeText(search).split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+  const haystack = normalizeText(
+    `${product.name} ${localize(product, 'name')} ${localize(product, 'description') || ''}`
+  );
+  return words.every(word => haystack.includes(word));
+}
+
+// Compares the product names in the alphabetical order of the active language
+function compareNames(product1, product2) {
+  return localize(product1, 'name').trim().localeCompare(localize(product2, 'name').trim(), getLocale());
+}
+
+// Sort comparators, keyed by sort option
+const comparators = {
+  low: (product1, product2, getPrice) => getPrice(product1) - getPrice(product2),
+  high: (product1, product2, getPrice) => getPrice(product2) - getPrice(product1),
+  name: (product1, product2) => compareNames(product1, product2),
+  nameDesc: (product1, product2) => compareNames(product2, product1),
+  popular: (product1, product2) => (product2.popularity || 0) - (product1.popularity || 0),
+};
+
+// Runs search, category filter, price range and sort together
+// getPrice(product) returns the price shown to the customer (defaults to the base price)
+function applyProductQuery(products, query, getPrice = product => product.price) {
+  const { search, category, minPrice, maxPrice, diets, excludeAllergens, maxSpice, sort } = {
+    ...defaultQuery,
+    ...query,
+  };
+  const result = products.filter(product => {
+    if (category !== 'all' && product.category !== category) return false;
+    if (!matchesSearch(product, search)) return false;
+    if (!matchesDietaryFilter(product, { diets, excludeAllergens, maxSpice })) return false;
+    const price = getPrice(product);
+    if (minPrice !== null && price < minPrice) return false;
+    if (maxPrice !== null && price > maxPrice) return false;
+    return true;
+  });
+  const comparator = comparators[sort];
+  if (comparator) {
+    result.sort((product1, product2) => comparator(product1, product2, getPrice));
+  }
+  return result;
+}
+
+// Parses a price from the URL or a form field, null when empty or not a number
+function parsePrice(value) {
+  if (value === null || value === undefined || String(value).trim() === '') return null;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+// Reads a comma separated list from the URL, e.g. "peanuts,sesame"
+function parseList(value) {
+  return value ? value.split(',').filter(Boolean) : [];
+}
+
+// Reads a query from URLSearchParams, falling back to the defaults for missing or unknown values
+function queryFromSearchParams(params, categories = []) {
+  const category = params.get('category');
+  const sort = params.get('sort');
+  return {
+    search: params.get('q') || '',
+    category: categories.includes(category) ? category : defaultQuery.category,
+    minPrice: parsePrice(params.get('min')),
+    maxPrice: parsePrice(params.get('max')),
+    ...normalizeDietaryFilter({
+      diets: parseList(params.get('diet')),
+      excludeAllergens: parseList(params.get('exclude')),
+      maxSpice: params.get('spice'),
+    }),
+    sort: SORT_OPTIONS.includes(sort) ? sort : defaultQuery.sort,
+  };
+}
+
+// True when the URL chooses any dietary filter
+function hasDietaryParams(params) {
+  return ['diet', 'exclude', 'spice'].some(key => params.has(key));
+}
+
+// Writes the query into URLSearchParams, leaving out values that equal the defaults
+function queryToSearchParams(query, params = new URLSearchParams()) {
+  const values = {
+    q: query.search.trim(),
+    category: query.category !== defaultQuery.category ? query.category : '',
+    min: query.minPrice !== null ? String(query.minPrice) : '',
+    max: query.maxPrice !== null ? String(query.maxPrice) : '',
+    diet: query.diets.join(','),
+    exclude: query.excludeAllergens.join(','),
+    spice: query.maxSpice !== null ? String(query.maxSpice) : '',
+    sort: query.sort !== defaultQuery.sort ? query.sort : '',
+  };
+  Object.entries(values).forEach(([key, value]) => {
+    if (value) {
+      params.set(key, value);
+    } else {
+      params.delete(key);
+    }
+  });
+  return params;
+}
+
+export { defaultQuery, applyProductQuery, parsePrice, queryFromSearchParams, queryToSearchParams, hasDietaryParams };
@@ -1,11 +1,59 @@
+// Shared option groups (see productOptions.mjs for the format).
+const drinkSizeOptions = {
+  id: 'size',
+  label: 'Size',
+  translations: { sv: { label: 'Storlek' }, vi: { label: 'Cỡ' } },
+  type: 'single',
+  required: true,
+  choices: [
+    {
+      id: 'regular',
+      label: 'Regular',
+      translations: { sv: { label: 'Normal' }, vi: { label: 'Vừa' } },
+      priceDelta: 0,
+      default: true,
+    },
+    { id: 'large', label: 'Large', translations: { sv: { label: 'Stor' }, vi: { label: 'Lớn' } }, priceDelta: 15 },
+  ],
+};
+
+const extraSpringRollsChoice = {
+  id: 'springRolls',
+  label: 'Extra spring rolls',
+  translations: { sv: { label: 'Extra vårrullar' }, vi: { label: 'Thêm chả giò' } },
+  priceDelta: 25,
+  allergens: ['gluten', 'crustaceans', 'eggs'], // Wheat pastry, with shrimp and egg in the filling
+};
+
 // Create the arrays for all the products.
+// Names, descriptions and alt texts in other languages go in translations: { sv: { name, description, alt } }
+// vatClass: 'food' (12%) for food and non-alcoholic drinks, 'standard' (25%) for other goods
+// allergens (EU 14), dietary (vegetarian, vegan, glutenFree) and spiceLevel (0-3): see dietary.mjs
 
 const products = [
   {
     id: 11,
     name: 'Rice Cookie',
+    description: 'Crispy puffed rice cookie, lightly sweetened with palm sugar.',
+    translations: {
+      sv: {
+        name: 'Riskaka',
+        description: 'Krispig puffad riskaka, lätt sötad med palmsocker.',
+        alt: 'En riskaka.',
+      },
+      vi: {
+        name: 'Bánh gạo',
+        description: 'Bánh gạo nổ giòn, ngọt nhẹ với đường thốt nốt.',
+        alt: 'Một chiếc bánh gạo.',
+      },
+    },
+    popularity: 64, // Orders the last 30 days
     price: 29,
     category: 'snacks',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: [],
+    dietary: ['vegetarian', 'vegan', 'glutenFree'],
+    spiceLevel: 0,
     img: {
       src: './images/riceCookie.webp',
       width: 200,
@@ -17,8 +65,27 @@ const products = [
   {
     id: 12,
     name: 'Mochi',
+    description: 'Soft glutinous rice cakes filled with sweet mung bean paste.',
+    translations: {
+      sv: {
+        name: 'Mochi',
+        description: 'Mjuka riskakor av klibbris fyllda med söt mungbönspasta.',
+        alt: 'Tre mochi på ett fat.',
+      },
+      vi: {
+        name: 'Bánh mochi',
+        description: 'Bánh nếp dẻo nhân đậu xanh ngọt.',
+        alt: 'Ba chiếc bánh mochi trên đĩa.',
+      },
+    },
+    popularity: 92, // Orders the last 30 days
     price: 49,
     category: 'snacks',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: [],
+    dietary: ['vegetarian', 'vegan', 'glutenFree'],
+    spiceLevel: 0,
+    stock: 20, // Made in a limited batch every day
     img: {
       src: './images/mochi.webp',
       width: 200,
@@ -29,8 +96,27 @@ const products = [
   {
     id: 13,
     name: 'Sticky rice with Mango',
+    description: 'Coconut sticky rice served with fresh ripe mango.',
+    translations: {
+      sv: {
+        name: 'Klibbris med mango',
+        description: 'Klibbris med kokos, serverat med färsk mogen mango.',
+        alt: 'En glasskål med klibbris och mangobitar.',
+      },
+      vi: {
+        name: 'Xôi xoài',
+        description: 'Xôi nước cốt dừa ăn kèm xoài chín tươi.',
+        alt: 'Một cốc thủy tinh đựng xôi và xoài cắt miếng.',
+      },
+    },
+    popularity: 88, // Orders the last 30 days
     price: 79,
     category: 'snacks',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: ['sesame'],
+    dietary: ['vegetarian', 'vegan', 'glutenFree'],
+    spiceLevel: 0,
+    stock: 12, // Made in a limited batch every day
     img: {
       src: './images/stickyRiceWithMango.webp',
       width: 200,
@@ -41,8 +127,26 @@ const products = [
   {
     id: 14,
     name: 'Vietnamese spring roll',
+    description: 'Fresh rice paper rolls with shrimp, herbs and vermicelli, served with peanut dipping sauce.',
+    translations: {
+      sv: {
+        name: 'Vietnamesiska vårrullar',
+        description: 'Färska rispappersrullar med räkor, örter och risnudlar, serveras med jordnötsdipp.',
+        alt: 'Ett fat med fyra vårrullar och en dippsås.',
+      },
+      vi: {
+        name: 'Gỏi cuốn',
+        description: 'Gỏi cuốn bánh tráng với tôm, rau thơm và bún, ăn kèm nước chấm đậu phộng.',
+        alt: 'Một đĩa bốn cuốn gỏi cuốn và nước chấm.',
+      },
+    },
+    popularity: 95, // Orders the last 30 days
     price: 99,
     category: 'snacks',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: ['gluten', 'crustaceans', 'peanuts', 'soybeans'],
+    dietary: [],
+    spiceLevel: 0,
     img: {
       src: './images/vietnameseSpringRolls.webp',
       width: 200,
@@ -53,8 +157,26 @@ const products = [
   {
     id: 21,
     name: 'Vietnamese Fried Rice',
+    description: 'Wok-fried rice with egg, vegetables and shrimp crackers.',
+    translations: {
+      sv: {
+        name: 'Vietnamesiskt stekt ris',
+        description: 'Wokat ris med ägg, grönsaker och räkchips.',
+        alt: 'Ett fat med stekt ris, grönsaker och räkchips.',
+      },
+      vi: {
+        name: 'Cơm chiên',
+        description: 'Cơm chiên với trứng, rau củ và bánh phồng tôm.',
+        alt: 'Một đĩa cơm chiên với rau củ và bánh phồng tôm.',
+      },
+    },
+    popularity: 81, // Orders the last 30 days
     price: 149,
     category: 'food',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: ['gluten', 'crustaceans', 'eggs', 'soybeans'],
+    dietary: [],
+    spiceLevel: 1,
     img: {
       src: './images/vietnameseFriedRice.webp',
       width: 200,
@@ -65,8 +187,109 @@ const products = [
   {
     id: 22,
     name: 'Vietnamese noodle soup with beef',
+    description: 'Phở bò - slow-simmered beef broth with rice noodles, herbs and beef.',
+    translations: {
+      sv: {
+        name: 'Vietnamesisk nudelsoppa med nötkött',
+        description: 'Phở bò - långkokt buljong på nötkött med risnudlar, örter och nötkött.',
+        alt: 'En skål nudelsoppa med purjolök och kött på toppen.',
+      },
+      vi: {
+        name: 'Phở bò',
+        description: 'Phở bò - nước dùng bò ninh lâu với bánh phở, rau thơm và thịt bò.',
+        alt: 'Một tô phở với hành lá và thịt bò bên trên.',
+      },
+    },
+    popularity: 99, // Orders the last 30 days
     price: 179,
     category: 'food',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: ['fish'],
+    dietary: ['glutenFree'],
+    spiceLevel: 1,
+    options: [
+      {
+        id: 'spice',
+        label: 'Spice level',
+        translations: { sv: { label: 'Styrka' }, vi: { label: 'Độ cay' } },
+        type: 'single',
+        required: true,
+        choices: [
+          {
+            id: 'mild',
+            label: 'Mild',
+            translations: { sv: { label: 'Mild' }, vi: { label: 'Ít cay' } },
+            priceDelta: 0,
+            spiceLevel: 1,
+            default: true,
+          },
+          {
+            id: 'medium',
+            label: 'Medium',
+            translations: { sv: { label: 'Medium' }, vi: { label: 'Cay vừa' } },
+            priceDelta: 0,
+            spiceLevel: 2,
+          },
+          {
+            id: 'hot',
+            label: 'Hot',
+            translations: { sv: { label: 'Stark' }, vi: { label: 'Cay' } },
+            priceDelta: 0,
+            spiceLevel: 3,
+          },
+        ],
+      },
+      {
+        id: 'protein',
+        label: 'Protein',
+        translations: { sv: { label: 'Protein' }, vi: { label: 'Loại thịt' } },
+        type: 'single',
+        required: true,
+        choices: [
+          {
+            id: 'rareBeef',
+            label: 'Rare beef',
+            translations: { sv: { label: 'Rått nötkött' }, vi: { label: 'Bò tái' } },
+            priceDelta: 0,
+            default: true,
+          },
+          {
+            id: 'brisket',
+            label: 'Beef brisket',
+            translations: { sv: { label: 'Nötbringa' }, vi: { label: 'Nạm bò' } },
+            priceDelta: 0,
+          },
+          {
+            id: 'meatballs',
+            label: 'Beef meatballs',
+            translations: { sv: { label: 'Köttbullar av nötkött' }, vi: { label: 'Bò viên' } },
+            priceDelta: 10,
+          },
+          {
+            id: 'mixed',
+            label: 'Mixed beef',
+            translations: { sv: { label: 'Blandat nötkött' }, vi: { label: 'Đặc biệt' } },
+            priceDelta: 20,
+          },
+        ],
+      },
+      {
+        id: 'extras',
+        label: 'Add-ons',
+        translations: { sv: { label: 'Tillbehör' }, vi: { label: 'Món thêm' } },
+        type: 'multiple',
+        required: false,
+        choices: [
+          extraSpringRollsChoice,
+          {
+            id: 'noodles',
+            label: 'Extra noodles',
+            translations: { sv: { label: 'Extra nudlar' }, vi: { label: 'Thêm bánh phở' } },
+            priceDelta: 15,
+          },
+        ],
+      },
+    ],
     img: {
       src: './images/vietnameseNoodleSoupWithBeef.webp',
       width: 200,
@@ -77,8 +300,36 @@ const products = [
   {
     id: 23,
     name: 'Rice noodles with fried spring rolls ',
+    description: 'Bún chả giò - rice noodles with crispy fried spring rolls, fresh vegetables and fish sauce dressing.',
+    translations: {
+      sv: {
+        name: 'Risnudlar med friterade vårrullar',
+        description: 'Bún chả giò - risnudlar med krispiga friterade vårrullar, färska grönsaker och fisksåsdressing.',
+        alt: 'Sex skålar med grönsaker, chili, risnudlar, friterade vårrullar i dippsås och färsk vitlök.',
+      },
+      vi: {
+        name: 'Bún chả giò',
+        description: 'Bún chả giò - bún với chả giò chiên giòn, rau tươi và nước mắm chua ngọt.',
+        alt: 'Sáu chén đựng rau, ớt, bún, chả giò trong nước chấm và tỏi tươi.',
+      },
+    },
+    popularity: 86, // Orders the last 30 days
     price: 179,
     category: 'food',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: ['gluten', 'crustaceans', 'eggs', 'fish', 'peanuts'],
+    dietary: [],
+    spiceLevel: 2,
+    options: [
+      {
+        id: 'extras',
+        label: 'Add-ons',
+        translations: { sv: { label: 'Tillbehör' }, vi: { label: 'Món thêm' } },
+        type: 'multiple',
+        required: false,
+        choices: [extraSpringRollsChoice],
+      },
+    ],
     img: {
       src: './images/riceNoodlesWithFriedSpringRolls.webp',
       width: 200,
@@ -89,8 +340,26 @@ const products = [
   {
     id: 24,
     name: 'Broken rice with pork',
+    description: 'Cơm tấm - broken rice with grilled marinated pork.',
+    translations: {
+      sv: {
+        name: 'Brutet ris med fläsk',
+        description: 'Cơm tấm - brutet ris med grillat marinerat fläsk.',
+        alt: 'Brutet ris med bitar av marinerat fläsk.',
+      },
+      vi: {
+        name: 'Cơm tấm sườn',
+        description: 'Cơm tấm - cơm tấm với sườn heo nướng ướp.',
+        alt: 'Cơm tấm với miếng sườn heo ướp.',
+      },
+    },
+    popularity: 77, // Orders the last 30 days
     price: 129,
     category: 'food',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: ['eggs', 'fish', 'soybeans'],
+    dietary: [],
+    spiceLevel: 1,
     img: {
       src: './images/brokenRiceWithPork.webp',
       width: 200,
@@ -101,8 +370,27 @@ const products = [
   {
     id: 31,
     name: 'Iced Peach Tea',
+    description: 'Black tea over ice with peach pieces.',
+    translations: {
+      sv: {
+        name: 'Iste med persika',
+        description: 'Svart te på is med persikobitar.',
+        alt: 'Ett glas iste med persikobitar på toppen.',
+      },
+      vi: {
+        name: 'Trà đào',
+        description: 'Trà đen pha đá với miếng đào.',
+        alt: 'Một ly trà đào với miếng đào bên trên.',
+      },
+    },
+    popularity: 58, // Orders the last 30 days
     price: 29,
     category: 'drinks',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: [],
+    dietary: ['vegetarian', 'vegan', 'glutenFree'],
+    spiceLevel: 0,
+    options: [drinkSizeOptions],
     img: {
       src: './images/icedPeachTea.webp',
       width: 200,
@@ -113,8 +401,27 @@ const products = [
   {
     id: 32,
     name: 'Vietnamese Drip-Coffee',
+    description: 'Cà phê sữa đá - strong drip coffee with sweetened condensed milk.',
+    translations: {
+      sv: {
+        name: 'Vietnamesiskt droppkaffe',
+        description: 'Cà phê sữa đá - starkt droppkaffe med sötad kondenserad mjölk.',
+        alt: 'Ett glas vietnamesiskt kaffe med ett droppfilter bredvid.',
+      },
+      vi: {
+        name: 'Cà phê sữa đá',
+        description: 'Cà phê sữa đá - cà phê phin đậm đà với sữa đặc.',
+        alt: 'Một ly cà phê Việt Nam với phin cà phê bên cạnh.',
+      },
+    },
+    popularity: 90, // Orders the last 30 days
     price: 49,
     category: 'drinks',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: ['milk'],
+    dietary: ['vegetarian', 'glutenFree'],
+    spiceLevel: 0,
+    options: [drinkSizeOptions],
     img: {
       src: './images/vietnameseDripCoffee.webp',
       width: 200,
@@ -125,8 +432,27 @@ const products = [
   {
     id: 33,
     name: 'Strawberry Lemonade',
+    description: 'Freshly squeezed lemonade with strawberry.',
+    translations: {
+      sv: {
+        name: 'Jordgubbslemonad',
+        description: 'Nypressad lemonad med jordgubbar.',
+        alt: 'Ett glas lemonad med rosa färg från jordgubbarna.',
+      },
+      vi: {
+        name: 'Nước chanh dâu',
+        description: 'Nước chanh tươi vắt với dâu tây.',
+        alt: 'Một ly nước chanh màu hồng nhờ có dâu tây.',
+      },
+    },
+    popularity: 61, // Orders the last 30 days
     price: 59,
     category: 'drinks',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: [],
+    dietary: ['vegetarian', 'vegan', 'glutenFree'],
+    spiceLevel: 0,
+    options: [drinkSizeOptions],
     img: {
       src: './images/strawberryLemonade.webp',
       width: 200,
@@ -137,8 +463,27 @@ const products = [
   {
     id: 34,
     name: 'Mojito (Non-Alcoholic)',
+    description: 'Lime, fresh mint and soda over crushed ice.',
+    translations: {
+      sv: {
+        name: 'Mojito (alkoholfri)',
+        description: 'Lime, färsk mynta och sodavatten på krossad is.',
+        alt: 'Ett glas alkoholfri mojito med färsk mynta på toppen.',
+      },
+      vi: {
+        name: 'Mojito (không cồn)',
+        description: 'Chanh, bạc hà tươi và soda trên đá xay.',
+        alt: 'Một ly mojito không cồn với lá bạc hà tươi bên trên.',
+      },
+    },
+    popularity: 55, // Orders the last 30 days
     price: 59,
     category: 'drinks',
+    vatClass: 'food', // 12% VAT (see vat.mjs)
+    allergens: [],
+    dietary: ['vegetarian', 'vegan', 'glutenFree'],
+    spiceLevel: 0,
+    options: [drinkSizeOptions],
     img: {
       src: './images/mojito(Non-Alcoholic).webp',
       width: 200,
@@ -0,0 +1,85 @@
+/**
+ * ==========================================
+ * ROUTER
+ * ==========================================
+ * A small hash based router, e.g. #/product/21, #/cart, #/checkout, #/order/<id>.
+ * Routes are declared as { name, path } where path segments starting with ':' are parameters.
+ * Hashes that do not start with '#/' (like #contactInfo) are ordinary in-page anchors and are left alone.
+ * - createRouter(routes, onRouteChange): Returns { start, navigate, redirect, getCurrentRoute }
+ * - onRouteChange({ name, params, path }) is called on start and on every hash change (incl. back/forward)
+ * =========================================
+ */
+
+// Splits a path into its non-empty segments
+function splitPath(path) {
+  return path.split('/').filter(Boolean);
+}
+
+// Decodes a path parameter, null when it is not valid percent-encoding (e.g. a cut off link)
+function decodeParam(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
+  }
+}
+
+// Matches a path against the routes, returns { name, params, path } or null.
+// A parameter that can not be decoded matches nothing, so a broken link ends up on the not found route
+function matchRoute(routes, path) {
+  const pathSegments = splitPath(path);
+  for (const route of routes) {
+    const routeSegments = splitPath(route.path);
+    if (routeSegments.length !== pathSegments.length) continue;
+    const params = {};
+    const isMatch = routeSegments.every((segment, index) => {
+      if (segment.startsWith(':')) {
+        const value = decodeParam(pathSegments[index]);
+        params[segment.slice(1)] = value;
+        return value !== null;
+      }
+      return segment === pathSegments[index];
+    });
+    if (isMatch) return { name: route.name, params, path };
+  }
+  return null;
+}
+
+// Returns the route path from the location hash, or null for plain anchors
+function getHashPath(hash = window.location.hash) {
+  if (hash === '' || hash === '#') return '/';
+  if (!hash.startsWith('#/')) return null;
+  return hash.slice(1);
+}
+
+function createRouter(routes, onRouteChange, { notFoundRoute = 'notFound' } = {}) {
+  let currentRoute = null;
+
+  // Resolves the current hash and notifies about the change
+  function handleHashChange() {
+    const path = getHashPath();
+    if (path === null) return; // An in-page anchor - the current view stays
+    currentRoute = matchRoute(routes, path) || { name: notFoundRoute, params: {}, path };
+    onRouteChange(currentRoute);
+  }
+
+  // Starts listening for hash changes and renders the current route
+  function start() {
+    window.addEventListener('hashchange', handleHashChange);
+    handleHashChange();
+  }
+
+  // Navigates to a path like '/cart' (adds a history entry, so back/forward work)
+  function navigate(path) {
+    window.location.hash = path;
+  }
+
+  // Replaces the current path without a history entry, e.g. when a route leads somewhere else
+  function redirect(path) {
+    window.location.replace(`#${path}`);
+  }
+
+  return { start, navigate, redirect, getCurrentRoute: () => currentRoute };
+}
+
+export { createRouter, matchRoute };
@@ -0,0 +1,78 @@
+/**
+ * ==========================================
+ * SESSION TIMER
+ * ==========================================
+ * Keeps track of customer inactivity and warns before the session expires.
+ * createSessionTimer(options) returns { start, reset, extend, stop, isWarning }
+ * - timeoutMs: Idle time before the session expires
+ * - warningMs: How long before expiry onWarning is called
+ * - throttleMs: Activity resets the timer at most once per throttleMs
+ * - onWarning(remainingMs): The warning period started
+ * - onTick(remainingMs): Called every second while the warning is shown
+ * - onExpire(): The session expired
+ * While the warning is shown, ordinary activity does not reset the timer - only extend() does,
+ * so the customer actively has to choose to keep their order.
+ * =========================================
+ */
+
+const TICK_MS = 1000;
+
+function createSessionTimer({ timeoutMs, warningMs, throttleMs = 1000, onWarning, onTick, onExpire }) {
+  let expiresAt = 0;
+  let lastResetAt = 0;
+  let warningTimeoutId = null;
+  let expireTimeoutId = null;
+  let tickIntervalId = null;
+  let warning = false;
+
+  // Stops all running timers
+  function stop() {
+    clearTimeout(warningTimeoutId);
+    clearTimeout(expireTimeoutId);
+    clearInterval(tickIntervalId);
+    warning = false;
+  }
+
+  // Milliseconds left until the session expires
+  function getRemaining() {
+    return Math.max(0, expiresAt - Date.now());
+  }
+
+  // Shows the warning and starts the countdown
+  function startWarning() {
+    warning = true;
+    onWarning?.(getRemaining());
+    tickIntervalId = setInterval(() => onTick?.(getRemaining()), TICK_MS);
+  }
+
+  // Ends the session
+  function expire() {
+    stop();
+    onExpire?.();
+  }
+
+  // Starts a fresh session period
+  function start() {
+    stop();
+    lastResetAt = Date.now();
+    expiresAt = lastResetAt + timeoutMs;
+    warningTimeoutId = setTimeout(startWarning, Math.max(0, timeoutMs - warningMs));
+    expireTimeoutId = setTimeout(expire, timeoutMs);
+  }
+
+  // Restarts the period on user activity (throttled, ignored while the warning is shown)
+  function reset() {
+    if (warning) return;
+    if (Date.now() - lastResetAt < throttleMs) return;
+    start();
+  }
+
+  // Keeps the session alive from the warning dialog
+  function extend() {
+    start();
+  }
+
+  return { start, reset, extend, stop, isWarning: () => warning };
+}
+
+export { createSessionTimer };
@@ -0,0 +1,19 @@
+/**
+ * ==========================================
+ * TIME SLOT RULES
+ * ==========================================
+ * The rules for the time slots an order is picked up or delivered in, shared by the shop (see openingHours.mjs)
+ * and the order service (see mock/orderService.js). Kept free of browser APIs so the server can import it.
+ * - SLOT_MINUTES: How long a slot is
+ * - SLOT_CAPACITY: Orders per slot, the kitchen makes them at the same time
+ * - LEAD_TIME_MINUTES: Time to make an order, the first slot starts at least this long after ordering
+ * - BOOKING_DAYS: How many days ahead slots are offered
+ * =========================================
+ */
+
+const SLOT_MINUTES = 30;
+const SLOT_CAPACITY = 4;
+const LEAD_TIME_MINUTES = 30;
+const BOOKING_DAYS = 7;
+
+export { SLOT_MINUTES, SLOT_CAPACITY, LEAD_TIME_MINUTES, BOOKING_DAYS };
@@ -0,0 +1,114 @@
+/**
+ * ==========================================
+ * VAT
+ * ==========================================
+ * VAT classes for products and the per-rate VAT breakdown of an order.
+ * - vatClasses: VAT class id -> { rate } in percent. Products declare vatClass in products.mjs,
+ *   products without one are in DEFAULT_VAT_CLASS
+ * - vatSettings: How the shop is set up
+ *   - pricesIncludeVat: true when catalog prices, option prices and freight are gross (incl. VAT),
+ *     false when they are net and VAT is added on top
+ *   - freight: 'proportional' taxes freight at the rates of the goods, in proportion to their value,
+ *     or a VAT class id (e.g. 'standard') taxes it at that rate
+ * - getVatRate(product): The rate of the product's VAT class
+ * - calculateVatBreakdown({ lines, adjustments, freight }, settings):
+ *   lines: [{ rate, amount }], adjustments: order level discounts (negative amounts), freight: shipping cost.
+ *   Returns { pricesIncludeVat, rates: [{ rate, net, vat, gross }], net, vat, gross }
+ * Amounts are worked out in whole öre. Order discounts and freight are spread over the rates with the
+ * largest remainder method, so net + vat = gross for every rate and the rates add up to the order total.
+ * =========================================
+ */
+
+const vatClasses = {
+  food: { rate: 12 }, // Food and non-alcoholic drinks
+  standard: { rate: 25 }, // Other goods and services
+};
+const DEFAULT_VAT_CLASS = 'food';
+
+const vatSettings = {
+  pricesIncludeVat: true,
+  freight: 'proportional',
+};
+
+function getVatRate(product) {
+  return (vatClasses[product.vatClass] || vatClasses[DEFAULT_VAT_CLASS]).rate;
+}
+
+function toOre(amount) {
+  return Math.round(amount * 100);
+}
+
+// Splits an amount in öre in proportion to the weights. The parts always add up to the amount
+function allocate(amount, weights) {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  if (totalWeight <= 0) return weights.map((weight, index) => (index === 0 ? amount : 0));
+  const exactParts = weights.map(weight => (amount * weight) / totalWeight);
+  const parts = exactParts.map(Math.floor);
+  const remainder = amount - parts.reduce((sum, part) => sum + part, 0);
+  // The öre left over go to the parts that lost the most when rounding down
+  exactParts
+    .map((exactPart, index) => ({ index, fraction: exactPart - parts[index] }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .slice(0, remainder)
+    .forEach(({ index }) => {
+      parts[index] += 1;
+    });
+  return parts;
+}
+
+function calculateVatBreakdown({ lines = [], adjustments = [], freight = 0 }, settings = vatSettings) {
+  // Goods per rate, lowest rate first
+  const rates = [...new Set(lines.map(line => line.rate))].sort((a, b) => a - b);
+  const amounts = rates.map(rate =>
+    lines.filter(line => line.rate === rate).reduce((sum, line) => sum + toOre(line.amount), 0)
+  );
+
+  // Order discounts lower every rate in proportion to its goods
+  const adjustmentTotal = adjustments.reduce((sum, amount) => sum + toOre(amount), 0);
+  allocate(adjustmentTotal, amounts).forEach((part, index) => {
+    amounts[index] += part;
+  });
+
+  const freightAmount = toOre(freight);
+  if (freightAmount !== 0 && settings.freight === 'proportional' && rates.length > 0) {
+    // Freight follows the goods: each rate takes its share of the freight
+    const goods = amounts.map(amount => Math.max(amount, 0));
+    allocate(freightAmount, goods).forEach((part, index) => {
+      amounts[index] += part;
+    });
+  } else if (freightAmount !== 0) {
+    const freightRate = (vatClasses[settings.freight] || vatClasses[DEFAULT_VAT_CLASS]).rate;
+    if (!rates.includes(freightRate)) {
+      rates.push(freightRate);
+      amounts.push(0);
+    }
+    amounts[rates.indexOf(freightRate)] += freightAmount;
+  }
+
+  const breakdown = rates
+    .map((rate, index) => {
+      const amount = amounts[index];
+      const vat = settings.pricesIncludeVat
+        ? Math.round((amount * rate) / (100 + rate))
+        : Math.round((amount * rate) / 100);
+      const net = settings.pricesIncludeVat ? amount - vat : amount;
+      return { rate, net, vat, gross: net + vat };
+    })
+    .sort((a, b) => a.rate - b.rate);
+
+  const sum = field => breakdown.reduce((total, item) => total + item[field], 0) / 100;
+  return {
+    pricesIncludeVat: settings.pricesIncludeVat,
+    rates: breakdown.map(item => ({
+      rate: item.rate,
+      net: item.net / 100,
+      vat: item.vat / 100,
+      gross: item.gross / 100,
+    })),
+    net: sum('net'),
+    vat: sum('vat'),
+    gross: sum('gross'),
+  };
+}
+
+export { vatClasses, DEFAULT_VAT_CLASS, vatSettings, getVatRate, calculateVatBreakdown };
@@ -0,0 +1,19 @@
+import { defineConfig } from 'vite';
+import { orderServiceMiddleware } from './mock/orderService.js';
+
+// Serves the mock order service on /api/orders, so checkout works offline in dev and preview
+function mockOrderService() {
+  return {
+    name: 'mock-order-service',
+    configureServer(server) {
+      server.middlewares.use('/api/orders', orderServiceMiddleware);
+    },
+    configurePreviewServer(server) {
+      server.middlewares.use('/api/orders', orderServiceMiddleware);
+    },
+  };
+}
+
+export default defineConfig({
+  plugins: [mockOrderService()],
+});